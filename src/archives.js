@@ -0,0 +1,641 @@
+import { BACKEND_ARCHIVES_PATH } from "./backend.js";
+import { MAX_FILE_SIZE } from "./body.js";
+import { mapWithConcurrency } from "./batch.js";
+import { hashContent, listEventUploads } from "./dedup.js";
+import { checkImageUrl, fetchImage } from "./fetcher.js";
+import { buildFilecoinUrl, storeOnFilecoin } from "./filecoin.js";
+import { inspectImage } from "./image-info.js";
+import { getJobTtl } from "./jobs.js";
+import { deliverWithRetries, enqueueNotification } from "./outbox.js";
+import { getUploadRecord, saveUploadRecord } from "./records.js";
+import { downloadPiece, getPieceSize } from "./retrieval.js";
+import { getStore } from "./store.js";
+import {
+  DEFAULT_STORAGE_OPTIONS,
+  getStorageFields,
+  resolveStorageOptions,
+} from "./storage-policy.js";
+import { sanitizeFileName } from "./types.js";
+import { checkWalletFunds } from "./wallet.js";
+import { createZip } from "./zip.js";
+
+/**
+ * Event archives
+ *
+ * Bundles the photos of an event into one ZIP file with a `manifest.json`
+ * and stores it on Filecoin as a single piece. The photos are either the
+ * pieces already recorded for the event (JSON and batch uploads) or a list
+ * of image URLs. Archives are built by the cron trigger, which may run
+ * far longer than a request's `waitUntil`; the backend is notified with the
+ * archive CID and its manifest once it is stored.
+ *
+ * The images and the ZIP are both held in memory, so the archive size is
+ * capped by ARCHIVE_MAX_BYTES and one archive is built at a time.
+ */
+
+/**
+ * File listed in an archive manifest
+ * @typedef {Object} ArchiveFile
+ * @property {string} path - Path inside the archive
+ * @property {number} size - File size in bytes
+ * @property {string} sha256 - Hex SHA-256 of the file
+ * @property {string} [mime_type] - Detected MIME type
+ * @property {string} [cid] - Piece CID of the stored image (event archives)
+ * @property {string} [fotoowl_image_id] - FotoOwl image identifier (event archives)
+ * @property {string} [source_url] - URL the image was downloaded from (URL archives)
+ */
+
+/**
+ * Image left out of an archive
+ * @typedef {Object} SkippedFile
+ * @property {string} [cid] - Piece CID of the stored image
+ * @property {string} [source_url] - Image URL
+ * @property {string} reason - Why the image was left out
+ */
+
+/**
+ * Contents of an archive, stored as `manifest.json` and sent to the backend
+ * @typedef {Object} ArchiveManifest
+ * @property {string} archive_id - Archive identifier
+ * @property {string} event_id - Event identifier
+ * @property {"event"|"urls"} source - Where the images came from
+ * @property {"zip"} format - Archive format
+ * @property {number} file_count - Images in the archive
+ * @property {number} total_size - Bytes of all images
+ * @property {ArchiveFile[]} files - Images in the archive
+ * @property {SkippedFile[]} skipped - Images left out
+ * @property {string} created_at - ISO timestamp the archive was built
+ */
+
+/**
+ * Archive persisted while (and after) it is built
+ * @typedef {Object} EventArchive
+ * @property {string} id - Archive identifier
+ * @property {"received"|"collecting"|"uploading"|"completed"|"failed"} status - Current state
+ * @property {string|null} user_id - Caller who requested the archive
+ * @property {boolean} owner_only - Whether only the caller's own uploads are included
+ * @property {string} event_id - Event identifier
+ * @property {"event"|"urls"} source - Where the images come from
+ * @property {string[]|null} image_urls - Image URLs to download, or null for the event's recorded images
+ * @property {string} name - File name of the archive
+ * @property {import("./storage-policy.js").StorageOptions} storage_options - CDN and provider choices
+ * @property {string} [cid] - Piece CID of the archive
+ * @property {string} [filecoin_url] - Retrieval URL of the archive
+ * @property {number} [size] - Archive size in bytes
+ * @property {import("./filecoin.js").PieceCopy[]} [copies] - Every copy of the archive piece
+ * @property {ArchiveManifest} [manifest] - Archive contents
+ * @property {Object} [notification] - Backend notification outcome
+ * @property {string} [error] - Failure reason
+ * @property {string} [code] - Machine-readable failure code
+ * @property {string} created_at - ISO timestamp of archive creation
+ * @property {string} updated_at - ISO timestamp of the last update
+ * @property {string} [completed_at] - ISO timestamp the archive was stored
+ */
+
+const ARCHIVE_PREFIX = "archive:";
+const PENDING_PREFIX = "archive-pending:";
+
+const DEFAULT_MAX_FILES = 1000;
+// Images and ZIP together must fit in the isolate's 128MB
+const DEFAULT_MAX_BYTES = 40 * 1024 * 1024;
+const DOWNLOAD_CONCURRENCY = 4;
+
+// Cron invocations are stopped after 15 minutes, so older builds have died
+const STALE_AFTER_MS = 15 * 60 * 1000;
+
+/**
+ * Error raised when an archive cannot be built
+ */
+export class ArchiveError extends Error {
+  /**
+   * @param {string} message - Reason for the failure
+   * @param {string} code - Machine-readable error code
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = "ArchiveError";
+    this.code = code;
+  }
+}
+
+/**
+ * Reads archive limits from the environment
+ * @param {Object} env - Worker environment
+ * @returns {{maxFiles: number, maxBytes: number}} Archive limits
+ */
+function getArchiveConfig(env) {
+  return {
+    maxFiles: parseInt(env.ARCHIVE_MAX_FILES) || DEFAULT_MAX_FILES,
+    maxBytes: Math.min(
+      parseInt(env.ARCHIVE_MAX_BYTES) || DEFAULT_MAX_BYTES,
+      MAX_FILE_SIZE
+    ),
+  };
+}
+
+/**
+ * Validates an archive request body
+ *
+ * Requires `event_id`. With `image_urls` the archive holds those images;
+ * without it, every image recorded for the event. `name` sets the archive
+ * file name, and storage options (`with_cdn`, `provider_id`, ...) apply
+ * to the archive piece.
+ * @param {*} body - Parsed JSON body
+ * @param {Object} env - Worker environment
+ * @returns {{request: {eventId: string, imageUrls: string[]|null, name: string}, storageOptions: import("./storage-policy.js").StorageOptions, errors: {field: string, message: string}[]}} Validated request, storage options and any errors
+ */
+export function validateArchive(body, env) {
+  const { maxFiles } = getArchiveConfig(env);
+  const fields = body && typeof body === "object" ? body : {};
+  const storage = resolveStorageOptions(env, "json", getStorageFields(fields));
+  const errors = [...storage.errors];
+
+  const eventId =
+    typeof fields.event_id === "number"
+      ? String(fields.event_id)
+      : fields.event_id;
+  if (typeof eventId !== "string" || eventId.trim() === "") {
+    errors.push({ field: "event_id", message: "Required" });
+  }
+
+  let imageUrls = null;
+  if (fields.image_urls !== undefined) {
+    if (!Array.isArray(fields.image_urls) || fields.image_urls.length === 0) {
+      errors.push({
+        field: "image_urls",
+        message: "Must be a non-empty array",
+      });
+    } else if (fields.image_urls.length > maxFiles) {
+      errors.push({
+        field: "image_urls",
+        message: `At most ${maxFiles} images per archive`,
+      });
+    } else {
+      fields.image_urls.forEach((url, index) => {
+        const urlError =
+          typeof url === "string"
+            ? checkImageUrl(env, url)
+            : "Must be an http(s) URL";
+        if (urlError) {
+          errors.push({ field: `image_urls[${index}]`, message: urlError });
+        }
+      });
+      imageUrls = [...new Set(fields.image_urls)];
+    }
+  }
+
+  if (fields.name !== undefined && typeof fields.name !== "string") {
+    errors.push({ field: "name", message: "Must be a string" });
+  }
+  const baseName = sanitizeFileName(
+    (typeof fields.name === "string" && fields.name) || `event-${eventId}`
+  ).replace(/\.zip$/i, "");
+
+  return {
+    request: { eventId, imageUrls, name: `${baseName || "event"}.zip` },
+    storageOptions: storage.options,
+    errors,
+  };
+}
+
+/**
+ * Persists an archive
+ * @param {Object} env - Worker environment
+ * @param {EventArchive} archive - Archive to save
+ * @returns {Promise<EventArchive>} Saved archive
+ */
+async function saveArchive(env, archive) {
+  const saved = { ...archive, updated_at: new Date().toISOString() };
+  await getStore(env).put(ARCHIVE_PREFIX + archive.id, saved, {
+    expirationTtl: getJobTtl(env),
+  });
+  return saved;
+}
+
+/**
+ * Creates an archive in the `received` state and queues it for the cron trigger
+ * @param {Object} env - Worker environment
+ * @param {import("./auth.js").AuthResult} auth - Authenticated caller
+ * @param {{eventId: string, imageUrls: string[]|null, name: string}} request - Validated request
+ * @param {import("./storage-policy.js").StorageOptions} [storageOptions] - Storage options for the archive piece
+ * @returns {Promise<EventArchive>} Created archive
+ */
+export async function createArchive(
+  env,
+  auth,
+  request,
+  storageOptions = DEFAULT_STORAGE_OPTIONS
+) {
+  const now = new Date().toISOString();
+  const archive = await saveArchive(env, {
+    id: crypto.randomUUID(),
+    status: "received",
+    user_id: auth.userId,
+    // Token callers may only bundle their own uploads
+    owner_only: auth.mode === "token",
+    event_id: request.eventId,
+    source: request.imageUrls ? "urls" : "event",
+    image_urls: request.imageUrls,
+    name: request.name,
+    storage_options: storageOptions,
+    created_at: now,
+    updated_at: now,
+  });
+  await getStore(env).put(
+    PENDING_PREFIX + archive.id,
+    { id: archive.id, created_at: now },
+    { expirationTtl: getJobTtl(env) }
+  );
+  return archive;
+}
+
+/**
+ * Looks up an archive by id
+ * @param {Object} env - Worker environment
+ * @param {string} id - Archive identifier
+ * @returns {Promise<EventArchive|null>} Archive, or null if unknown or expired
+ */
+export async function getArchive(env, id) {
+  return getStore(env).get(ARCHIVE_PREFIX + id);
+}
+
+/**
+ * Builds the path of an image inside the archive
+ * @param {number} position - 1-based position of the image
+ * @param {string} name - Image file name
+ * @returns {string} Unique archive path
+ */
+function archivePath(position, name) {
+  return `images/${String(position).padStart(4, "0")}-${name}`;
+}
+
+/**
+ * Downloads the images recorded for the archive's event
+ * @param {Object} env - Worker environment
+ * @param {EventArchive} archive - Archive being built
+ * @param {number} maxBytes - Largest total size allowed
+ * @returns {Promise<{outcomes: Object[], skipped: SkippedFile[]}>} Download outcomes, and the images left out before downloading
+ * @throws {ArchiveError} If the event has too many images or too many bytes
+ */
+async function collectEventImages(env, archive, maxBytes) {
+  const { maxFiles } = getArchiveConfig(env);
+  const seen = new Set();
+  const records = (await listEventUploads(env, archive.event_id))
+    .filter(
+      (record) => !archive.owner_only || record.user_id === archive.user_id
+    )
+    .filter((record) => !seen.has(record.cid) && seen.add(record.cid))
+    .sort((a, b) => a.created_at.localeCompare(b.created_at));
+
+  if (records.length > maxFiles) {
+    throw new ArchiveError(
+      `Event ${archive.event_id} has ${records.length} images (maximum ${maxFiles} per archive)`,
+      "archive_too_many_files"
+    );
+  }
+  const plaintext = records.filter((record) => !record.encryption);
+  const expectedBytes = plaintext.reduce((sum, record) => sum + record.size, 0);
+  if (expectedBytes > maxBytes) {
+    throw new ArchiveError(
+      `Event ${archive.event_id} holds ${expectedBytes} bytes of images (maximum ${maxBytes} per archive)`,
+      "archive_too_large"
+    );
+  }
+
+  const skipped = records
+    .filter((record) => record.encryption)
+    // Bundling decrypted images would publish them
+    .map((record) => ({ cid: record.cid, reason: "Image is encrypted" }));
+
+  const outcomes = await mapWithConcurrency(
+    plaintext,
+    DOWNLOAD_CONCURRENCY,
+    async (record) => {
+      try {
+        const bytes = await downloadPiece(record, getPieceSize(record));
+        return {
+          bytes,
+          entry: {
+            size: bytes.length,
+            sha256: record.sha256 || (await hashContent(bytes)),
+            ...(record.mime_type && { mime_type: record.mime_type }),
+            cid: record.cid,
+            ...(record.fotoowl_image_id && {
+              fotoowl_image_id: record.fotoowl_image_id,
+            }),
+            name: record.name,
+          },
+        };
+      } catch (downloadError) {
+        return { skipped: { cid: record.cid, reason: downloadError.message } };
+      }
+    }
+  );
+
+  return { outcomes, skipped };
+}
+
+/**
+ * Downloads the image URLs of an archive
+ * @param {Object} env - Worker environment
+ * @param {string[]} imageUrls - Validated image URLs
+ * @param {number} maxBytes - Largest total size allowed
+ * @returns {Promise<{outcomes: Object[], skipped: SkippedFile[]}>} Download outcomes
+ */
+async function collectUrlImages(env, imageUrls, maxBytes) {
+  const outcomes = await mapWithConcurrency(
+    imageUrls,
+    DOWNLOAD_CONCURRENCY,
+    async (url) => {
+      try {
+        const { bytes } = await fetchImage(env, url, maxBytes);
+        const image = inspectImage(bytes);
+        const name = decodeURIComponent(
+          new URL(url).pathname.split("/").pop() || ""
+        );
+        return {
+          bytes,
+          entry: {
+            size: bytes.length,
+            sha256: await hashContent(bytes),
+            ...(image && { mime_type: image.mime_type }),
+            source_url: url,
+            name,
+          },
+        };
+      } catch (downloadError) {
+        return { skipped: { source_url: url, reason: downloadError.message } };
+      }
+    }
+  );
+  return { outcomes, skipped: [] };
+}
+
+/**
+ * Downloads an archive's images and builds the ZIP file
+ * @param {Object} env - Worker environment
+ * @param {EventArchive} archive - Archive being built
+ * @returns {Promise<{zip: Uint8Array, manifest: ArchiveManifest}>} Archive bytes and manifest
+ * @throws {ArchiveError} If no image could be collected or the archive is too large
+ */
+async function buildArchive(env, archive) {
+  const { maxBytes } = getArchiveConfig(env);
+  const imageUrls = archive.image_urls;
+  const { outcomes, skipped } = imageUrls
+    ? await collectUrlImages(env, imageUrls, maxBytes)
+    : await collectEventImages(env, archive, maxBytes);
+
+  const files = [];
+  const entries = [];
+  let totalSize = 0;
+  for (const outcome of outcomes) {
+    if (outcome.skipped) {
+      skipped.push(outcome.skipped);
+      continue;
+    }
+    const { name, ...entry } = outcome.entry;
+    const path = archivePath(
+      files.length + 1,
+      sanitizeFileName(name) || "image"
+    );
+    files.push({ path, ...entry });
+    entries.push({ path, bytes: outcome.bytes });
+    totalSize += entry.size;
+  }
+
+  if (files.length === 0) {
+    throw new ArchiveError(
+      imageUrls
+        ? "None of the image URLs could be downloaded"
+        : `No images are recorded for event ${archive.event_id}`,
+      "archive_empty"
+    );
+  }
+  if (totalSize > maxBytes) {
+    throw new ArchiveError(
+      `Images total ${totalSize} bytes (maximum ${maxBytes} per archive)`,
+      "archive_too_large"
+    );
+  }
+
+  const manifest = {
+    archive_id: archive.id,
+    event_id: archive.event_id,
+    source: archive.source,
+    format: "zip",
+    file_count: files.length,
+    total_size: totalSize,
+    files,
+    skipped,
+    created_at: new Date().toISOString(),
+  };
+  const zip = createZip([
+    {
+      path: "manifest.json",
+      bytes: new TextEncoder().encode(JSON.stringify(manifest, null, 2)),
+    },
+    ...entries,
+  ]);
+  return { zip, manifest };
+}
+
+/**
+ * Sends the backend notification for a stored archive
+ * @param {Object} env - Worker environment
+ * @param {EventArchive} archive - Completed archive
+ * @returns {Promise<EventArchive>} Archive with the notification outcome
+ */
+async function notifyArchive(env, archive) {
+  const payload = {
+    archive_id: archive.id,
+    event_id: archive.event_id,
+    ...(archive.user_id && { user_id: archive.user_id }),
+    name: archive.name,
+    cid: archive.cid,
+    filecoin_url: archive.filecoin_url,
+    size: archive.size,
+    format: "zip",
+    copies: archive.copies,
+    manifest: archive.manifest,
+  };
+
+  try {
+    const entry = await enqueueNotification(
+      env,
+      archive.cid,
+      payload,
+      BACKEND_ARCHIVES_PATH
+    );
+    const { ok, status, ...details } = await deliverWithRetries(env, entry);
+    return saveArchive(env, {
+      ...archive,
+      notification: {
+        status: status === "dead_letter" ? "failed" : status,
+        ...details,
+      },
+    });
+  } catch (outboxError) {
+    console.error("Archive notification outbox error:", outboxError.message);
+    return archive;
+  }
+}
+
+/**
+ * Builds, stores and announces an archive
+ * @param {Object} env - Worker environment
+ * @param {EventArchive} archive - Archive created for the request
+ * @returns {Promise<{archive: EventArchive, notification: Promise<EventArchive>}>} Finished archive, and a promise that settles once the backend notification has been attempted and the piece is confirmed or failed on chain (never rejects)
+ */
+async function runArchive(env, archive) {
+  let current = archive;
+  try {
+    current = await saveArchive(env, { ...current, status: "collecting" });
+    const { zip, manifest } = await buildArchive(env, current);
+
+    const storageOptions = current.storage_options || DEFAULT_STORAGE_OPTIONS;
+    const refusal = await checkWalletFunds(
+      env,
+      zip.length,
+      storageOptions.withCDN
+    );
+    if (refusal) {
+      throw new ArchiveError(refusal.message, refusal.code);
+    }
+
+    current = await saveArchive(env, { ...current, status: "uploading" });
+    const { pieceCid, storage, copies, confirmation } = await storeOnFilecoin(
+      env,
+      zip,
+      storageOptions
+    );
+    const filecoinUrl = buildFilecoinUrl(env, pieceCid, storage);
+
+    // Recorded like an upload, so /files/:cid and /uploads/:cid/status work for it
+    await saveUploadRecord(
+      env,
+      {
+        name: current.name,
+        size: zip.length,
+        cid: pieceCid,
+        filecoin_url: filecoinUrl,
+        ...(current.user_id && { user_id: current.user_id }),
+        is_selfie: false,
+        mime_type: "application/zip",
+        copies,
+      },
+      "archive",
+      { event_id: current.event_id, archive_id: current.id, storage }
+    ).catch((recordError) => {
+      console.error("Failed to save archive record:", recordError.message);
+    });
+
+    current = await saveArchive(env, {
+      ...current,
+      status: "completed",
+      cid: pieceCid,
+      filecoin_url: filecoinUrl,
+      size: zip.length,
+      copies,
+      manifest,
+      completed_at: new Date().toISOString(),
+    });
+    console.log(
+      `Archive ${current.id} of event ${current.event_id} stored as ${pieceCid} (${manifest.file_count} images, ${zip.length} bytes)`
+    );
+
+    const notification = env.BACKEND_API_URL
+      ? notifyArchive(env, current)
+      : Promise.resolve(current);
+    return {
+      archive: current,
+      notification: Promise.all([notification, confirmation]).then(
+        ([notified]) => notified
+      ),
+    };
+  } catch (archiveError) {
+    console.error(`Archive ${archive.id} failed:`, archiveError.message);
+    current = await saveArchive(env, {
+      ...current,
+      status: "failed",
+      error: archiveError.message,
+      ...(archiveError.code && { code: archiveError.code }),
+    }).catch(() => current);
+    return { archive: current, notification: Promise.resolve(current) };
+  }
+}
+
+/**
+ * Builds the oldest queued archive (run from the cron trigger)
+ *
+ * Builds that stopped reporting for longer than a cron invocation may run
+ * are marked failed. No archive is started while another is being built.
+ * @param {Object} env - Worker environment
+ * @returns {Promise<{started: string|null, failed: number}>} Archive built by this run, and the number of stale builds failed
+ */
+export async function processArchives(env) {
+  const store = getStore(env);
+  let cursor;
+  let next = null;
+  let building = false;
+  let failed = 0;
+
+  do {
+    const page = await store.list(PENDING_PREFIX, { cursor });
+    for (const key of page.keys) {
+      const archive = await getArchive(env, key.slice(PENDING_PREFIX.length));
+      if (!archive || ["completed", "failed"].includes(archive.status)) {
+        await store.delete(key);
+        continue;
+      }
+      if (archive.status === "received") {
+        if (!next || archive.created_at < next.created_at) {
+          next = archive;
+        }
+        continue;
+      }
+      if (Date.now() - Date.parse(archive.updated_at) <= STALE_AFTER_MS) {
+        building = true;
+        continue;
+      }
+      console.error(`Archive ${archive.id} stalled while ${archive.status}`);
+      await saveArchive(env, {
+        ...archive,
+        status: "failed",
+        error: `Archive build stopped while ${archive.status}`,
+        code: "archive_timeout",
+      });
+      await store.delete(key);
+      failed++;
+    }
+    cursor = page.cursor;
+  } while (cursor);
+
+  if (!next || building) {
+    return { started: null, failed };
+  }
+  const { notification } = await runArchive(env, next);
+  await store.delete(PENDING_PREFIX + next.id);
+  await notification;
+  return { started: next.id, failed };
+}
+
+/**
+ * Brings an archive up to date with the notification status of its record
+ *
+ * Notifications retried later by the outbox only update upload records,
+ * so archives are reconciled when they are read.
+ * @param {Object} env - Worker environment
+ * @param {EventArchive} archive - Archive to reconcile
+ * @returns {Promise<EventArchive>} Up-to-date archive
+ */
+export async function syncArchiveNotification(env, archive) {
+  if (archive.notification?.status !== "pending") {
+    return archive;
+  }
+  const record = await getUploadRecord(env, archive.cid);
+  if (!record || record.notification.status === "pending") {
+    return archive;
+  }
+  const { updated_at, ...notification } = record.notification;
+  return saveArchive(env, { ...archive, notification });
+}
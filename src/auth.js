@@ -0,0 +1,307 @@
+import { errorResponse } from "./http.js";
+
+/**
+ * Request authentication for the upload worker
+ *
+ * Two credential types are accepted:
+ * - `Authorization: Bearer <jwt>`: HS256 JWT signed with AUTH_JWT_SECRET.
+ *   The user id is taken from the `sub` (or `user_id`) claim.
+ * - `x-service-key: <key>`: shared SERVICE_API_KEY for server-to-server
+ *   JSON uploads. The caller may attribute the upload via `user-id`.
+ */
+
+/**
+ * Allowed clock skew when checking `exp` / `nbf` claims, in seconds
+ */
+const CLOCK_SKEW_SECONDS = 30;
+
+/**
+ * Result of authenticating a request
+ * @typedef {Object} AuthResult
+ * @property {boolean} ok - Whether the request is authenticated
+ * @property {string|null} [userId] - Authenticated user identifier
+ * @property {"token"|"service"|"admin"|"unauthenticated"} [mode] - Credential type used
+ * @property {Object} [claims] - Verified JWT claims (token mode only)
+ * @property {Response} [response] - Error response to return when not ok
+ */
+
+/**
+ * Decodes a base64url string into bytes
+ * @param {string} input - base64url encoded string
+ * @returns {Uint8Array} Decoded bytes
+ */
+function base64UrlDecode(input) {
+  const base64 = input.replace(/-/g, "+").replace(/_/g, "/");
+  const padded = base64 + "=".repeat((4 - (base64.length % 4)) % 4);
+  const binary = atob(padded);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Compares two strings without short-circuiting on the first difference
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} True if both strings are equal
+ */
+export function timingSafeEqual(a, b) {
+  const encoder = new TextEncoder();
+  const left = encoder.encode(a);
+  const right = encoder.encode(b);
+  let diff = left.length ^ right.length;
+  for (let i = 0; i < left.length; i++) {
+    diff |= left[i] ^ (right[i % right.length] || 0);
+  }
+  return diff === 0;
+}
+
+/**
+ * Verifies an HS256 JWT and returns its claims
+ * @param {string} token - Compact JWT
+ * @param {string} secret - Shared HMAC secret
+ * @param {Object} [options] - Optional claim checks
+ * @param {string} [options.issuer] - Expected `iss` claim
+ * @param {string} [options.audience] - Expected `aud` claim
+ * @returns {Promise<Object>} Verified claims
+ * @throws {Error} If the token is malformed, badly signed or expired
+ */
+export async function verifyJwt(token, secret, options = {}) {
+  const parts = token.split(".");
+  if (parts.length !== 3) {
+    throw new Error("Malformed token");
+  }
+  const [encodedHeader, encodedPayload, encodedSignature] = parts;
+
+  let header;
+  let claims;
+  try {
+    const decoder = new TextDecoder();
+    header = JSON.parse(decoder.decode(base64UrlDecode(encodedHeader)));
+    claims = JSON.parse(decoder.decode(base64UrlDecode(encodedPayload)));
+  } catch (decodeError) {
+    throw new Error("Malformed token");
+  }
+
+  if (header.alg !== "HS256") {
+    throw new Error(`Unsupported token algorithm: ${header.alg}`);
+  }
+
+  const key = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["verify"]
+  );
+  const signatureValid = await crypto.subtle.verify(
+    "HMAC",
+    key,
+    base64UrlDecode(encodedSignature),
+    new TextEncoder().encode(`${encodedHeader}.${encodedPayload}`)
+  );
+  if (!signatureValid) {
+    throw new Error("Invalid token signature");
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp === "number" && now > claims.exp + CLOCK_SKEW_SECONDS) {
+    throw new Error("Token expired");
+  }
+  if (typeof claims.nbf === "number" && now < claims.nbf - CLOCK_SKEW_SECONDS) {
+    throw new Error("Token not yet valid");
+  }
+  if (options.issuer && claims.iss !== options.issuer) {
+    throw new Error("Invalid token issuer");
+  }
+  if (options.audience) {
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(options.audience)) {
+      throw new Error("Invalid token audience");
+    }
+  }
+
+  return claims;
+}
+
+/**
+ * Authenticates a request
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ * @param {Object} [options] - Authentication options
+ * @param {boolean} [options.allowServiceKey=false] - Whether service keys are accepted (JSON uploads and lookups)
+ * @returns {Promise<AuthResult>} Authentication result
+ */
+export async function authenticateRequest(request, env, options = {}) {
+  const headerUserId = request.headers.get("user-id");
+
+  // Service-to-server mode: only valid where the caller allows it
+  const serviceKey = request.headers.get("x-service-key");
+  if (serviceKey) {
+    if (!env.SERVICE_API_KEY) {
+      return {
+        ok: false,
+        response: errorResponse(
+          401,
+          "Unauthorized",
+          "service_key_not_configured",
+          "Service key authentication is not enabled"
+        ),
+      };
+    }
+    if (!timingSafeEqual(serviceKey, env.SERVICE_API_KEY)) {
+      return {
+        ok: false,
+        response: errorResponse(
+          401,
+          "Unauthorized",
+          "invalid_service_key",
+          "Service key is invalid"
+        ),
+      };
+    }
+    if (!options.allowServiceKey) {
+      return {
+        ok: false,
+        response: errorResponse(
+          403,
+          "Forbidden",
+          "service_key_not_allowed",
+          "Service keys may only be used for JSON uploads and lookups"
+        ),
+      };
+    }
+    return { ok: true, userId: headerUserId || null, mode: "service" };
+  }
+
+  const authorization = request.headers.get("authorization") || "";
+  const bearerMatch = authorization.match(/^Bearer\s+(.+)$/i);
+
+  if (!bearerMatch) {
+    // Local development escape hatch: trust the raw user-id header
+    if (env.AUTH_DISABLED === "true") {
+      return { ok: true, userId: headerUserId, mode: "unauthenticated" };
+    }
+    return {
+      ok: false,
+      response: errorResponse(
+        401,
+        "Unauthorized",
+        "missing_credentials",
+        "Provide an 'Authorization: Bearer <token>' header",
+        { "WWW-Authenticate": 'Bearer realm="upload-worker"' }
+      ),
+    };
+  }
+
+  if (!env.AUTH_JWT_SECRET) {
+    return {
+      ok: false,
+      response: errorResponse(
+        500,
+        "Authentication not configured",
+        "auth_not_configured",
+        "AUTH_JWT_SECRET not configured"
+      ),
+    };
+  }
+
+  let claims;
+  try {
+    claims = await verifyJwt(bearerMatch[1].trim(), env.AUTH_JWT_SECRET, {
+      issuer: env.AUTH_JWT_ISSUER,
+      audience: env.AUTH_JWT_AUDIENCE,
+    });
+  } catch (tokenError) {
+    console.warn("Token verification failed:", tokenError.message);
+    return {
+      ok: false,
+      response: errorResponse(
+        401,
+        "Unauthorized",
+        "invalid_token",
+        tokenError.message,
+        {
+          "WWW-Authenticate":
+            'Bearer realm="upload-worker", error="invalid_token"',
+        }
+      ),
+    };
+  }
+
+  const tokenUserId = claims.sub || claims.user_id;
+  if (!tokenUserId) {
+    return {
+      ok: false,
+      response: errorResponse(
+        403,
+        "Forbidden",
+        "missing_subject",
+        "Token does not identify a user"
+      ),
+    };
+  }
+
+  // A user-id header is no longer needed, but if sent it must match the token
+  if (headerUserId && headerUserId !== String(tokenUserId)) {
+    return {
+      ok: false,
+      response: errorResponse(
+        403,
+        "Forbidden",
+        "user_mismatch",
+        "user-id header does not match the authenticated user"
+      ),
+    };
+  }
+
+  return { ok: true, userId: String(tokenUserId), mode: "token", claims };
+}
+
+/**
+ * Checks whether an authenticated caller may read a stored upload record or job
+ * @param {AuthResult} auth - Successful authentication result
+ * @param {{user_id?: string}} record - Upload record or job
+ * @returns {boolean} True if the caller owns the record or is a trusted service
+ */
+export function canAccessRecord(auth, record) {
+  if (auth.mode === "service" || auth.mode === "unauthenticated") {
+    return true;
+  }
+  return Boolean(record.user_id) && record.user_id === auth.userId;
+}
+
+/**
+ * Authenticates an admin request using the `x-admin-key` header
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ * @returns {AuthResult} Authentication result
+ */
+export function authenticateAdmin(request, env) {
+  if (!env.ADMIN_API_KEY) {
+    return {
+      ok: false,
+      response: errorResponse(
+        403,
+        "Forbidden",
+        "admin_not_configured",
+        "Admin routes are disabled (ADMIN_API_KEY not configured)"
+      ),
+    };
+  }
+  const adminKey = request.headers.get("x-admin-key");
+  if (!adminKey || !timingSafeEqual(adminKey, env.ADMIN_API_KEY)) {
+    return {
+      ok: false,
+      response: errorResponse(
+        401,
+        "Unauthorized",
+        "invalid_admin_key",
+        "Provide a valid 'x-admin-key' header"
+      ),
+    };
+  }
+  return { ok: true, userId: null, mode: "admin" };
+}
@@ -0,0 +1,158 @@
+/**
+ * Notifications to the FotoOwl backend API
+ *
+ * Every request body is signed with HMAC-SHA256 over
+ * `${timestamp}.${deliveryId}.${body}` using BACKEND_WEBHOOK_SECRET. The
+ * backend should recompute the signature, reject stale timestamps and
+ * ignore delivery IDs it has already processed (retries reuse the ID).
+ */
+
+/**
+ * Header names carrying the notification signature
+ */
+export const SIGNATURE_HEADER = "X-Signature";
+export const TIMESTAMP_HEADER = "X-Signature-Timestamp";
+export const DELIVERY_ID_HEADER = "X-Delivery-Id";
+
+/**
+ * Backend endpoint that receives stored image records
+ */
+export const BACKEND_IMAGES_PATH = "/api/v1/internal/images";
+
+/**
+ * Backend endpoint that receives the aggregated result of a batch upload
+ */
+export const BACKEND_BATCH_PATH = "/api/v1/internal/images/batch";
+
+/**
+ * Backend endpoint that receives the on-chain outcome of stored pieces
+ */
+export const BACKEND_CONFIRMATIONS_PATH =
+  "/api/v1/internal/images/confirmations";
+
+/**
+ * Backend endpoint that receives finished event archives
+ */
+export const BACKEND_ARCHIVES_PATH = "/api/v1/internal/events/archives";
+
+/**
+ * Backend endpoint that receives operational alerts (e.g. low wallet balance)
+ */
+export const BACKEND_ALERTS_PATH = "/api/v1/internal/alerts";
+
+/**
+ * Outcome of a backend notification
+ * @typedef {Object} NotificationResult
+ * @property {boolean} ok - Whether the backend accepted the notification
+ * @property {number} [http_status] - HTTP status returned by the backend
+ * @property {string} [error] - Error message when the request failed
+ */
+
+/**
+ * Computes the hex HMAC-SHA256 signature of a notification
+ * @param {string} secret - Shared webhook secret
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @param {string} deliveryId - Delivery identifier
+ * @param {string} body - Serialized JSON body
+ * @returns {Promise<string>} Hex-encoded signature
+ */
+export async function signNotification(secret, timestamp, deliveryId, body) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const signature = await crypto.subtle.sign(
+    "HMAC",
+    key,
+    encoder.encode(`${timestamp}.${deliveryId}.${body}`)
+  );
+  return [...new Uint8Array(signature)]
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+/**
+ * Builds the signature headers for a notification body
+ * @param {Object} env - Worker environment
+ * @param {string} deliveryId - Delivery identifier
+ * @param {string} body - Serialized JSON body
+ * @returns {Promise<Object>} Signature headers (only the delivery ID when no secret is configured)
+ */
+async function buildSignatureHeaders(env, deliveryId, body) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const headers = {
+    [DELIVERY_ID_HEADER]: deliveryId,
+    [TIMESTAMP_HEADER]: String(timestamp),
+  };
+
+  if (!env.BACKEND_WEBHOOK_SECRET) {
+    console.warn(
+      "BACKEND_WEBHOOK_SECRET not configured; sending unsigned notification"
+    );
+    return headers;
+  }
+
+  const signature = await signNotification(
+    env.BACKEND_WEBHOOK_SECRET,
+    timestamp,
+    deliveryId,
+    body
+  );
+  headers[SIGNATURE_HEADER] = `sha256=${signature}`;
+  return headers;
+}
+
+/**
+ * Posts a signed payload to the backend API
+ * @param {Object} env - Worker environment
+ * @param {Object} payload - Payload to send
+ * @param {Object} [options] - Delivery options
+ * @param {string} [options.path] - Backend API path (defaults to the images endpoint)
+ * @param {string} [options.deliveryId] - Delivery identifier, reused across retries
+ * @returns {Promise<NotificationResult>} Delivery outcome (never throws)
+ */
+export async function notifyBackend(env, payload, options = {}) {
+  const path = options.path || BACKEND_IMAGES_PATH;
+  const deliveryId = options.deliveryId || crypto.randomUUID();
+
+  try {
+    // Payloads carry wrapped encryption keys, so only the subject is logged
+    const subject = payload.batch_id
+      ? `batch ${payload.batch_id}`
+      : payload.cid;
+    console.log(
+      `Notifying backend API about ${subject} (delivery ${deliveryId}):`,
+      env.BACKEND_API_URL + path
+    );
+
+    const body = JSON.stringify(payload);
+    const backendResponse = await fetch(env.BACKEND_API_URL + path, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(env.BACKEND_API_KEY && {
+          Authorization: `Basic ${env.BACKEND_API_KEY}`,
+        }),
+        ...(await buildSignatureHeaders(env, deliveryId, body)),
+      },
+      body,
+    });
+
+    if (!backendResponse.ok) {
+      console.error(
+        `Backend API notification failed: ${backendResponse.status}`
+      );
+      return { ok: false, http_status: backendResponse.status };
+    }
+
+    console.log("Backend API notified successfully");
+    return { ok: true, http_status: backendResponse.status };
+  } catch (backendError) {
+    console.error("Backend API notification error:", backendError.message);
+    return { ok: false, error: backendError.message };
+  }
+}
@@ -0,0 +1,787 @@
+import { BACKEND_BATCH_PATH } from "./backend.js";
+import { MAX_FILE_SIZE, MIN_FILE_SIZE, PayloadTooLargeError } from "./body.js";
+import { checkContentPolicy } from "./content-policy.js";
+import { findByContentHash, findByImageId, hashContent } from "./dedup.js";
+import { checkImageUrl, fetchImage } from "./fetcher.js";
+import { resolveImageMetadata } from "./image-info.js";
+import { getJobTtl } from "./jobs.js";
+import { applyMetadataPolicy } from "./metadata.js";
+import { deliverWithRetries, enqueueNotification } from "./outbox.js";
+import { checkStorageQuota, getLimitSubjects } from "./rate-limit.js";
+import {
+  buildNotificationPayload,
+  canReusePiece,
+  finalizeDuplicate,
+  finalizeUpload,
+  reuseImageRecord,
+  storePreparedUpload,
+} from "./pipeline.js";
+import { getUploadRecord } from "./records.js";
+import { getStore } from "./store.js";
+import {
+  DEFAULT_STORAGE_OPTIONS,
+  getStorageFields,
+  resolveStorageOptions,
+} from "./storage-policy.js";
+import { checkWalletFunds } from "./wallet.js";
+import { sanitizeFileName } from "./types.js";
+
+/**
+ * Batch JSON uploads
+ *
+ * A batch is validated as a whole before anything is downloaded. Images
+ * are then downloaded with bounded concurrency and uploaded one at a time
+ * through the isolate's cached storage context, so a batch costs one
+ * `Synapse.create` however many images it holds. The backend receives one aggregated
+ * notification per batch instead of one per image.
+ *
+ * Async batches are built by the cron trigger, one at a time. A run stops
+ * taking new images after RUN_BUDGET_MS and the next run resumes the batch
+ * from its saved results.
+ */
+
+/**
+ * Validated batch item
+ * @typedef {Object} BatchItem
+ * @property {number} index - Position in the submitted batch
+ * @property {string} event_id - Event identifier
+ * @property {string} image_url - URL of the image to download
+ * @property {string} fotoowl_image_id - FotoOwl image identifier
+ * @property {string} [name] - File name
+ * @property {*} [height] - Client-supplied image height in pixels
+ * @property {*} [width] - Client-supplied image width in pixels
+ */
+
+/**
+ * Outcome of one batch item
+ * @typedef {Object} BatchItemResult
+ * @property {number} index - Position in the submitted batch
+ * @property {string} event_id - Event identifier
+ * @property {string} fotoowl_image_id - FotoOwl image identifier
+ * @property {"stored"|"duplicate"|"failed"} status - Item outcome
+ * @property {string} [cid] - Piece CID (stored and duplicate items)
+ * @property {string} [filecoin_url] - Retrieval URL (stored and duplicate items)
+ * @property {string} [name] - File name
+ * @property {number} [size] - File size in bytes
+ * @property {import("./filecoin.js").StorageInfo} [storage] - Provider and data set (stored items)
+ * @property {import("./filecoin.js").PieceCopy[]} [copies] - Every copy of the piece (stored items, and failed items that missed the replication minimum)
+ * @property {import("./metadata.js").MetadataReport} [metadata] - Metadata removed by the metadata policy (stored and duplicate items)
+ * @property {string} [error] - Failure reason (failed items)
+ */
+
+/**
+ * Batch persisted while (and after) its images are processed
+ * @typedef {Object} UploadBatch
+ * @property {string} id - Batch identifier
+ * @property {"received"|"running"|"completed"|"failed"} status - Current state
+ * @property {string|null} user_id - Owner of the batch
+ * @property {number} total - Number of images submitted
+ * @property {{stored: number, duplicate: number, failed: number}} counts - Items per outcome
+ * @property {BatchItemResult[]} results - Per-item results, in submission order
+ * @property {import("./storage-policy.js").StorageOptions} storage_options - CDN and provider choices for every image
+ * @property {BatchItem[]} items - Validated items, kept so the cron trigger can build the batch
+ * @property {Object[]} [images] - Notification entries of the items settled so far
+ * @property {boolean} [paused] - Whether a run stopped at its time budget with items left
+ * @property {Object} [notification] - Aggregated backend notification outcome
+ * @property {string} [error] - Failure reason if the batch could not run
+ * @property {string} [code] - Machine-readable failure code
+ * @property {string} created_at - ISO timestamp of batch creation
+ * @property {string} updated_at - ISO timestamp of the last update
+ * @property {string} [completed_at] - ISO timestamp the last item settled
+ */
+
+const BATCH_PREFIX = "batch:";
+const PENDING_PREFIX = "batch-pending:";
+
+const DEFAULT_MAX_ITEMS = 500;
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_MAX_ITEM_BYTES = 16 * 1024 * 1024;
+
+// Downloads held at once, waiting for their turn to upload, stay within this
+const IN_FLIGHT_BYTES = 64 * 1024 * 1024;
+
+// A cron run stops taking new images after this long...
+const RUN_BUDGET_MS = 10 * 60 * 1000;
+
+// ...and is stopped after 15 minutes, so builds silent for longer have died
+const STALE_AFTER_MS = 15 * 60 * 1000;
+
+// Progress is written at most this often so large batches stay within KV write limits
+const PROGRESS_INTERVAL_MS = 2000;
+
+/**
+ * Reads batch settings from the environment
+ *
+ * Concurrency is lowered so that `concurrency` images of the largest
+ * allowed size fit in IN_FLIGHT_BYTES.
+ * @param {Object} env - Worker environment
+ * @returns {{maxItems: number, concurrency: number, maxItemBytes: number}} Batch settings
+ */
+function getBatchConfig(env) {
+  const maxItemBytes = Math.min(
+    parseInt(env.BATCH_MAX_ITEM_BYTES) || DEFAULT_MAX_ITEM_BYTES,
+    MAX_FILE_SIZE
+  );
+  return {
+    maxItems: parseInt(env.BATCH_MAX_ITEMS) || DEFAULT_MAX_ITEMS,
+    concurrency: Math.min(
+      parseInt(env.BATCH_CONCURRENCY) || DEFAULT_CONCURRENCY,
+      Math.floor(IN_FLIGHT_BYTES / maxItemBytes)
+    ),
+    maxItemBytes,
+  };
+}
+
+/**
+ * Validates a batch request body
+ *
+ * Accepts either an array of image descriptors or
+ * `{ event_id, images: [...] }`, where `event_id` applies to every image
+ * that does not set its own. The object form may also carry storage
+ * options (`with_cdn`, `provider_id`, ...) for the whole batch.
+ * @param {*} body - Parsed JSON body
+ * @param {Object} env - Worker environment
+ * @returns {{items: BatchItem[], storageOptions: import("./storage-policy.js").StorageOptions, errors: {index: number|null, field: string, message: string}[]}} Validated items, storage options and any errors
+ */
+export function validateBatch(body, env) {
+  const { maxItems } = getBatchConfig(env);
+  const images = Array.isArray(body) ? body : body && body.images;
+  const defaultEventId = Array.isArray(body) ? null : body && body.event_id;
+  const storage = resolveStorageOptions(
+    env,
+    "json",
+    Array.isArray(body) ? {} : getStorageFields(body)
+  );
+  const errors = storage.errors.map((error) => ({ index: null, ...error }));
+
+  if (!Array.isArray(images) || images.length === 0) {
+    errors.push({
+      index: null,
+      field: "images",
+      message: "Batch must contain a non-empty images array",
+    });
+    return { items: [], storageOptions: storage.options, errors };
+  }
+  if (images.length > maxItems) {
+    errors.push({
+      index: null,
+      field: "images",
+      message: `Batch contains ${images.length} images (maximum ${maxItems})`,
+    });
+    return { items: [], storageOptions: storage.options, errors };
+  }
+
+  const items = [];
+  const seen = new Set();
+  images.forEach((image, index) => {
+    if (!image || typeof image !== "object") {
+      errors.push({ index, field: "image", message: "Must be an object" });
+      return;
+    }
+
+    const eventId = image.event_id || defaultEventId;
+    if (!eventId) {
+      errors.push({ index, field: "event_id", message: "Required" });
+    }
+    if (!image.fotoowl_image_id) {
+      errors.push({ index, field: "fotoowl_image_id", message: "Required" });
+    }
+    const urlError =
+      typeof image.image_url === "string"
+        ? checkImageUrl(env, image.image_url)
+        : "Must be an http(s) URL";
+    if (urlError) {
+      errors.push({ index, field: "image_url", message: urlError });
+    }
+    if (!eventId || !image.fotoowl_image_id || urlError) {
+      return;
+    }
+
+    const identity = `${eventId}:${image.fotoowl_image_id}`;
+    if (seen.has(identity)) {
+      errors.push({
+        index,
+        field: "fotoowl_image_id",
+        message: `Image ${image.fotoowl_image_id} appears more than once in event ${eventId}`,
+      });
+      return;
+    }
+    seen.add(identity);
+
+    items.push({
+      index,
+      event_id: String(eventId),
+      image_url: image.image_url,
+      fotoowl_image_id: String(image.fotoowl_image_id),
+      name: image.name,
+      height: image.height,
+      width: image.width,
+    });
+  });
+
+  return { items, storageOptions: storage.options, errors };
+}
+
+/**
+ * Persists a batch
+ * @param {Object} env - Worker environment
+ * @param {UploadBatch} batch - Batch to save
+ * @returns {Promise<UploadBatch>} Saved batch
+ */
+async function saveBatch(env, batch) {
+  const saved = { ...batch, updated_at: new Date().toISOString() };
+  await getStore(env).put(BATCH_PREFIX + batch.id, saved, {
+    expirationTtl: getJobTtl(env),
+  });
+  return saved;
+}
+
+/**
+ * Creates a batch in the `received` state
+ * @param {Object} env - Worker environment
+ * @param {string|null} userId - Authenticated user identifier
+ * @param {BatchItem[]} items - Validated items
+ * @param {import("./storage-policy.js").StorageOptions} [storageOptions] - Storage options for every image
+ * @returns {Promise<UploadBatch>} Created batch
+ */
+export async function createBatch(
+  env,
+  userId,
+  items,
+  storageOptions = DEFAULT_STORAGE_OPTIONS
+) {
+  const now = new Date().toISOString();
+  return saveBatch(env, {
+    id: crypto.randomUUID(),
+    status: "received",
+    user_id: userId,
+    total: items.length,
+    counts: { stored: 0, duplicate: 0, failed: 0 },
+    results: [],
+    storage_options: storageOptions,
+    items,
+    created_at: now,
+    updated_at: now,
+  });
+}
+
+/**
+ * Queues a batch for the cron trigger
+ * @param {Object} env - Worker environment
+ * @param {UploadBatch} batch - Batch in the `received` state
+ * @returns {Promise<void>}
+ */
+export async function queueBatch(env, batch) {
+  await getStore(env).put(
+    PENDING_PREFIX + batch.id,
+    { id: batch.id, created_at: batch.created_at },
+    { expirationTtl: getJobTtl(env) }
+  );
+}
+
+/**
+ * Looks up a batch by id
+ * @param {Object} env - Worker environment
+ * @param {string} id - Batch identifier
+ * @returns {Promise<UploadBatch|null>} Batch, or null if unknown or expired
+ */
+export async function getBatch(env, id) {
+  return getStore(env).get(BATCH_PREFIX + id);
+}
+
+/**
+ * Maps items through an async function with at most `limit` in flight
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async mapper (must not throw)
+ * @returns {Promise<Array>} Results in input order
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const position = next++;
+      results[position] = await fn(items[position]);
+    }
+  };
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker)
+  );
+  return results;
+}
+
+/**
+ * Downloads a batch image and checks its size
+ * @param {Object} env - Worker environment
+ * @param {BatchItem} item - Item to download
+ * @returns {Promise<Uint8Array>} Image contents
+ * @throws {Error} If the download fails or the size is out of bounds
+ */
+async function downloadImage(env, item) {
+  const { maxItemBytes } = getBatchConfig(env);
+  const { bytes: fileBuffer } = await fetchImage(
+    env,
+    item.image_url,
+    maxItemBytes
+  ).catch((downloadError) => {
+    if (downloadError instanceof PayloadTooLargeError) {
+      const maxMegabytes = Math.round(maxItemBytes / 1024 / 1024);
+      throw new Error(
+        `File too large (maximum ${maxMegabytes}MB per batch image)`
+      );
+    }
+    throw downloadError;
+  });
+  if (fileBuffer.length < MIN_FILE_SIZE) {
+    throw new Error("File too small (minimum 127 bytes required)");
+  }
+  return fileBuffer;
+}
+
+/**
+ * Processes one batch item (never throws)
+ * @param {Object} env - Worker environment
+ * @param {BatchItem} item - Item to process
+ * @param {string|null} userId - Authenticated user identifier
+ * @param {import("./storage-policy.js").StorageOptions} storageOptions - Storage options for the batch
+ * @param {(task: () => Promise<*>) => Promise<*>} serialize - Runs a task after every previously queued one
+ * @returns {Promise<{result: BatchItemResult, notification: Object|null, confirmation?: Promise<void>}>} Item result, its entry for the aggregated notification and, for stored items, the on-chain tracking
+ */
+async function processItem(env, item, userId, storageOptions, serialize) {
+  const identity = {
+    index: item.index,
+    event_id: item.event_id,
+    fotoowl_image_id: item.fotoowl_image_id,
+  };
+  const jsonUploadData = {
+    event_id: item.event_id,
+    image_url: item.image_url,
+    fotoowl_image_id: item.fotoowl_image_id,
+    name: item.name,
+  };
+
+  try {
+    // Same FotoOwl image already stored: nothing to download or notify
+    const existingImage = await findByImageId(
+      env,
+      item.event_id,
+      item.fotoowl_image_id
+    );
+    if (
+      existingImage &&
+      (await reuseImageRecord(env, { userId, isSelfie: false }, existingImage))
+    ) {
+      return {
+        result: {
+          ...identity,
+          status: "duplicate",
+          cid: existingImage.cid,
+          filecoin_url: existingImage.filecoin_url,
+          name: existingImage.name,
+          size: existingImage.size,
+        },
+        notification: null,
+      };
+    }
+
+    const fileBuffer = await downloadImage(env, item);
+    const violation = checkContentPolicy(env, fileBuffer, {
+      imageType: "regular",
+      uploadType: "json",
+    });
+    if (violation) {
+      return {
+        result: {
+          ...identity,
+          status: "failed",
+          error: violation.body.message,
+          code: violation.body.code,
+        },
+        notification: null,
+      };
+    }
+
+    const metadata = applyMetadataPolicy(env, fileBuffer, {
+      imageType: "regular",
+      eventId: item.event_id,
+    });
+    const storedBuffer = metadata.bytes;
+
+    const decodedName = item.name ? decodeURIComponent(item.name) : null;
+    const image = resolveImageMetadata(storedBuffer, {
+      height: item.height,
+      width: item.width,
+    });
+    const upload = {
+      fileBuffer: storedBuffer,
+      fileName: sanitizeFileName(decodedName) || "uploaded-file",
+      uploadType: "json",
+      userId,
+      isSelfie: false,
+      imageHeight: image.height,
+      imageWidth: image.width,
+      mimeType: image.mimeType,
+      orientation: image.orientation,
+      imageMismatches: image.mismatches,
+      metadataReport: metadata.report,
+      jsonUploadData,
+      storageOptions,
+      contentHash: await hashContent(storedBuffer),
+    };
+
+    // Checked and uploaded in one serialized step so identical images in
+    // the same batch are only stored once
+    return await serialize(async () => {
+      const duplicate = await findByContentHash(env, upload.contentHash);
+      if (duplicate && canReusePiece(env, upload, duplicate)) {
+        const { payload, isNewIdentity } = await finalizeDuplicate(
+          env,
+          upload,
+          duplicate,
+          { notify: false }
+        );
+        return {
+          result: {
+            ...identity,
+            status: "duplicate",
+            cid: payload.cid,
+            filecoin_url: payload.filecoin_url,
+            name: payload.name,
+            size: payload.size,
+            ...(upload.metadataReport && { metadata: upload.metadataReport }),
+          },
+          notification: isNewIdentity
+            ? {
+                ...buildNotificationPayload(payload, jsonUploadData),
+                deduplicated: true,
+              }
+            : null,
+        };
+      }
+
+      const subjects = getLimitSubjects(userId, [item.event_id]);
+      const refusal =
+        (await checkStorageQuota(env, subjects, storedBuffer.length)) ||
+        (await checkWalletFunds(
+          env,
+          storedBuffer.length,
+          storageOptions.withCDN
+        ));
+      if (refusal) {
+        return {
+          result: {
+            ...identity,
+            status: "failed",
+            error: refusal.message,
+            code: refusal.code,
+          },
+          notification: null,
+        };
+      }
+
+      const {
+        pieceCid,
+        storage,
+        copies,
+        confirmation,
+        encryption,
+        derivatives,
+      } = await storePreparedUpload(env, upload);
+      const { payload } = await finalizeUpload(env, upload, pieceCid, {
+        notify: false,
+        storage,
+        copies,
+        encryption,
+        derivatives,
+      });
+      return {
+        result: {
+          ...identity,
+          status: "stored",
+          cid: payload.cid,
+          filecoin_url: payload.filecoin_url,
+          name: payload.name,
+          size: payload.size,
+          storage,
+          copies,
+          ...(payload.derivatives && { derivatives: payload.derivatives }),
+          ...(upload.metadataReport && { metadata: upload.metadataReport }),
+        },
+        notification: buildNotificationPayload(payload, jsonUploadData),
+        confirmation,
+      };
+    });
+  } catch (itemError) {
+    console.error(
+      `Batch item ${item.index} (${item.fotoowl_image_id}) failed:`,
+      itemError.message
+    );
+    return {
+      result: {
+        ...identity,
+        status: "failed",
+        error: itemError.message,
+        ...(itemError.code && { code: itemError.code }),
+        ...(itemError.copies && { copies: itemError.copies }),
+      },
+      notification: null,
+    };
+  }
+}
+
+/**
+ * Sends the aggregated backend notification for a finished batch
+ * @param {Object} env - Worker environment
+ * @param {UploadBatch} batch - Finished batch
+ * @param {Object[]} images - Notification entries for stored and newly linked images
+ * @returns {Promise<UploadBatch>} Batch with the notification outcome
+ */
+async function notifyBatch(env, batch, images) {
+  const payload = {
+    batch_id: batch.id,
+    user_id: batch.user_id,
+    total: batch.total,
+    ...batch.counts,
+    images,
+    failures: batch.results
+      .filter((result) => result.status === "failed")
+      .map(({ index, event_id, fotoowl_image_id, error }) => ({
+        index,
+        event_id,
+        fotoowl_image_id,
+        error,
+      })),
+  };
+
+  try {
+    const entry = await enqueueNotification(
+      env,
+      `batch-${batch.id}`,
+      payload,
+      BACKEND_BATCH_PATH,
+      images.map((image) => image.cid)
+    );
+    const { ok, status, ...details } = await deliverWithRetries(env, entry);
+    return saveBatch(env, {
+      ...batch,
+      notification: {
+        status: status === "dead_letter" ? "failed" : status,
+        ...details,
+      },
+    });
+  } catch (outboxError) {
+    console.error("Batch notification outbox error:", outboxError.message);
+    return batch;
+  }
+}
+
+/**
+ * Runs a batch until every item has settled or the deadline passes
+ *
+ * Items already in `results` are skipped, so a paused batch picks up where
+ * its last run stopped.
+ * @param {Object} env - Worker environment
+ * @param {UploadBatch} batch - Batch to run
+ * @param {Object} [options] - Run options
+ * @param {number} [options.deadline] - Time (ms since epoch) after which no new item is started
+ * @returns {Promise<{batch: UploadBatch, notification: Promise<UploadBatch>}>} Completed or paused batch, and a promise that settles once the aggregated notification has been attempted and the stored pieces are confirmed or failed on chain (never rejects)
+ */
+export async function runBatch(env, batch, { deadline = Infinity } = {}) {
+  const { concurrency } = getBatchConfig(env);
+  let current = await saveBatch(env, {
+    ...batch,
+    status: "running",
+    paused: false,
+  });
+
+  let queue = Promise.resolve();
+  const serialize = (task) => {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  const counts = { ...batch.counts };
+  const settled = [...batch.results];
+  const images = [...(batch.images || [])];
+  const done = new Set(settled.map((result) => result.index));
+  const items = batch.items.filter((item) => !done.has(item.index));
+  let lastSavedAt = Date.now();
+
+  try {
+    const outcomes = await mapWithConcurrency(
+      items,
+      concurrency,
+      async (item) => {
+        if (Date.now() >= deadline) {
+          return null;
+        }
+        const outcome = await processItem(
+          env,
+          item,
+          batch.user_id,
+          batch.storage_options || DEFAULT_STORAGE_OPTIONS,
+          serialize
+        );
+        counts[outcome.result.status]++;
+        settled.push(outcome.result);
+        if (outcome.notification) {
+          images.push(outcome.notification);
+        }
+
+        if (Date.now() - lastSavedAt >= PROGRESS_INTERVAL_MS) {
+          lastSavedAt = Date.now();
+          await saveBatch(env, {
+            ...current,
+            counts: { ...counts },
+            results: [...settled].sort((a, b) => a.index - b.index),
+            images: [...images],
+          }).catch((progressError) => {
+            console.error(
+              "Failed to save batch progress:",
+              progressError.message
+            );
+          });
+        }
+        return outcome;
+      }
+    );
+
+    // Keep the worker alive while the stored pieces are tracked on chain
+    const confirmations = outcomes.map((outcome) => outcome?.confirmation);
+    const results = settled.sort((a, b) => a.index - b.index);
+
+    if (outcomes.includes(null)) {
+      current = await saveBatch(env, {
+        ...current,
+        paused: true,
+        counts,
+        results,
+        images,
+      });
+      console.log(
+        `Batch ${batch.id} paused with ${results.length}/${batch.total} item(s) settled`
+      );
+      return {
+        batch: current,
+        notification: Promise.all(confirmations).then(() => current),
+      };
+    }
+
+    current = await saveBatch(env, {
+      ...current,
+      status: "completed",
+      counts,
+      results,
+      images,
+      completed_at: new Date().toISOString(),
+    });
+    console.log(
+      `Batch ${batch.id} completed: ${counts.stored} stored, ${counts.duplicate} duplicate, ${counts.failed} failed`
+    );
+
+    const notification = env.BACKEND_API_URL
+      ? notifyBatch(env, current, images)
+      : Promise.resolve(current);
+
+    return {
+      batch: current,
+      notification: Promise.all([notification, ...confirmations]).then(
+        ([notified]) => notified
+      ),
+    };
+  } catch (batchError) {
+    console.error(`Batch ${batch.id} failed:`, batchError.message);
+    current = await saveBatch(env, {
+      ...current,
+      status: "failed",
+      error: batchError.message,
+    }).catch(() => current);
+    return { batch: current, notification: Promise.resolve(current) };
+  }
+}
+
+/**
+ * Builds the next queued batch, and fails batches whose build has stalled
+ *
+ * Runs from the cron trigger. Only one batch is built at a time; a batch
+ * that is still running within STALE_AFTER_MS keeps the others waiting,
+ * and a batch that reached its time budget is resumed by the next run.
+ * @param {Object} env - Worker environment
+ * @param {Object} [options] - Run options
+ * @param {number} [options.startedAt] - Time (ms since epoch) the cron invocation started
+ * @returns {Promise<{started: string|null, failed: number}>} Batch built by this run and number of stalled batches failed
+ */
+export async function processBatches(env, { startedAt = Date.now() } = {}) {
+  const store = getStore(env);
+  let cursor;
+  let next = null;
+  let building = false;
+  let failed = 0;
+
+  do {
+    const page = await store.list(PENDING_PREFIX, { cursor });
+    for (const key of page.keys) {
+      const batch = await getBatch(env, key.slice(PENDING_PREFIX.length));
+      if (!batch || ["completed", "failed"].includes(batch.status)) {
+        await store.delete(key);
+        continue;
+      }
+      if (batch.status === "received" || batch.paused) {
+        if (!next || batch.created_at < next.created_at) {
+          next = batch;
+        }
+        continue;
+      }
+      if (Date.now() - Date.parse(batch.updated_at) <= STALE_AFTER_MS) {
+        building = true;
+        continue;
+      }
+      console.error(`Batch ${batch.id} stalled while ${batch.status}`);
+      await saveBatch(env, {
+        ...batch,
+        status: "failed",
+        error: `Batch stopped while ${batch.status}`,
+        code: "batch_timeout",
+      });
+      await store.delete(key);
+      failed++;
+    }
+    cursor = page.cursor;
+  } while (cursor);
+
+  if (!next || building) {
+    return { started: null, failed };
+  }
+  const { batch, notification } = await runBatch(env, next, {
+    deadline: startedAt + RUN_BUDGET_MS,
+  });
+  if (batch.status !== "running") {
+    await store.delete(PENDING_PREFIX + next.id);
+  }
+  await notification;
+  return { started: next.id, failed };
+}
+
+/**
+ * Brings a batch up to date with the notification status of its records
+ *
+ * Notifications retried later by the outbox only update upload records,
+ * so batches are reconciled when they are read.
+ * @param {Object} env - Worker environment
+ * @param {UploadBatch} batch - Batch to reconcile
+ * @returns {Promise<UploadBatch>} Up-to-date batch
+ */
+export async function syncBatchNotification(env, batch) {
+  if (batch.notification?.status !== "pending") {
+    return batch;
+  }
+  const first = batch.results.find((result) => result.status === "stored");
+  const record = first && (await getUploadRecord(env, first.cid));
+  if (!record || record.notification.status === "pending") {
+    return batch;
+  }
+  const { updated_at, ...notification } = record.notification;
+  return saveBatch(env, { ...batch, notification });
+}
@@ -0,0 +1,241 @@
+/**
+ * Size-limited reading of request and download bodies
+ *
+ * Bodies are read chunk by chunk and abandoned as soon as they pass the
+ * limit, so an oversized upload is rejected without being buffered. The
+ * Synapse SDK only accepts a complete `Uint8Array`, so accepted bodies are
+ * still handed to it as one buffer. Large bodies can be staged in R2 while
+ * they stream in and then read back into a buffer sized from the stored
+ * object, instead of being held twice (as chunks and joined). Staging does
+ * not lift the isolate's memory limit: the whole file is still in memory
+ * once read back, which is why MAX_FILE_SIZE is kept low.
+ */
+
+/**
+ * Smallest file accepted (PDP pieces need at least 127 bytes)
+ */
+export const MIN_FILE_SIZE = 127;
+
+/**
+ * Largest file accepted
+ *
+ * Every upload path holds the whole file in memory, and an upload can be
+ * held up to three times (as received, with metadata removed, encrypted),
+ * so three copies have to fit in the isolate's 128MB.
+ */
+export const MAX_FILE_SIZE = 32 * 1024 * 1024;
+
+/**
+ * Error thrown when a body is larger than allowed
+ */
+export class PayloadTooLargeError extends Error {
+  /**
+   * @param {number} maxBytes - Limit that was exceeded
+   */
+  constructor(maxBytes) {
+    super(`Body exceeds the ${maxBytes} byte limit`);
+    this.name = "PayloadTooLargeError";
+    this.maxBytes = maxBytes;
+  }
+}
+
+/**
+ * Parses an announced body size (Content-Length or x-file-size)
+ * @param {string|null} value - Header value
+ * @returns {number|null} Size in bytes, or null if absent or invalid
+ */
+export function parseDeclaredSize(value) {
+  if (!value || !/^\d+$/.test(value)) {
+    return null;
+  }
+  return parseInt(value);
+}
+
+/**
+ * Where a body is staged once it grows past a size
+ * @typedef {Object} SpillTarget
+ * @property {Object} bucket - R2 bucket binding
+ * @property {string} key - Object key the body is staged under
+ * @property {number} thresholdBytes - Bodies larger than this are staged
+ */
+
+// R2 multipart parts must all have the same size, except the last one
+const SPILL_PART_BYTES = 8 * 1024 * 1024;
+
+/**
+ * Joins chunks into one array
+ * @param {Uint8Array[]} chunks - Chunks in order
+ * @param {number} length - Total length of the chunks
+ * @returns {Uint8Array} Joined bytes
+ */
+function joinChunks(chunks, length) {
+  if (chunks.length === 1 && chunks[0].byteLength === length) {
+    return chunks[0];
+  }
+  const joined = new Uint8Array(length);
+  let offset = 0;
+  for (const chunk of chunks) {
+    joined.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return joined;
+}
+
+/**
+ * Reads a staged body back into a buffer sized from the stored object
+ * @param {Object} bucket - R2 bucket binding
+ * @param {string} key - Object key
+ * @returns {Promise<Uint8Array>} Body contents
+ */
+async function readStagedBody(bucket, key) {
+  const object = await bucket.get(key);
+  if (!object) {
+    throw new Error(`Staged body ${key} disappeared`);
+  }
+  const body = new Uint8Array(object.size);
+  const reader = object.body.getReader();
+  let offset = 0;
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    body.set(value, offset);
+    offset += value.byteLength;
+  }
+  return body;
+}
+
+/**
+ * Reads a stream into memory, aborting once it passes `maxBytes`
+ *
+ * With a `spill` target, a body that grows past its threshold is written
+ * to R2 part by part as it arrives and read back into a single buffer once
+ * complete, so at most one copy of a large body is held in memory (plus
+ * one part). The staged object is deleted once read.
+ * @param {ReadableStream<Uint8Array>|null} stream - Body stream
+ * @param {number} maxBytes - Maximum bytes to accept
+ * @param {number|null} [expectedSize] - Announced size, used to reject oversized bodies early
+ * @param {Object} [options] - Read options
+ * @param {SpillTarget|null} [options.spill] - Where to stage large bodies
+ * @returns {Promise<Uint8Array>} Body contents
+ * @throws {PayloadTooLargeError} If the body (or its announced size) exceeds the limit
+ */
+export async function readStreamWithLimit(
+  stream,
+  maxBytes,
+  expectedSize,
+  { spill = null } = {}
+) {
+  if (expectedSize && expectedSize > maxBytes) {
+    throw new PayloadTooLargeError(maxBytes);
+  }
+  if (!stream) {
+    return new Uint8Array(0);
+  }
+
+  // The announced size is not trusted for allocation: chunks are kept as
+  // they arrive and joined once the real size is known
+  const reader = stream.getReader();
+  let chunks = [];
+  let pending = 0;
+  let received = 0;
+  let upload = null;
+  const parts = [];
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) {
+        break;
+      }
+      if (received + value.byteLength > maxBytes) {
+        await reader.cancel().catch(() => {});
+        throw new PayloadTooLargeError(maxBytes);
+      }
+      chunks.push(value);
+      pending += value.byteLength;
+      received += value.byteLength;
+
+      if (
+        spill &&
+        (upload || received > spill.thresholdBytes) &&
+        pending >= SPILL_PART_BYTES
+      ) {
+        upload =
+          upload || (await spill.bucket.createMultipartUpload(spill.key));
+        const joined = joinChunks(chunks, pending);
+        let offset = 0;
+        for (
+          ;
+          offset + SPILL_PART_BYTES <= joined.length;
+          offset += SPILL_PART_BYTES
+        ) {
+          parts.push(
+            await upload.uploadPart(
+              parts.length + 1,
+              joined.subarray(offset, offset + SPILL_PART_BYTES)
+            )
+          );
+        }
+        chunks = offset < joined.length ? [joined.slice(offset)] : [];
+        pending = joined.length - offset;
+      }
+    }
+
+    if (!upload) {
+      return joinChunks(chunks, pending);
+    }
+    if (pending > 0) {
+      parts.push(
+        await upload.uploadPart(parts.length + 1, joinChunks(chunks, pending))
+      );
+    }
+    chunks = [];
+    await upload.complete(parts);
+    upload = null;
+  } catch (readError) {
+    if (upload) {
+      await upload.abort().catch(() => {});
+    }
+    throw readError;
+  }
+
+  try {
+    return await readStagedBody(spill.bucket, spill.key);
+  } finally {
+    await spill.bucket.delete(spill.key).catch((deleteError) => {
+      console.error(
+        `Failed to delete staged body ${spill.key}:`,
+        deleteError.message
+      );
+    });
+  }
+}
+
+/**
+ * Wraps a stream so it errors once more than `maxBytes` pass through
+ *
+ * For consumers that parse the stream themselves (e.g. `formData()`);
+ * check `state.exceeded` to tell a limit error from a parse error.
+ * @param {ReadableStream<Uint8Array>} stream - Body stream
+ * @param {number} maxBytes - Maximum bytes to let through
+ * @returns {{stream: ReadableStream<Uint8Array>, state: {received: number, exceeded: boolean}}} Limited stream and its progress
+ */
+export function limitStream(stream, maxBytes) {
+  const state = { received: 0, exceeded: false };
+  const limited = stream.pipeThrough(
+    new TransformStream({
+      transform(chunk, controller) {
+        state.received += chunk.byteLength;
+        if (state.received > maxBytes) {
+          state.exceeded = true;
+          controller.error(new PayloadTooLargeError(maxBytes));
+          return;
+        }
+        controller.enqueue(chunk);
+      },
+    })
+  );
+  return { stream: limited, state };
+}
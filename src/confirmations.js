@@ -0,0 +1,421 @@
+import { PDPServer } from "@filoz/synapse-sdk";
+import { BACKEND_CONFIRMATIONS_PATH } from "./backend.js";
+import { deliverWithRetries, enqueueNotification } from "./outbox.js";
+import { getUploadRecord } from "./records.js";
+import { getStore } from "./store.js";
+
+/**
+ * On-chain confirmation of stored pieces
+ *
+ * An upload is answered as soon as the provider has the bytes
+ * (`onUploadComplete`). Each copy then moves through
+ * `uploaded → added → confirmed`, or ends `failed`: `added` once the
+ * provider's piece-addition transaction is on chain, `confirmed` once the
+ * provider reports the piece id. The SDK reports these steps while the
+ * isolate stays alive; the cron trigger polls the provider for copies it
+ * stopped hearing about and fails copies that are not confirmed within
+ * CONFIRMATION_TIMEOUT_SECONDS.
+ *
+ * A piece is settled once every copy is: `confirmed` if at least
+ * REPLICATION_MIN_COPIES copies were confirmed, else `failed`. The backend
+ * then gets a second notification with the outcome.
+ */
+
+/**
+ * Lifecycle state of a piece or one of its copies
+ * @typedef {"uploaded"|"added"|"confirmed"|"failed"} ConfirmationStatus
+ */
+
+/**
+ * On-chain state of one copy of a piece
+ * @typedef {Object} CopyConfirmation
+ * @property {number|null} provider_id - Storage provider id
+ * @property {string|null} provider_name - Storage provider name
+ * @property {number|null} data_set_id - Data set the piece is added to
+ * @property {string|null} service_url - Provider's PDP service URL, for polling
+ * @property {ConfirmationStatus} status - Current state
+ * @property {string|null} tx_hash - Piece-addition transaction hash
+ * @property {number|null} piece_id - Piece id within the data set, once confirmed
+ * @property {string} [error] - Failure reason
+ * @property {string} updated_at - ISO timestamp of the last change
+ */
+
+/**
+ * On-chain state of a piece, kept per piece CID
+ * @typedef {Object} PieceConfirmation
+ * @property {string} cid - Filecoin piece CID
+ * @property {ConfirmationStatus} status - State of the piece as a whole
+ * @property {CopyConfirmation[]} copies - State of each stored copy
+ * @property {number} required_copies - Confirmed copies needed for `confirmed`
+ * @property {boolean} closed - Whether every copy of the upload is known
+ * @property {string} created_at - ISO timestamp of the first event
+ * @property {string} updated_at - ISO timestamp of the last change
+ * @property {string} [settled_at] - ISO timestamp the piece was confirmed or failed
+ */
+
+/**
+ * Step reported for one copy
+ * @typedef {Object} CopyEvent
+ * @property {ConfirmationStatus} status - State the copy reached
+ * @property {string|null} [txHash] - Piece-addition transaction hash
+ * @property {number|null} [pieceId] - Piece id within the data set
+ * @property {string} [error] - Failure reason
+ */
+
+const CONFIRMATION_PREFIX = "confirmation:";
+const PENDING_PREFIX = "confirmation-pending:";
+
+const DEFAULT_TIMEOUT_SECONDS = 60 * 60;
+
+// Copies the SDK reported on recently are left to the SDK
+const POLL_AFTER_MS = 60 * 1000;
+
+const STATUS_ORDER = ["uploaded", "added", "confirmed", "failed"];
+
+// Updates to one piece are applied in order within the isolate
+const updateQueues = new Map();
+
+/**
+ * Reads the confirmation timeout from the environment
+ * @param {Object} env - Worker environment
+ * @returns {number} Seconds a copy may take to be confirmed
+ */
+function getConfirmationTimeout(env) {
+  return parseInt(env.CONFIRMATION_TIMEOUT_SECONDS) || DEFAULT_TIMEOUT_SECONDS;
+}
+
+/**
+ * Checks whether a state is final
+ * @param {ConfirmationStatus} status - State to check
+ * @returns {boolean} True for `confirmed` and `failed`
+ */
+function isSettled(status) {
+  return status === "confirmed" || status === "failed";
+}
+
+/**
+ * Works out the state of a piece from its copies
+ * @param {PieceConfirmation} entry - Piece state
+ * @returns {ConfirmationStatus} `uploaded` or `added` while copies are pending, else the outcome
+ */
+function summarizeStatus(entry) {
+  const pending = entry.copies.filter((copy) => !isSettled(copy.status));
+  if (pending.some((copy) => copy.status === "uploaded")) {
+    return "uploaded";
+  }
+  if (pending.length > 0 || !entry.closed) {
+    return "added";
+  }
+  const confirmed = entry.copies.filter(
+    (copy) => copy.status === "confirmed"
+  ).length;
+  return confirmed >= entry.required_copies ? "confirmed" : "failed";
+}
+
+/**
+ * Applies a change to a piece's state, one change at a time per piece
+ * @param {Object} env - Worker environment
+ * @param {string} cid - Filecoin piece CID
+ * @param {(entry: PieceConfirmation|null) => PieceConfirmation|null} change - Returns the new state, or null to leave it
+ * @returns {Promise<void>} Resolves once applied (never throws)
+ */
+function updateConfirmation(env, cid, change) {
+  const previous = updateQueues.get(cid) || Promise.resolve();
+  const run = previous.then(() => applyUpdate(env, cid, change));
+  const queued = run.catch((updateError) => {
+    console.error(
+      `Failed to record confirmation of ${cid}:`,
+      updateError.message
+    );
+  });
+  updateQueues.set(cid, queued);
+  queued.then(() => {
+    if (updateQueues.get(cid) === queued) {
+      updateQueues.delete(cid);
+    }
+  });
+  return queued;
+}
+
+/**
+ * Reads, changes and saves a piece's state, notifying the backend once it settles
+ * @param {Object} env - Worker environment
+ * @param {string} cid - Filecoin piece CID
+ * @param {(entry: PieceConfirmation|null) => PieceConfirmation|null} change - Returns the new state, or null to leave it
+ * @returns {Promise<void>}
+ */
+async function applyUpdate(env, cid, change) {
+  const store = getStore(env);
+  const entry = await store.get(CONFIRMATION_PREFIX + cid);
+  if (entry && isSettled(entry.status)) {
+    return;
+  }
+  const changed = change(entry);
+  if (!changed) {
+    return;
+  }
+
+  const now = new Date().toISOString();
+  const updated = { ...changed, updated_at: now };
+  updated.status = summarizeStatus(updated);
+  if (isSettled(updated.status)) {
+    updated.settled_at = now;
+  }
+  await store.put(CONFIRMATION_PREFIX + cid, updated);
+
+  if (!entry) {
+    await store.put(PENDING_PREFIX + cid, { cid, created_at: now });
+  }
+  if (updated.status !== (entry && entry.status)) {
+    console.log(`Piece ${cid} is ${updated.status}`);
+  }
+  if (isSettled(updated.status)) {
+    await store.delete(PENDING_PREFIX + cid);
+    await notifySettled(env, updated);
+  }
+}
+
+/**
+ * Records a step of one copy of a piece
+ *
+ * Copies are told apart by provider and data set; the first event for a
+ * piece creates its state.
+ * @param {Object} env - Worker environment
+ * @param {string} cid - Filecoin piece CID
+ * @param {import("./filecoin.js").StorageInfo & {service_url: string|null}} storage - Where the copy is stored
+ * @param {CopyEvent} event - Step the copy reached
+ * @param {number} requiredCopies - Confirmed copies needed for the piece to be `confirmed`
+ * @returns {Promise<void>} Resolves once recorded (never throws)
+ */
+export function recordCopyEvent(env, cid, storage, event, requiredCopies) {
+  return updateConfirmation(env, cid, (entry) => {
+    const now = new Date().toISOString();
+    const current = entry || {
+      cid,
+      copies: [],
+      required_copies: requiredCopies,
+      closed: false,
+      created_at: now,
+    };
+    const isSameCopy = (copy) =>
+      copy.provider_id === storage.provider_id &&
+      copy.data_set_id === storage.data_set_id;
+    const existing = current.copies.find(isSameCopy);
+
+    // Events can arrive out of order; a copy never moves backwards
+    if (
+      existing &&
+      (isSettled(existing.status) ||
+        STATUS_ORDER.indexOf(event.status) <
+          STATUS_ORDER.indexOf(existing.status))
+    ) {
+      return null;
+    }
+
+    const copy = {
+      provider_id: storage.provider_id,
+      provider_name: storage.provider_name,
+      data_set_id: storage.data_set_id,
+      service_url: storage.service_url,
+      tx_hash: null,
+      piece_id: null,
+      ...existing,
+      status: event.status,
+      ...(event.txHash && { tx_hash: event.txHash }),
+      ...(event.pieceId !== undefined &&
+        event.pieceId !== null && { piece_id: event.pieceId }),
+      ...(event.error && { error: event.error }),
+      updated_at: now,
+    };
+    return {
+      ...current,
+      copies: existing
+        ? current.copies.map((other) => (isSameCopy(other) ? copy : other))
+        : [...current.copies, copy],
+    };
+  });
+}
+
+/**
+ * Marks every copy of a piece as known, so it can settle
+ * @param {Object} env - Worker environment
+ * @param {string} cid - Filecoin piece CID
+ * @returns {Promise<void>} Resolves once recorded (never throws)
+ */
+export function closeConfirmation(env, cid) {
+  return updateConfirmation(env, cid, (entry) =>
+    entry ? { ...entry, closed: true } : null
+  );
+}
+
+/**
+ * Looks up the on-chain state of a piece
+ * @param {Object} env - Worker environment
+ * @param {string} cid - Filecoin piece CID
+ * @returns {Promise<PieceConfirmation|null>} State, or null if nothing was recorded
+ */
+export async function getConfirmation(env, cid) {
+  return getStore(env).get(CONFIRMATION_PREFIX + cid);
+}
+
+/**
+ * Describes a copy for clients and the backend
+ * @param {CopyConfirmation} copy - Copy state
+ * @returns {Object} Copy state without internal fields
+ */
+export function describeCopyConfirmation(copy) {
+  const { service_url, ...described } = copy;
+  return described;
+}
+
+/**
+ * Sends the backend the outcome of a settled piece
+ *
+ * Pieces without an upload record (e.g. uploads that failed replication)
+ * were never reported to the backend and are skipped.
+ * @param {Object} env - Worker environment
+ * @param {PieceConfirmation} entry - Settled piece
+ * @returns {Promise<void>} (never throws)
+ */
+async function notifySettled(env, entry) {
+  if (!env.BACKEND_API_URL) {
+    return;
+  }
+  try {
+    const record = await getUploadRecord(env, entry.cid);
+    if (!record) {
+      return;
+    }
+    const payload = {
+      cid: entry.cid,
+      status: entry.status,
+      ...(record.user_id && { user_id: record.user_id }),
+      ...(record.event_id && { event_id: record.event_id }),
+      ...(record.fotoowl_image_id && {
+        fotoowl_image_id: record.fotoowl_image_id,
+      }),
+      copies: entry.copies.map(describeCopyConfirmation),
+      settled_at: entry.settled_at,
+    };
+    // The upload record's notification status tracks the upload notification only
+    const outboxEntry = await enqueueNotification(
+      env,
+      entry.cid,
+      payload,
+      BACKEND_CONFIRMATIONS_PATH,
+      []
+    );
+    await deliverWithRetries(env, outboxEntry);
+  } catch (notifyError) {
+    console.error(
+      `Failed to queue confirmation notification for ${entry.cid}:`,
+      notifyError.message
+    );
+  }
+}
+
+/**
+ * Asks a copy's provider whether its piece addition went through
+ * @param {CopyConfirmation} copy - Copy in the `added` state
+ * @returns {Promise<CopyEvent|null>} Step reached, or null while still pending
+ */
+async function pollCopy(copy) {
+  const server = new PDPServer(null, copy.service_url);
+  const status = await server.getPieceAdditionStatus(
+    copy.data_set_id,
+    copy.tx_hash
+  );
+  if (status.txStatus === "pending" || status.addMessageOk === null) {
+    return null;
+  }
+  if (!status.addMessageOk) {
+    return {
+      status: "failed",
+      error: "Piece addition transaction was unsuccessful",
+    };
+  }
+  const pieceIds = status.confirmedPieceIds || [];
+  if (pieceIds.length === 0) {
+    return null;
+  }
+  // Pieces added together share a transaction; the id is only known for lone pieces
+  return {
+    status: "confirmed",
+    pieceId: pieceIds.length === 1 ? pieceIds[0] : null,
+  };
+}
+
+/**
+ * Advances pieces whose isolate stopped reporting on them (run from the cron trigger)
+ *
+ * Copies with a transaction are polled on their provider. Copies still
+ * pending after CONFIRMATION_TIMEOUT_SECONDS fail, and pieces whose upload
+ * never finished are closed with the copies they have.
+ * @param {Object} env - Worker environment
+ * @returns {Promise<{checked: number, settled: number}>} Summary of the run
+ */
+export async function processConfirmations(env) {
+  const store = getStore(env);
+  const timeoutMs = getConfirmationTimeout(env) * 1000;
+  let cursor;
+  let checked = 0;
+  let settled = 0;
+
+  do {
+    const page = await store.list(PENDING_PREFIX, { cursor });
+    for (const key of page.keys) {
+      const cid = key.slice(PENDING_PREFIX.length);
+      const entry = await getConfirmation(env, cid);
+      if (!entry || isSettled(entry.status)) {
+        await store.delete(key);
+        continue;
+      }
+      checked++;
+
+      for (const copy of entry.copies) {
+        const age = Date.now() - Date.parse(copy.updated_at);
+        if (isSettled(copy.status) || age < POLL_AFTER_MS) {
+          continue;
+        }
+
+        let event = null;
+        if (copy.status === "added" && copy.tx_hash && copy.service_url) {
+          event = await pollCopy(copy).catch((pollError) => {
+            console.warn(
+              `Could not poll piece ${cid} on provider ${copy.provider_id}:`,
+              pollError.message
+            );
+            return null;
+          });
+        }
+        if (!event && Date.now() - Date.parse(entry.created_at) > timeoutMs) {
+          event = {
+            status: "failed",
+            error: `Not confirmed within ${timeoutMs / 1000} seconds`,
+          };
+        }
+        if (event) {
+          await recordCopyEvent(env, cid, copy, event, entry.required_copies);
+        }
+      }
+
+      if (
+        !entry.closed &&
+        Date.now() - Date.parse(entry.created_at) > timeoutMs
+      ) {
+        await closeConfirmation(env, cid);
+      }
+
+      const updated = await getConfirmation(env, cid);
+      if (updated && isSettled(updated.status)) {
+        settled++;
+      }
+    }
+    cursor = page.cursor;
+  } while (cursor);
+
+  if (checked > 0) {
+    console.log(`Confirmation run: ${settled}/${checked} piece(s) settled`);
+  }
+  return { checked, settled };
+}
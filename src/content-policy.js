@@ -0,0 +1,230 @@
+import { jsonResponse } from "./http.js";
+import { detectImageType } from "./image-info.js";
+
+/**
+ * Content policy for uploads
+ *
+ * Decides which file formats are accepted, per image type (`selfie` or
+ * `regular`) and upload mode. Formats are recognised from the file's
+ * magic bytes; the declared Content-Type is only reported, never trusted.
+ * The policy is read from the `CONTENT_POLICY` variable (JSON), e.g.
+ *
+ *   {
+ *     "formats": ["image/jpeg", "image/png", "image/heic"],
+ *     "max_bytes": { "image/gif": 10485760 },
+ *     "upload_types": { "json": { "formats": ["image/jpeg"] } },
+ *     "image_types": { "selfie": { "max_bytes": { "*": 20971520 } } }
+ *   }
+ *
+ * Upload type rules override the top level and image type rules override
+ * both: `formats` is replaced, `max_bytes` entries are merged.
+ */
+
+/**
+ * Rules at one level of the policy
+ * @typedef {Object} PolicyRules
+ * @property {string[]} [formats] - Allowed MIME types
+ * @property {Object<string, number>} [max_bytes] - Size limit per MIME type (`*` for any format)
+ */
+
+/**
+ * Content policy configuration
+ * @typedef {Object} ContentPolicyConfig
+ * @property {string[]} [formats] - Allowed MIME types
+ * @property {Object<string, number>} [max_bytes] - Size limit per MIME type (`*` for any format)
+ * @property {Object<string, PolicyRules>} [upload_types] - Rules per upload mode
+ * @property {Object<string, PolicyRules>} [image_types] - Rules per image type
+ */
+
+/**
+ * Upload rejected by the content policy
+ * @typedef {Object} PolicyViolation
+ * @property {number} status - HTTP status (415 for the format, 413 for its size limit)
+ * @property {Object} body - Structured error body
+ */
+
+/**
+ * Formats accepted when no policy is configured
+ *
+ * Videos were accepted before the policy existed, so they stay allowed
+ * until a policy leaves them out.
+ */
+export const DEFAULT_FORMATS = [
+  "image/jpeg",
+  "image/png",
+  "image/gif",
+  "image/webp",
+  "image/heic",
+  "image/heif",
+  "image/avif",
+  "video/mp4",
+  "video/quicktime",
+];
+
+// Everything detectFileType can recognise
+const KNOWN_FORMATS = new Set(DEFAULT_FORMATS);
+
+// Parsed CONTENT_POLICY, kept per isolate while the variable is unchanged
+let cachedPolicy = null;
+
+/**
+ * Detects a file's format from its magic bytes
+ * @param {Uint8Array} bytes - File contents (the first few dozen bytes suffice)
+ * @returns {string|null} MIME type, or null if not recognised
+ */
+export function detectFileType(bytes) {
+  const imageType = detectImageType(bytes);
+  if (imageType) {
+    return imageType;
+  }
+  // ISO BMFF files that are not still images are videos
+  if (
+    bytes.length >= 12 &&
+    String.fromCharCode(...bytes.subarray(4, 8)) === "ftyp"
+  ) {
+    const brand = String.fromCharCode(...bytes.subarray(8, 12));
+    return brand === "qt  " ? "video/quicktime" : "video/mp4";
+  }
+  return null;
+}
+
+/**
+ * Reads the content policy from the environment
+ * @param {Object} env - Worker environment
+ * @returns {ContentPolicyConfig} Policy configuration
+ */
+function loadPolicy(env) {
+  const source = env.CONTENT_POLICY || "";
+  if (cachedPolicy && cachedPolicy.source === source) {
+    return cachedPolicy.config;
+  }
+
+  let config = {};
+  if (source) {
+    try {
+      config = typeof source === "string" ? JSON.parse(source) : source;
+    } catch (parseError) {
+      console.error(
+        "Invalid CONTENT_POLICY, using the default policy:",
+        parseError.message
+      );
+    }
+  }
+
+  const levels = [
+    config,
+    ...Object.values(config.upload_types || {}),
+    ...Object.values(config.image_types || {}),
+  ];
+  for (const level of levels) {
+    for (const format of level.formats || []) {
+      if (!KNOWN_FORMATS.has(format)) {
+        console.warn(`CONTENT_POLICY lists unrecognised format ${format}`);
+      }
+    }
+  }
+
+  cachedPolicy = { source, config };
+  return config;
+}
+
+/**
+ * Resolves the rules for one kind of upload
+ * @param {Object} env - Worker environment
+ * @param {string} imageType - `selfie` or `regular`
+ * @param {string} uploadType - Upload mode (`stream`, `formdata`, `json`, `resumable`)
+ * @returns {{formats: string[], maxBytes: Object<string, number>}} Effective rules
+ */
+export function resolveContentPolicy(env, imageType, uploadType) {
+  const config = loadPolicy(env);
+  const levels = [
+    config,
+    config.upload_types && config.upload_types[uploadType],
+    config.image_types && config.image_types[imageType],
+  ].filter(Boolean);
+
+  let formats = DEFAULT_FORMATS;
+  const maxBytes = {};
+  for (const level of levels) {
+    if (Array.isArray(level.formats)) {
+      formats = level.formats;
+    }
+    Object.assign(maxBytes, level.max_bytes);
+  }
+  return { formats, maxBytes };
+}
+
+/**
+ * Checks a file against the content policy
+ * @param {Object} env - Worker environment
+ * @param {Uint8Array} bytes - File contents, or at least its first bytes
+ * @param {Object} upload - Upload details
+ * @param {string} upload.imageType - `selfie` or `regular`
+ * @param {string} upload.uploadType - Upload mode
+ * @param {string|null} [upload.declaredType] - Content-Type claimed by the client, for the report
+ * @param {number} [upload.size] - File size, when `bytes` is only its start
+ * @returns {PolicyViolation|null} Violation, or null if the file is accepted
+ */
+export function checkContentPolicy(env, bytes, upload) {
+  const { imageType, uploadType, declaredType = null } = upload;
+  const size = upload.size ?? bytes.length;
+  const { formats, maxBytes } = resolveContentPolicy(
+    env,
+    imageType,
+    uploadType
+  );
+  const detectedType = detectFileType(bytes);
+  const details = {
+    detected_type: detectedType,
+    declared_type: declaredType,
+    image_type: imageType,
+    upload_type: uploadType,
+    allowed_types: formats,
+  };
+
+  if (!detectedType || !formats.includes(detectedType)) {
+    const message = detectedType
+      ? `${detectedType} files are not accepted for ${imageType} ${uploadType} uploads`
+      : "File format not recognised from its contents";
+    console.warn(`Content policy rejected upload: ${message}`);
+    return {
+      status: 415,
+      body: {
+        error: "Unsupported media type",
+        code: "unsupported_media_type",
+        message,
+        errors: [{ field: "file", message, received: detectedType }],
+        ...details,
+      },
+    };
+  }
+
+  const limit = maxBytes[detectedType] ?? maxBytes["*"];
+  if (limit && size > limit) {
+    const message = `${detectedType} files may be at most ${limit} bytes for ${imageType} ${uploadType} uploads`;
+    console.warn(`Content policy rejected upload: ${message}`);
+    return {
+      status: 413,
+      body: {
+        error: "File too large for its format",
+        code: "file_too_large_for_format",
+        message,
+        errors: [{ field: "file", message, received: size }],
+        ...details,
+        max_bytes: limit,
+      },
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Builds the error response for a policy violation
+ * @param {PolicyViolation} violation - Violation returned by checkContentPolicy
+ * @param {Object} [headers] - Additional response headers
+ * @returns {Response} JSON error response
+ */
+export function contentPolicyResponse(violation, headers = {}) {
+  return jsonResponse(violation.body, violation.status, headers);
+}
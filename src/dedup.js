@@ -0,0 +1,120 @@
+import { getUploadRecord } from "./records.js";
+import { getStore } from "./store.js";
+
+/**
+ * Content-addressed deduplication index
+ *
+ * Maps the SHA-256 of uploaded bytes, and `(event_id, fotoowl_image_id)`
+ * for JSON uploads, to the piece CID already stored on Filecoin.
+ */
+
+const HASH_PREFIX = "sha256:";
+const IMAGE_PREFIX = "image:";
+
+/**
+ * Computes the hex SHA-256 digest of file contents
+ * @param {Uint8Array} bytes - File contents
+ * @returns {Promise<string>} Hex-encoded digest
+ */
+export async function hashContent(bytes) {
+  const digest = await crypto.subtle.digest("SHA-256", bytes);
+  return [...new Uint8Array(digest)]
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+/**
+ * Builds the index key for a FotoOwl image within an event
+ * @param {string} eventId - Event identifier
+ * @param {string} fotoowlImageId - FotoOwl image identifier
+ * @returns {string} Index key
+ */
+function imageKey(eventId, fotoowlImageId) {
+  return `${IMAGE_PREFIX}${encodeURIComponent(eventId)}:${encodeURIComponent(
+    fotoowlImageId
+  )}`;
+}
+
+/**
+ * Resolves an index entry to its upload record
+ * @param {Object} env - Worker environment
+ * @param {string} key - Index key
+ * @returns {Promise<import("./records.js").UploadRecord|null>} Record, or null if not indexed
+ */
+async function resolveIndexEntry(env, key) {
+  const entry = await getStore(env).get(key);
+  if (!entry) {
+    return null;
+  }
+  return getUploadRecord(env, entry.cid);
+}
+
+/**
+ * Finds a previous upload with identical contents
+ * @param {Object} env - Worker environment
+ * @param {string} contentHash - Hex SHA-256 of the contents
+ * @returns {Promise<import("./records.js").UploadRecord|null>} Matching record, or null
+ */
+export async function findByContentHash(env, contentHash) {
+  return resolveIndexEntry(env, HASH_PREFIX + contentHash);
+}
+
+/**
+ * Finds a previous JSON upload of the same FotoOwl image
+ * @param {Object} env - Worker environment
+ * @param {string} eventId - Event identifier
+ * @param {string} fotoowlImageId - FotoOwl image identifier
+ * @returns {Promise<import("./records.js").UploadRecord|null>} Matching record, or null
+ */
+export async function findByImageId(env, eventId, fotoowlImageId) {
+  return resolveIndexEntry(env, imageKey(eventId, fotoowlImageId));
+}
+
+/**
+ * Adds a stored piece to the deduplication index
+ * @param {Object} env - Worker environment
+ * @param {string} cid - Filecoin piece CID
+ * @param {Object} keys - Index keys to write
+ * @param {string} [keys.contentHash] - Hex SHA-256 of the contents
+ * @param {string} [keys.eventId] - Event identifier (JSON uploads)
+ * @param {string} [keys.fotoowlImageId] - FotoOwl image identifier (JSON uploads)
+ * @returns {Promise<void>}
+ */
+export async function indexUpload(env, cid, keys) {
+  const store = getStore(env);
+  const entry = { cid, indexed_at: new Date().toISOString() };
+  const writes = [];
+  if (keys.contentHash) {
+    writes.push(store.put(HASH_PREFIX + keys.contentHash, entry));
+  }
+  if (keys.eventId && keys.fotoowlImageId) {
+    writes.push(store.put(imageKey(keys.eventId, keys.fotoowlImageId), entry));
+  }
+  await Promise.all(writes);
+}
+
+/**
+ * Lists the JSON uploads indexed for an event
+ * @param {Object} env - Worker environment
+ * @param {string} eventId - Event identifier
+ * @returns {Promise<import("./records.js").UploadRecord[]>} Upload records of the event's images
+ */
+export async function listEventUploads(env, eventId) {
+  const store = getStore(env);
+  const prefix = `${IMAGE_PREFIX}${encodeURIComponent(eventId)}:`;
+  const records = [];
+  let cursor;
+
+  do {
+    const page = await store.list(prefix, { cursor });
+    for (const key of page.keys) {
+      const record = await resolveIndexEntry(env, key);
+      if (record) {
+        records.push(record);
+      }
+    }
+    cursor = page.cursor;
+  } while (cursor);
+
+  return records;
+}
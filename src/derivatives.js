@@ -0,0 +1,273 @@
+import { buildFilecoinUrl, storeOnFilecoin } from "./filecoin.js";
+import { inspectImage } from "./image-info.js";
+import { checkStorageQuota, recordStoredBytes } from "./rate-limit.js";
+import { checkWalletFunds } from "./wallet.js";
+
+/**
+ * Resized copies of uploaded images
+ *
+ * Gallery views should not load full-resolution originals. The
+ * `DERIVATIVES` variable (JSON) lists the sizes to create next to every
+ * stored image, e.g.
+ *
+ *   [{ "name": "thumbnail", "width": 400 }, { "name": "preview", "width": 1600 }]
+ *
+ * Derivatives are WebP files no wider than `width` (smaller images are
+ * only re-encoded), made with the Cloudflare Images binding `IMAGES`.
+ * They are written to the `DERIVATIVES_BUCKET` R2 bucket and served from
+ * its public URL (`DERIVATIVES_PUBLIC_URL`), or stored on Filecoin as
+ * pieces of their own when no bucket is bound.
+ *
+ * Derivatives are made once the original is stored. Those stored on
+ * Filecoin count against the storage quotas and the wallet like any upload.
+ *
+ * Derivatives are best effort: one that cannot be made or stored is left
+ * out and the original upload still succeeds. Encrypted uploads get none,
+ * since a derivative would publish the image the encryption protects.
+ */
+
+/**
+ * Derivative size from the DERIVATIVES configuration
+ * @typedef {Object} DerivativeSpec
+ * @property {string} name - Derivative name, e.g. `thumbnail`
+ * @property {number} width - Largest width in pixels
+ * @property {number} quality - WebP quality (1-100)
+ */
+
+/**
+ * Derivative created for an upload
+ * @typedef {Object} Derivative
+ * @property {string} name - Derivative name from the configuration
+ * @property {string} mime_type - Always `image/webp`
+ * @property {number} [width] - Width in pixels
+ * @property {number} [height] - Height in pixels
+ * @property {number} size - File size in bytes
+ * @property {"r2"|"filecoin"} stored_in - Where the derivative is kept
+ * @property {string} url - URL the derivative is served from
+ * @property {string} [cid] - Piece CID, for derivatives stored on Filecoin
+ */
+
+const DERIVATIVE_MIME_TYPE = "image/webp";
+const DEFAULT_QUALITY = 80;
+const MAX_DERIVATIVE_WIDTH = 10000;
+
+// Formats the Images binding can resize
+const RESIZABLE_TYPES = new Set([
+  "image/jpeg",
+  "image/png",
+  "image/gif",
+  "image/webp",
+]);
+
+// Parsed DERIVATIVES, kept per isolate while the variable is unchanged
+let cachedSpecs = null;
+
+/**
+ * Checks a configured derivative and applies defaults
+ * @param {*} entry - Entry of the DERIVATIVES list
+ * @returns {DerivativeSpec|null} Derivative size, or null if the entry is invalid
+ */
+function toDerivativeSpec(entry) {
+  const quality = entry?.quality ?? DEFAULT_QUALITY;
+  if (
+    typeof entry?.name !== "string" ||
+    !/^[a-z0-9_-]{1,32}$/i.test(entry.name) ||
+    !Number.isSafeInteger(entry.width) ||
+    entry.width < 1 ||
+    entry.width > MAX_DERIVATIVE_WIDTH ||
+    !Number.isSafeInteger(quality) ||
+    quality < 1 ||
+    quality > 100
+  ) {
+    return null;
+  }
+  return { name: entry.name, width: entry.width, quality };
+}
+
+/**
+ * Reads the configured derivative sizes
+ * @param {Object} env - Worker environment
+ * @returns {DerivativeSpec[]} Derivatives to create (empty when disabled)
+ */
+export function getDerivativeSpecs(env) {
+  const source = env.DERIVATIVES || "";
+  if (cachedSpecs && cachedSpecs.source === source) {
+    return cachedSpecs.specs;
+  }
+
+  let specs = [];
+  if (source) {
+    try {
+      const config = typeof source === "string" ? JSON.parse(source) : source;
+      if (!Array.isArray(config)) {
+        throw new Error("Must be a list of derivatives");
+      }
+      for (const entry of config) {
+        const spec = toDerivativeSpec(entry);
+        if (!spec) {
+          console.error("Ignoring invalid DERIVATIVES entry:", entry);
+        } else if (specs.some((existing) => existing.name === spec.name)) {
+          console.error(`Ignoring duplicate derivative ${spec.name}`);
+        } else {
+          specs.push(spec);
+        }
+      }
+    } catch (parseError) {
+      console.error(
+        "Invalid DERIVATIVES, no derivatives are created:",
+        parseError.message
+      );
+      specs = [];
+    }
+  }
+
+  cachedSpecs = { source, specs };
+  return specs;
+}
+
+/**
+ * Describes the derivative configuration for the health check
+ * @param {Object} env - Worker environment
+ * @returns {{names: string[], resizer_configured: boolean, stored_in: "r2"|"filecoin"}} Derivative status
+ */
+export function describeDerivatives(env) {
+  return {
+    names: getDerivativeSpecs(env).map((spec) => spec.name),
+    resizer_configured: Boolean(env.IMAGES),
+    stored_in: env.DERIVATIVES_BUCKET ? "r2" : "filecoin",
+  };
+}
+
+/**
+ * Resizes an image to a derivative
+ * @param {Object} env - Worker environment
+ * @param {Uint8Array} bytes - Original image
+ * @param {DerivativeSpec} spec - Derivative size
+ * @returns {Promise<Uint8Array>} WebP image
+ */
+async function resizeImage(env, bytes, spec) {
+  const result = await env.IMAGES.input(new Blob([bytes]).stream())
+    .transform({ width: spec.width, fit: "scale-down" })
+    .output({ format: DERIVATIVE_MIME_TYPE, quality: spec.quality });
+  return new Uint8Array(await result.response().arrayBuffer());
+}
+
+/**
+ * Writes a derivative to the R2 bucket
+ * @param {Object} env - Worker environment
+ * @param {import("./pipeline.js").PreparedUpload} upload - Original upload
+ * @param {DerivativeSpec} spec - Derivative size
+ * @param {Uint8Array} bytes - Derivative contents
+ * @returns {Promise<{url: string}>} Public URL of the derivative
+ */
+async function storeInBucket(env, upload, spec, bytes) {
+  // Keyed by the original's hash, so identical uploads share their derivatives
+  const key = `derivatives/${upload.contentHash}/${spec.name}.webp`;
+  await env.DERIVATIVES_BUCKET.put(key, bytes, {
+    httpMetadata: {
+      contentType: DERIVATIVE_MIME_TYPE,
+      cacheControl: "public, max-age=31536000, immutable",
+    },
+  });
+  return { url: `${env.DERIVATIVES_PUBLIC_URL.replace(/\/+$/, "")}/${key}` };
+}
+
+/**
+ * Creates, stores and describes one derivative
+ * @param {Object} env - Worker environment
+ * @param {import("./pipeline.js").PreparedUpload} upload - Original upload
+ * @param {DerivativeSpec} spec - Derivative size
+ * @param {import("./rate-limit.js").LimitSubject[]} subjects - Users and events the upload counts against
+ * @returns {Promise<{derivative: Derivative, confirmation: Promise<void>}>} Stored derivative, and its on-chain tracking
+ * @throws {Error} If it cannot be made or stored, or does not fit the quotas or the wallet
+ */
+async function createDerivative(env, upload, spec, subjects) {
+  const bytes = await resizeImage(env, upload.fileBuffer, spec);
+  const { width, height } = inspectImage(bytes) || {};
+  const described = {
+    name: spec.name,
+    mime_type: DERIVATIVE_MIME_TYPE,
+    ...(width && { width, height }),
+    size: bytes.length,
+  };
+
+  if (env.DERIVATIVES_BUCKET) {
+    const { url } = await storeInBucket(env, upload, spec, bytes);
+    return {
+      derivative: { ...described, stored_in: "r2", url },
+      confirmation: Promise.resolve(),
+    };
+  }
+
+  const refusal =
+    (await checkStorageQuota(env, subjects, bytes.length)) ||
+    (await checkWalletFunds(env, bytes.length, upload.storageOptions.withCDN));
+  if (refusal) {
+    throw new Error(refusal.message);
+  }
+  const { pieceCid, storage, confirmation } = await storeOnFilecoin(
+    env,
+    bytes,
+    upload.storageOptions
+  );
+  await recordStoredBytes(env, subjects, bytes.length);
+  return {
+    derivative: {
+      ...described,
+      stored_in: "filecoin",
+      url: buildFilecoinUrl(env, pieceCid, storage),
+      cid: pieceCid,
+    },
+    confirmation,
+  };
+}
+
+/**
+ * Creates the configured derivatives of an uploaded image (never throws)
+ * @param {Object} env - Worker environment
+ * @param {import("./pipeline.js").PreparedUpload} upload - Original upload
+ * @param {boolean} encrypted - Whether the original is stored encrypted
+ * @param {import("./rate-limit.js").LimitSubject[]} subjects - Users and events the upload counts against
+ * @returns {Promise<{derivatives: Derivative[], confirmation: Promise<void>}>} Derivatives that were stored, and a promise that settles once those on Filecoin are tracked on chain
+ */
+export async function createDerivatives(env, upload, encrypted, subjects) {
+  const none = { derivatives: [], confirmation: Promise.resolve() };
+  const specs = getDerivativeSpecs(env);
+  if (
+    specs.length === 0 ||
+    encrypted ||
+    !RESIZABLE_TYPES.has(upload.mimeType)
+  ) {
+    return none;
+  }
+  if (!env.IMAGES) {
+    console.error("DERIVATIVES is set but no IMAGES binding is configured");
+    return none;
+  }
+  if (env.DERIVATIVES_BUCKET && !env.DERIVATIVES_PUBLIC_URL) {
+    console.error(
+      "DERIVATIVES_BUCKET is bound but DERIVATIVES_PUBLIC_URL is not set"
+    );
+    return none;
+  }
+
+  // One at a time, so each quota and wallet check sees the previous ones
+  const created = [];
+  for (const spec of specs) {
+    try {
+      created.push(await createDerivative(env, upload, spec, subjects));
+    } catch (derivativeError) {
+      console.error(
+        `Failed to create ${spec.name} of ${upload.fileName}:`,
+        derivativeError.message
+      );
+    }
+  }
+
+  return {
+    derivatives: created.map(({ derivative }) => derivative),
+    confirmation: Promise.all(
+      created.map(({ confirmation }) => confirmation)
+    ).then(() => {}),
+  };
+}
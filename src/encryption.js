@@ -0,0 +1,245 @@
+/**
+ * Envelope encryption of uploads before they reach Filecoin
+ *
+ * Pieces on Filecoin are public: anyone with the CID can download them.
+ * With ENCRYPT_UPLOADS set to `selfies` (selfie uploads only) or `all`,
+ * each file is encrypted with its own random AES-256-GCM data key, and
+ * that key is wrapped (AES-KW) with the master key in ENCRYPTION_KEY.
+ * Only ciphertext is stored; the wrapped key and nonce travel with the
+ * upload record and backend payload, and `GET /uploads/:cid/content`
+ * decrypts the piece for authorised callers.
+ *
+ * The master key is identified by ENCRYPTION_KEY_ID. When it is rotated,
+ * older keys stay usable for decryption through ENCRYPTION_PREVIOUS_KEYS
+ * (JSON object of key id to base64 key).
+ */
+
+/**
+ * How a stored piece was encrypted
+ * @typedef {Object} EncryptionInfo
+ * @property {"AES-256-GCM"} algorithm - Cipher used for the file
+ * @property {"AES-KW"} key_wrap - Algorithm used to wrap the data key
+ * @property {string} key_id - Master key that wrapped the data key
+ * @property {string} wrapped_key - Base64 wrapped data key
+ * @property {string} nonce - Base64 96-bit GCM nonce
+ * @property {number} ciphertext_size - Size of the stored piece in bytes
+ */
+
+/**
+ * Upload modes that are encrypted
+ */
+export const ENCRYPTION_MODES = ["none", "selfies", "all"];
+
+const DEFAULT_KEY_ID = "default";
+const NONCE_BYTES = 12;
+
+/**
+ * Error raised when a file cannot be encrypted or decrypted
+ */
+export class EncryptionError extends Error {
+  /**
+   * @param {string} message - Reason for the failure
+   * @param {string} code - Machine-readable error code
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = "EncryptionError";
+    this.code = code;
+  }
+}
+
+/**
+ * Encodes bytes as base64
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64 string
+ */
+function toBase64(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decodes a base64 string into bytes
+ * @param {string} input - Base64 string
+ * @returns {Uint8Array} Decoded bytes
+ */
+function fromBase64(input) {
+  const binary = atob(input);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Reads the configured encryption mode
+ * @param {Object} env - Worker environment
+ * @returns {"none"|"selfies"|"all"} Encryption mode (unknown values mean `none`)
+ */
+export function getEncryptionMode(env) {
+  const mode = (env.ENCRYPT_UPLOADS || "none").trim().toLowerCase();
+  return ENCRYPTION_MODES.includes(mode) ? mode : "none";
+}
+
+/**
+ * Checks whether an upload must be stored encrypted
+ * @param {Object} env - Worker environment
+ * @param {boolean} isSelfie - Whether the image is a selfie
+ * @returns {boolean} True if the mode covers the upload
+ */
+export function isEncryptionRequired(env, isSelfie) {
+  const mode = getEncryptionMode(env);
+  return mode === "all" || (mode === "selfies" && Boolean(isSelfie));
+}
+
+/**
+ * Imports a base64 master key for wrapping data keys
+ * @param {string} value - Base64 AES key (16, 24 or 32 bytes)
+ * @param {string} keyId - Key identifier, for error messages
+ * @returns {Promise<CryptoKey>} AES-KW key
+ * @throws {EncryptionError} If the key is malformed
+ */
+async function importMasterKey(value, keyId) {
+  try {
+    return await crypto.subtle.importKey(
+      "raw",
+      fromBase64(value.trim()),
+      "AES-KW",
+      false,
+      ["wrapKey", "unwrapKey"]
+    );
+  } catch (keyError) {
+    throw new EncryptionError(
+      `Encryption key ${keyId} is not a valid base64 AES key: ${keyError.message}`,
+      "encryption_not_configured"
+    );
+  }
+}
+
+/**
+ * Returns the master key used to wrap new data keys
+ * @param {Object} env - Worker environment
+ * @returns {Promise<{keyId: string, key: CryptoKey}>} Current master key
+ * @throws {EncryptionError} If ENCRYPTION_KEY is missing or malformed
+ */
+async function getCurrentMasterKey(env) {
+  const keyId = env.ENCRYPTION_KEY_ID || DEFAULT_KEY_ID;
+  if (!env.ENCRYPTION_KEY) {
+    throw new EncryptionError(
+      "ENCRYPTION_KEY is not configured, refusing to store the file unencrypted",
+      "encryption_not_configured"
+    );
+  }
+  return { keyId, key: await importMasterKey(env.ENCRYPTION_KEY, keyId) };
+}
+
+/**
+ * Finds the master key that wrapped a data key
+ * @param {Object} env - Worker environment
+ * @param {string} keyId - Key identifier stored with the piece
+ * @returns {Promise<CryptoKey>} AES-KW key
+ * @throws {EncryptionError} If no key with that id is configured
+ */
+async function findMasterKey(env, keyId) {
+  if (
+    env.ENCRYPTION_KEY &&
+    keyId === (env.ENCRYPTION_KEY_ID || DEFAULT_KEY_ID)
+  ) {
+    return importMasterKey(env.ENCRYPTION_KEY, keyId);
+  }
+
+  let previous = {};
+  try {
+    previous = JSON.parse(env.ENCRYPTION_PREVIOUS_KEYS || "{}");
+  } catch (parseError) {
+    console.error("Invalid ENCRYPTION_PREVIOUS_KEYS:", parseError.message);
+  }
+  if (typeof previous[keyId] !== "string") {
+    throw new EncryptionError(
+      `Encryption key ${keyId} is not configured`,
+      "encryption_key_unknown"
+    );
+  }
+  return importMasterKey(previous[keyId], keyId);
+}
+
+/**
+ * Encrypts a file with a fresh data key wrapped by the master key
+ * @param {Object} env - Worker environment
+ * @param {Uint8Array} plaintext - File contents
+ * @returns {Promise<{ciphertext: Uint8Array, encryption: EncryptionInfo}>} Bytes to store and how to decrypt them
+ * @throws {EncryptionError} If the master key is missing or malformed
+ */
+export async function encryptFile(env, plaintext) {
+  const { keyId, key: masterKey } = await getCurrentMasterKey(env);
+  const dataKey = await crypto.subtle.generateKey(
+    { name: "AES-GCM", length: 256 },
+    true,
+    ["encrypt", "decrypt"]
+  );
+  const nonce = crypto.getRandomValues(new Uint8Array(NONCE_BYTES));
+
+  const ciphertext = new Uint8Array(
+    await crypto.subtle.encrypt(
+      { name: "AES-GCM", iv: nonce },
+      dataKey,
+      plaintext
+    )
+  );
+  const wrappedKey = new Uint8Array(
+    await crypto.subtle.wrapKey("raw", dataKey, masterKey, "AES-KW")
+  );
+
+  return {
+    ciphertext,
+    encryption: {
+      algorithm: "AES-256-GCM",
+      key_wrap: "AES-KW",
+      key_id: keyId,
+      wrapped_key: toBase64(wrappedKey),
+      nonce: toBase64(nonce),
+      ciphertext_size: ciphertext.length,
+    },
+  };
+}
+
+/**
+ * Decrypts a piece stored by `encryptFile`
+ * @param {Object} env - Worker environment
+ * @param {Uint8Array} ciphertext - Stored piece
+ * @param {EncryptionInfo} encryption - Encryption details from the upload record
+ * @returns {Promise<Uint8Array>} File contents
+ * @throws {EncryptionError} If the key is unknown or the piece was altered
+ */
+export async function decryptFile(env, ciphertext, encryption) {
+  const masterKey = await findMasterKey(env, encryption.key_id);
+  try {
+    const dataKey = await crypto.subtle.unwrapKey(
+      "raw",
+      fromBase64(encryption.wrapped_key),
+      masterKey,
+      "AES-KW",
+      { name: "AES-GCM", length: 256 },
+      false,
+      ["decrypt"]
+    );
+    return new Uint8Array(
+      await crypto.subtle.decrypt(
+        { name: "AES-GCM", iv: fromBase64(encryption.nonce) },
+        dataKey,
+        ciphertext
+      )
+    );
+  } catch (decryptError) {
+    throw new EncryptionError(
+      `Piece could not be decrypted: ${
+        decryptError.message || decryptError.name
+      }`,
+      "decryption_failed"
+    );
+  }
+}
@@ -0,0 +1,367 @@
+import {
+  MAX_FILE_SIZE,
+  PayloadTooLargeError,
+  parseDeclaredSize,
+  readStreamWithLimit,
+} from "./body.js";
+import { getBackoffDelay } from "./outbox.js";
+import { getBodySpill } from "./staging.js";
+
+/**
+ * Hardened downloads of client-supplied image URLs
+ *
+ * JSON and batch uploads make the worker fetch a URL chosen by the caller,
+ * so every URL (and every redirect hop) is checked before it is requested:
+ * only http(s), no credentials, no loopback, private or link-local
+ * addresses and, when `IMAGE_URL_ALLOWED_HOSTS` is set, only the listed
+ * hosts. Redirects are followed manually so each hop is re-validated.
+ * Downloads are bounded by a connect timeout, an idle read timeout and
+ * the upload size limit, and transient 5xx responses are retried.
+ *
+ * Workers cannot see the address a hostname resolves to, so a public name
+ * pointing at a private address is only stopped by the allowlist.
+ */
+
+const DEFAULT_CONNECT_TIMEOUT_MS = 10 * 1000;
+const DEFAULT_READ_TIMEOUT_MS = 30 * 1000;
+const DEFAULT_MAX_REDIRECTS = 5;
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+// Backoff between attempts after a transient failure
+const RETRY_BACKOFF = { baseDelayMs: 500, maxDelayMs: 5000 };
+
+// Upstream statuses worth another attempt
+const TRANSIENT_STATUSES = new Set([500, 502, 503, 504]);
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+// Names that only resolve inside a private network
+const INTERNAL_HOST_SUFFIXES = [".localhost", ".local", ".internal", ".lan"];
+
+// IPv4 ranges that must never be fetched: [first octets, prefix length]
+const BLOCKED_IPV4_RANGES = [
+  [[0], 8], // "this" network
+  [[10], 8], // private
+  [[100, 64], 10], // carrier-grade NAT
+  [[127], 8], // loopback
+  [[169, 254], 16], // link-local, cloud metadata
+  [[172, 16], 12], // private
+  [[192, 0, 0], 24], // IETF protocol assignments
+  [[192, 168], 16], // private
+  [[198, 18], 15], // benchmarking
+  [[224], 4], // multicast
+  [[240], 4], // reserved, broadcast
+];
+
+/**
+ * Error raised when an image URL cannot be downloaded
+ */
+export class DownloadError extends Error {
+  /**
+   * @param {string} message - Reason for the failure
+   * @param {string} code - Machine-readable error code
+   * @param {boolean} [transient=false] - Whether another attempt may succeed
+   */
+  constructor(message, code, transient = false) {
+    super(message);
+    this.name = "DownloadError";
+    this.code = code;
+    this.transient = transient;
+  }
+}
+
+/**
+ * Reads download settings from the environment
+ * @param {Object} env - Worker environment
+ * @returns {{allowedHosts: string[], connectTimeoutMs: number, readTimeoutMs: number, maxRedirects: number, maxAttempts: number}} Download settings
+ */
+export function getFetcherConfig(env) {
+  return {
+    allowedHosts: (env.IMAGE_URL_ALLOWED_HOSTS || "")
+      .split(",")
+      .map((host) => host.trim().toLowerCase())
+      .filter(Boolean),
+    connectTimeoutMs:
+      parseInt(env.DOWNLOAD_CONNECT_TIMEOUT_MS) || DEFAULT_CONNECT_TIMEOUT_MS,
+    readTimeoutMs:
+      parseInt(env.DOWNLOAD_READ_TIMEOUT_MS) || DEFAULT_READ_TIMEOUT_MS,
+    maxRedirects: parseInt(env.DOWNLOAD_MAX_REDIRECTS) || DEFAULT_MAX_REDIRECTS,
+    maxAttempts: parseInt(env.DOWNLOAD_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS,
+  };
+}
+
+/**
+ * Checks whether an IPv4 address is in a blocked range
+ * @param {string} host - Dotted-quad address
+ * @returns {boolean} True if the address is not publicly routable
+ */
+function isBlockedIPv4(host) {
+  const octets = host.split(".").map(Number);
+  const address =
+    ((octets[0] << 24) | (octets[1] << 16) | (octets[2] << 8) | octets[3]) >>>
+    0;
+  return BLOCKED_IPV4_RANGES.some(([prefix, bits]) => {
+    const base = prefix.reduce(
+      (value, octet, index) => value | (octet << (24 - index * 8)),
+      0
+    );
+    const mask = bits === 0 ? 0 : (~0 << (32 - bits)) >>> 0;
+    return (address & mask) >>> 0 === (base & mask) >>> 0;
+  });
+}
+
+/**
+ * Checks whether an IPv6 address is outside global unicast space
+ * @param {string} host - Address as normalised by `URL` (no brackets)
+ * @returns {boolean} True if the address is not publicly routable
+ */
+function isBlockedIPv6(host) {
+  const [head, tail] = host.split("::");
+  const headGroups = head ? head.split(":") : [];
+  const tailGroups = tail ? tail.split(":") : [];
+  const groups = [
+    ...headGroups,
+    ...Array(8 - headGroups.length - tailGroups.length).fill("0"),
+    ...tailGroups,
+  ].map((group) => parseInt(group, 16));
+
+  // Only 2000::/3 is global unicast; this also covers loopback, unique
+  // local, link-local, multicast and IPv4-mapped addresses
+  if (groups[0] < 0x2000 || groups[0] > 0x3fff) {
+    return true;
+  }
+  // 6to4 and Teredo embed an IPv4 address; documentation is never routed
+  return (
+    groups[0] === 0x2002 ||
+    (groups[0] === 0x2001 && (groups[1] === 0 || groups[1] === 0xdb8))
+  );
+}
+
+/**
+ * Checks whether a host matches the allowlist
+ * @param {string} hostname - Lower-case hostname
+ * @param {string[]} allowedHosts - Exact hosts or `*.domain` wildcards
+ * @returns {boolean} True if the host is listed
+ */
+function isAllowedHost(hostname, allowedHosts) {
+  return allowedHosts.some((allowed) =>
+    allowed.startsWith("*.")
+      ? hostname.endsWith(allowed.slice(1))
+      : hostname === allowed
+  );
+}
+
+/**
+ * Checks that an image URL may be fetched
+ * @param {Object} env - Worker environment
+ * @param {string} value - URL to check
+ * @returns {string|null} Reason the URL is rejected, or null if it is allowed
+ */
+export function checkImageUrl(env, value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (parseError) {
+    return "Must be an http(s) URL";
+  }
+  if (url.protocol !== "https:" && url.protocol !== "http:") {
+    return "Must be an http(s) URL";
+  }
+  if (url.username || url.password) {
+    return "Must not contain credentials";
+  }
+
+  const hostname = url.hostname.toLowerCase();
+  const { allowedHosts } = getFetcherConfig(env);
+  if (allowedHosts.length > 0) {
+    return isAllowedHost(hostname, allowedHosts)
+      ? null
+      : `Host ${hostname} is not in the allowed hosts`;
+  }
+
+  // URL normalises numeric and hex IPv4 forms to dotted quads
+  if (/^\d+\.\d+\.\d+\.\d+$/.test(hostname)) {
+    return isBlockedIPv4(hostname)
+      ? `Address ${hostname} is not publicly routable`
+      : null;
+  }
+  if (hostname.startsWith("[")) {
+    return isBlockedIPv6(hostname.slice(1, -1))
+      ? `Address ${hostname} is not publicly routable`
+      : null;
+  }
+  if (
+    !hostname.includes(".") ||
+    INTERNAL_HOST_SUFFIXES.some((suffix) => hostname.endsWith(suffix))
+  ) {
+    return `Host ${hostname} is not a public hostname`;
+  }
+  return null;
+}
+
+/**
+ * Requests a URL once, following redirects manually
+ * @param {Object} env - Worker environment
+ * @param {string} url - Validated URL
+ * @param {AbortController} controller - Aborts the request and its body
+ * @returns {Promise<{response: Response, url: string}>} Final response and its URL
+ * @throws {DownloadError} If a hop is blocked or the redirect limit is reached
+ */
+async function requestFollowingRedirects(env, url, controller) {
+  const { maxRedirects } = getFetcherConfig(env);
+  let currentUrl = url;
+
+  for (let hop = 0; ; hop++) {
+    const response = await fetch(currentUrl, {
+      redirect: "manual",
+      signal: controller.signal,
+    });
+    if (!REDIRECT_STATUSES.has(response.status)) {
+      return { response, url: currentUrl };
+    }
+
+    const location = response.headers.get("location");
+    await response.body?.cancel().catch(() => {});
+    if (!location) {
+      throw new DownloadError(
+        `Redirect ${response.status} without a Location header`,
+        "download_failed"
+      );
+    }
+    if (hop >= maxRedirects) {
+      throw new DownloadError(
+        `Too many redirects (maximum ${maxRedirects})`,
+        "too_many_redirects"
+      );
+    }
+
+    const nextUrl = new URL(location, currentUrl).toString();
+    const rejection = checkImageUrl(env, nextUrl);
+    if (rejection) {
+      throw new DownloadError(
+        `Redirect to ${nextUrl} blocked: ${rejection}`,
+        "image_url_not_allowed"
+      );
+    }
+    currentUrl = nextUrl;
+  }
+}
+
+/**
+ * Downloads an image once
+ * @param {Object} env - Worker environment
+ * @param {string} url - Validated URL
+ * @param {number} maxBytes - Largest body accepted
+ * @returns {Promise<{bytes: Uint8Array, contentType: string|null, url: string}>} Download result
+ * @throws {DownloadError|import("./body.js").PayloadTooLargeError} If the download fails
+ */
+async function downloadOnce(env, url, maxBytes) {
+  const { connectTimeoutMs, readTimeoutMs } = getFetcherConfig(env);
+  const controller = new AbortController();
+  let timeout = null;
+  let timedOut = null;
+  const arm = (ms, phase) => {
+    clearTimeout(timeout);
+    timeout = setTimeout(() => {
+      timedOut = phase;
+      controller.abort();
+    }, ms);
+  };
+
+  arm(connectTimeoutMs, "connect");
+  try {
+    const { response, url: finalUrl } = await requestFollowingRedirects(
+      env,
+      url,
+      controller
+    );
+    if (!response.ok) {
+      await response.body?.cancel().catch(() => {});
+      throw new DownloadError(
+        `Failed to download image: ${response.status} ${response.statusText}`,
+        "download_failed",
+        TRANSIENT_STATUSES.has(response.status)
+      );
+    }
+
+    // The read timeout restarts with every chunk received
+    arm(readTimeoutMs, "read");
+    const body = response.body?.pipeThrough(
+      new TransformStream({
+        transform(chunk, streamController) {
+          arm(readTimeoutMs, "read");
+          streamController.enqueue(chunk);
+        },
+      })
+    );
+    const bytes = await readStreamWithLimit(
+      body,
+      maxBytes,
+      parseDeclaredSize(response.headers.get("content-length")),
+      { spill: getBodySpill(env) }
+    );
+    return {
+      bytes,
+      contentType: response.headers.get("content-type"),
+      url: finalUrl,
+    };
+  } catch (error) {
+    if (timedOut) {
+      const limit = timedOut === "connect" ? connectTimeoutMs : readTimeoutMs;
+      throw new DownloadError(
+        `Image download timed out (${timedOut} timeout of ${limit}ms)`,
+        "download_timeout",
+        true
+      );
+    }
+    if (
+      error instanceof DownloadError ||
+      error instanceof PayloadTooLargeError
+    ) {
+      throw error;
+    }
+    // Network failures (connection reset, DNS errors) may be transient
+    throw new DownloadError(
+      `Failed to download image: ${error.message}`,
+      "download_failed",
+      true
+    );
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * Downloads a client-supplied image URL with SSRF checks, timeouts and retries
+ * @param {Object} env - Worker environment
+ * @param {string} url - Image URL
+ * @param {number} [maxBytes=MAX_FILE_SIZE] - Largest body accepted
+ * @returns {Promise<{bytes: Uint8Array, contentType: string|null, url: string}>} Image contents, declared type and final URL
+ * @throws {DownloadError} If the URL is blocked or the download fails
+ * @throws {import("./body.js").PayloadTooLargeError} If the image exceeds `maxBytes`
+ */
+export async function fetchImage(env, url, maxBytes = MAX_FILE_SIZE) {
+  const rejection = checkImageUrl(env, url);
+  if (rejection) {
+    throw new DownloadError(
+      `Image URL not allowed: ${rejection}`,
+      "image_url_not_allowed"
+    );
+  }
+
+  const { maxAttempts } = getFetcherConfig(env);
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await downloadOnce(env, url, maxBytes);
+    } catch (error) {
+      if (!error.transient || attempt >= maxAttempts) {
+        throw error;
+      }
+      const delay = getBackoffDelay(attempt, RETRY_BACKOFF);
+      console.warn(
+        `Image download attempt ${attempt} failed (${error.message}), retrying in ${delay}ms`
+      );
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
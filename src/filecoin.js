@@ -0,0 +1,625 @@
+import { Synapse } from "@filoz/synapse-sdk";
+import { closeConfirmation, recordCopyEvent } from "./confirmations.js";
+import {
+  DEFAULT_STORAGE_OPTIONS,
+  getStorageOptionsKey,
+} from "./storage-policy.js";
+
+/**
+ * Filecoin storage via the Synapse SDK
+ *
+ * Creating a Synapse client and storage context costs several RPC
+ * round-trips plus provider selection, so the context is cached for the
+ * lifetime of the isolate and shared by concurrent requests. It is
+ * refreshed after SYNAPSE_CONTEXT_TTL_SECONDS and discarded as soon as an
+ * upload through it fails. Uploads with different storage options (CDN,
+ * pinned or excluded providers and data sets) get separate contexts.
+ *
+ * With REPLICATION_FACTOR above 1 every piece is also stored with other,
+ * distinct providers; the upload only succeeds once
+ * REPLICATION_MIN_COPIES copies are stored.
+ *
+ * Uploads return once the providers have the bytes; adding the piece to
+ * the data set on chain is tracked afterwards (see confirmations.js).
+ */
+
+/**
+ * Where a piece was stored and how to retrieve it
+ * @typedef {Object} StorageInfo
+ * @property {number|null} provider_id - Storage provider id
+ * @property {string|null} provider_address - Storage provider address
+ * @property {string|null} provider_name - Storage provider name
+ * @property {number|null} data_set_id - Data set the piece was added to
+ * @property {boolean} with_cdn - Whether the data set serves the piece through the CDN
+ * @property {RetrievalUrls} [retrieval_urls] - Where the piece can be downloaded (set for stored pieces)
+ */
+
+/**
+ * Download URLs for a stored piece
+ * @typedef {Object} RetrievalUrls
+ * @property {string|null} provider - Direct URL on the storage provider
+ * @property {string|null} cdn - CDN URL, for CDN-enabled data sets
+ */
+
+/**
+ * One copy of a piece
+ * @typedef {StorageInfo & {status: "stored"|"failed", error?: string}} PieceCopy
+ */
+
+/**
+ * Storage context together with what is needed to describe its pieces
+ * @typedef {Object} StorageTarget
+ * @property {Object} context - Synapse storage context
+ * @property {string} payerAddress - Wallet paying for the data set
+ * @property {string} network - Filecoin network name
+ * @property {import("./storage-policy.js").StorageOptions} options - Options the context was created for
+ */
+
+/**
+ * Error raised when fewer copies of a piece were stored than required
+ */
+export class ReplicationError extends Error {
+  /**
+   * @param {string} message - Reason for the failure
+   * @param {PieceCopy[]} copies - Outcome of every copy attempted
+   */
+  constructor(message, copies) {
+    super(message);
+    this.name = "ReplicationError";
+    this.code = "replication_incomplete";
+    this.copies = copies;
+  }
+}
+
+// Storage contexts are reused for ten minutes unless configured otherwise
+const DEFAULT_CONTEXT_TTL_SECONDS = 10 * 60;
+
+// Distinct option sets kept per isolate; the oldest is dropped beyond this
+const MAX_CACHED_CONTEXTS = 8;
+
+// Cached contexts for this isolate by configuration and options:
+// { fingerprint, promise, target, expiresAt }
+const cachedContexts = new Map();
+
+/**
+ * Returns the configured storage context lifetime in seconds
+ * @param {Object} env - Worker environment
+ * @returns {number} TTL in seconds (0 disables caching)
+ */
+function getContextTtl(env) {
+  const ttl = parseInt(env.SYNAPSE_CONTEXT_TTL_SECONDS);
+  return Number.isNaN(ttl) ? DEFAULT_CONTEXT_TTL_SECONDS : Math.max(0, ttl);
+}
+
+/**
+ * Reads replication settings from the environment
+ * @param {Object} env - Worker environment
+ * @returns {{copies: number, minCopies: number}} Copies to make, and how many must succeed
+ */
+export function getReplicationConfig(env) {
+  const copies = Math.max(1, parseInt(env.REPLICATION_FACTOR) || 1);
+  const minCopies = parseInt(env.REPLICATION_MIN_COPIES) || copies;
+  return { copies, minCopies: Math.min(Math.max(1, minCopies), copies) };
+}
+
+/**
+ * Identifies the configuration a cached context was created for
+ * @param {Object} env - Worker environment
+ * @returns {string} Configuration fingerprint
+ */
+function getContextFingerprint(env) {
+  return [
+    env.FILECOIN_PRIVATE_KEY,
+    env.FILECOIN_RPC_URL,
+    env.FILECOIN_NETWORK,
+  ].join("|");
+}
+
+/**
+ * Creates a Synapse client for the configured wallet
+ * @param {Object} env - Worker environment
+ * @returns {Promise<Synapse>} Synapse client
+ * @throws {Error} If the SDK cannot be initialized
+ */
+export async function createSynapseClient(env) {
+  if (!env.FILECOIN_PRIVATE_KEY) {
+    throw new Error("FILECOIN_PRIVATE_KEY not configured");
+  }
+
+  console.log("Initializing Synapse SDK...");
+
+  // Initialize Synapse SDK with detailed error handling
+  try {
+    return await Synapse.create({
+      privateKey: env.FILECOIN_PRIVATE_KEY,
+      rpcURL:
+        env.FILECOIN_RPC_URL || "https://api.calibration.node.glif.io/rpc/v1",
+      network: env.FILECOIN_NETWORK || "calibration",
+    });
+  } catch (synapseError) {
+    console.error("Synapse SDK initialization failed:", synapseError.message);
+    throw new Error(
+      `Synapse SDK initialization failed: ${synapseError.message}`
+    );
+  }
+}
+
+/**
+ * Chooses where a context should store pieces when providers or data sets are excluded
+ *
+ * The SDK cannot exclude anything itself, so this picks an existing data
+ * set the SDK would also consider (live, managed, matching CDN setting),
+ * oldest first, or else an approved provider for a new data set.
+ * @param {Synapse} synapse - Synapse client
+ * @param {import("./storage-policy.js").StorageOptions} options - Storage options
+ * @returns {Promise<Object>} `createContext` options selecting the provider or data set
+ * @throws {Error} If every approved provider is excluded
+ */
+async function selectStorageLocation(synapse, options) {
+  const excludedProviders = new Set(options.excludeProviderIds);
+  const excludedDataSets = new Set(options.excludeDataSetIds);
+
+  const dataSets = await synapse.storage.findDataSets();
+  const usable = dataSets
+    .filter(
+      (dataSet) =>
+        dataSet.isLive &&
+        dataSet.isManaged &&
+        dataSet.withCDN === options.withCDN &&
+        !excludedProviders.has(dataSet.providerId) &&
+        !excludedDataSets.has(dataSet.pdpVerifierDataSetId) &&
+        (options.providerId === null ||
+          dataSet.providerId === options.providerId)
+    )
+    .sort((a, b) => a.pdpVerifierDataSetId - b.pdpVerifierDataSetId);
+  if (usable.length > 0) {
+    return { dataSetId: usable[0].pdpVerifierDataSetId };
+  }
+
+  // No usable data set: start a new one so an excluded one is never picked
+  if (options.providerId !== null) {
+    return { providerId: options.providerId, forceCreateDataSet: true };
+  }
+  const { providers } = await synapse.storage.getStorageInfo();
+  const candidates = providers.filter(
+    (provider) => !excludedProviders.has(provider.id)
+  );
+  if (candidates.length === 0) {
+    throw new Error("Every approved storage provider is excluded");
+  }
+  const provider = candidates[Math.floor(Math.random() * candidates.length)];
+  return { providerId: provider.id, forceCreateDataSet: true };
+}
+
+/**
+ * Creates a Synapse client and storage context for the configured wallet
+ * @param {Object} env - Worker environment
+ * @param {import("./storage-policy.js").StorageOptions} [options] - Storage options
+ * @returns {Promise<StorageTarget>} Storage context and its details
+ * @throws {Error} If the SDK or storage context cannot be initialized
+ */
+export async function createStorageContext(
+  env,
+  options = DEFAULT_STORAGE_OPTIONS
+) {
+  const synapse = await createSynapseClient(env);
+
+  console.log(
+    `Creating storage context (CDN ${options.withCDN ? "on" : "off"})...`
+  );
+
+  // Create storage context with detailed error handling
+  try {
+    let location = {};
+    if (options.dataSetId !== null) {
+      location = { dataSetId: options.dataSetId };
+    } else if (
+      options.excludeProviderIds.length > 0 ||
+      options.excludeDataSetIds.length > 0
+    ) {
+      location = await selectStorageLocation(synapse, options);
+    } else if (options.providerId !== null) {
+      location = { providerId: options.providerId };
+    }
+
+    const [context, payerAddress] = await Promise.all([
+      synapse.storage.createContext({
+        ...location,
+        withCDN: options.withCDN,
+        callbacks: {
+          onProviderSelected: (provider) => {
+            console.log(
+              `Storage provider selected: ${provider.serviceProvider}`
+            );
+          },
+        },
+      }),
+      synapse.getSigner().getAddress(),
+    ]);
+    return {
+      context,
+      payerAddress,
+      network: env.FILECOIN_NETWORK || "calibration",
+      options,
+    };
+  } catch (contextError) {
+    console.error("Storage context creation failed:", contextError.message);
+    throw new Error(`Storage context creation failed: ${contextError.message}`);
+  }
+}
+
+/**
+ * Returns the isolate's cached storage context for a set of options, creating it if needed
+ *
+ * Concurrent callers share a single in-flight creation. A failed
+ * creation is not cached.
+ * @param {Object} env - Worker environment
+ * @param {import("./storage-policy.js").StorageOptions} [options] - Storage options
+ * @returns {Promise<StorageTarget>} Storage context and its details
+ * @throws {Error} If the SDK or storage context cannot be initialized
+ */
+export async function getStorageContext(
+  env,
+  options = DEFAULT_STORAGE_OPTIONS
+) {
+  const ttlSeconds = getContextTtl(env);
+  if (ttlSeconds === 0) {
+    return createStorageContext(env, options);
+  }
+
+  const key = getStorageOptionsKey(options);
+  const fingerprint = getContextFingerprint(env);
+  const cached = cachedContexts.get(key);
+  if (
+    cached &&
+    cached.fingerprint === fingerprint &&
+    Date.now() < cached.expiresAt
+  ) {
+    console.log("Reusing cached storage context");
+    return cached.promise;
+  }
+
+  const entry = {
+    fingerprint,
+    target: null,
+    expiresAt: Date.now() + ttlSeconds * 1000,
+  };
+  entry.promise = createStorageContext(env, options).then(
+    (target) => {
+      entry.target = target;
+      return target;
+    },
+    (contextError) => {
+      if (cachedContexts.get(key) === entry) {
+        cachedContexts.delete(key);
+      }
+      throw contextError;
+    }
+  );
+  cachedContexts.delete(key);
+  cachedContexts.set(key, entry);
+  if (cachedContexts.size > MAX_CACHED_CONTEXTS) {
+    cachedContexts.delete(cachedContexts.keys().next().value);
+  }
+  return entry.promise;
+}
+
+/**
+ * Discards a cached storage context if it is the given one
+ *
+ * Contexts created since the failing one was handed out are kept.
+ * @param {StorageTarget} target - Context that failed
+ * @param {string} reason - Why it is being discarded
+ */
+export function invalidateStorageContext(target, reason) {
+  const key = getStorageOptionsKey(target.options);
+  const cached = cachedContexts.get(key);
+  if (cached && cached.target === target) {
+    console.warn(`Discarding cached storage context: ${reason}`);
+    cachedContexts.delete(key);
+  }
+}
+
+/**
+ * Reports the isolate's cached storage contexts
+ * @returns {({cached: boolean, expires_at: string} & StorageInfo)[]} One entry per created context
+ */
+export function getStorageContextStatus() {
+  return [...cachedContexts.values()]
+    .filter((entry) => entry.target)
+    .map((entry) => ({
+      cached: Date.now() < entry.expiresAt,
+      expires_at: new Date(entry.expiresAt).toISOString(),
+      ...describeStorageContext(entry.target),
+    }));
+}
+
+/**
+ * Describes the provider and data set behind a storage context
+ * @param {StorageTarget} target - Storage context and its details
+ * @returns {StorageInfo} Storage location
+ */
+export function describeStorageContext(target) {
+  const { context } = target;
+  const provider = context.provider || {};
+  return {
+    provider_id: provider.id ?? null,
+    provider_address: provider.serviceProvider ?? null,
+    provider_name: provider.name ?? null,
+    data_set_id: context.dataSetId ?? null,
+    with_cdn: Boolean(context.withCDN),
+  };
+}
+
+/**
+ * Returns the PDP service URL of a context's provider
+ * @param {StorageTarget} target - Storage context and its details
+ * @returns {string|null} Service URL, or null if the provider has none
+ */
+function getServiceUrl(target) {
+  const provider = target.context.provider || {};
+  return provider.products?.PDP?.data?.serviceURL || null;
+}
+
+/**
+ * Builds the download URLs of a piece stored through a context
+ *
+ * The provider URL is the provider's PDP service URL, as the SDK uses for
+ * retrieval; CDN-enabled data sets are also served from FilCDN under the
+ * paying wallet's address.
+ * @param {StorageTarget} target - Storage context and its details
+ * @param {string} pieceCid - Filecoin piece CID
+ * @returns {RetrievalUrls} Download URLs
+ */
+function buildRetrievalUrls(target, pieceCid) {
+  const serviceUrl = getServiceUrl(target);
+  const cdnHost =
+    target.network === "mainnet" ? "filcdn.io" : "calibration.filcdn.io";
+  return {
+    provider: serviceUrl
+      ? `${serviceUrl.replace(/\/$/, "")}/piece/${pieceCid}`
+      : null,
+    cdn: target.context.withCDN
+      ? `https://${target.payerAddress}.${cdnHost}/${pieceCid}`
+      : null,
+  };
+}
+
+/**
+ * Uploads bytes with an existing storage context
+ *
+ * Resolves as soon as `onUploadComplete` fires, without waiting for the
+ * piece to be added to the data set on chain. `onPieceAdded` reports the
+ * piece-addition transaction, and `settled` resolves with the outcome
+ * once the piece is confirmed or adding it failed.
+ * @param {Object} storageContext - Synapse storage context
+ * @param {Uint8Array} fileBuffer - File contents
+ * @param {(event: import("./confirmations.js").CopyEvent) => void} [onPieceAdded] - Called with the `added` step
+ * @returns {Promise<{pieceCid: string, settled: Promise<import("./confirmations.js").CopyEvent>}>} Piece CID, and the on-chain outcome (never rejects)
+ * @throws {Error} If the upload fails
+ */
+export async function uploadWithContext(
+  storageContext,
+  fileBuffer,
+  onPieceAdded
+) {
+  console.log("Uploading to Filecoin...");
+
+  let pieceCid = null;
+  let confirmedPieceIds = [];
+  let markUploaded;
+  const uploaded = new Promise((resolve) => {
+    markUploaded = resolve;
+  });
+
+  const upload = storageContext.upload(fileBuffer, {
+    onUploadComplete: (uploadedCid) => {
+      pieceCid = uploadedCid.toString();
+      console.log(`Upload completed! Piece CID: ${pieceCid}`);
+      markUploaded();
+    },
+    onPieceAdded: (transaction) => {
+      console.log(`Piece ${pieceCid} added in ${transaction?.hash}`);
+      onPieceAdded?.({ status: "added", txHash: transaction?.hash ?? null });
+    },
+    onPieceConfirmed: (pieceIds) => {
+      console.log(`Piece ${pieceCid} confirmed (ids ${pieceIds.join(", ")})`);
+      confirmedPieceIds = pieceIds;
+    },
+  });
+
+  const settled = upload.then(
+    (result) => ({
+      status: "confirmed",
+      pieceId:
+        result?.pieceId ??
+        (confirmedPieceIds.length === 1 ? confirmedPieceIds[0] : null),
+    }),
+    (uploadError) => {
+      if (pieceCid !== null) {
+        console.error(
+          `Adding piece ${pieceCid} to the data set failed:`,
+          uploadError.message
+        );
+      }
+      return { status: "failed", error: uploadError.message };
+    }
+  );
+
+  // Only failures before the provider accepted the bytes fail the upload
+  try {
+    await Promise.race([uploaded, upload]);
+  } catch (uploadError) {
+    console.error("Filecoin upload failed:", uploadError.message);
+    console.error("Upload error stack:", uploadError.stack);
+    throw new Error(`Filecoin upload failed: ${uploadError.message}`);
+  }
+  return { pieceCid, settled };
+}
+
+/**
+ * Stores one copy of some bytes using the cached storage context for the options
+ *
+ * The copy's on-chain progress is recorded as it happens.
+ * @param {Object} env - Worker environment
+ * @param {Uint8Array} fileBuffer - File contents
+ * @param {import("./storage-policy.js").StorageOptions} options - Storage options
+ * @param {number} requiredCopies - Confirmed copies needed for the piece to be confirmed
+ * @returns {Promise<{pieceCid: string, storage: StorageInfo, confirmation: Promise<void>}>} Piece CID, where it was stored and how to retrieve it, and a promise that settles once the copy's on-chain outcome is recorded
+ * @throws {Error} If the context cannot be created or the upload fails (upload failures carry the context's `storage`)
+ */
+async function storeCopy(env, fileBuffer, options, requiredCopies) {
+  const target = await getStorageContext(env, options);
+  const location = {
+    ...describeStorageContext(target),
+    service_url: getServiceUrl(target),
+  };
+  const progress = [];
+  let record = (event) => progress.push(event);
+
+  try {
+    const { pieceCid, settled } = await uploadWithContext(
+      target.context,
+      fileBuffer,
+      (event) => record(event)
+    );
+
+    // Steps reported before the piece was known are recorded in order
+    const recordEvent = (event) =>
+      recordCopyEvent(env, pieceCid, location, event, requiredCopies);
+    recordEvent({ status: "uploaded" });
+    progress.forEach(recordEvent);
+    record = recordEvent;
+
+    const confirmation = settled.then((event) => {
+      if (event.status === "failed") {
+        invalidateStorageContext(target, event.error);
+      }
+      return recordEvent(event);
+    });
+
+    return {
+      pieceCid,
+      storage: {
+        ...describeStorageContext(target),
+        retrieval_urls: buildRetrievalUrls(target, pieceCid),
+      },
+      confirmation,
+    };
+  } catch (uploadError) {
+    invalidateStorageContext(target, uploadError.message);
+    uploadError.storage = describeStorageContext(target);
+    throw uploadError;
+  }
+}
+
+/**
+ * Stores bytes on Filecoin, replicated to distinct providers as configured
+ *
+ * The first copy honours the storage options as given. Each further copy
+ * drops any pinned provider or data set and excludes the providers that
+ * already hold a copy or failed one. Copies are made one after another so
+ * that each can exclude the providers tried before it.
+ *
+ * `confirmation` settles once every stored copy's on-chain outcome is
+ * recorded; callers keep the worker alive for it with `waitUntil`.
+ * @param {Object} env - Worker environment
+ * @param {Uint8Array} fileBuffer - File contents
+ * @param {import("./storage-policy.js").StorageOptions} [options] - Storage options
+ * @returns {Promise<{pieceCid: string, storage: StorageInfo, copies: PieceCopy[], confirmation: Promise<void>}>} Piece CID, the first copy's location, every copy's outcome and the on-chain tracking
+ * @throws {Error} If the first copy fails
+ * @throws {ReplicationError} If fewer than REPLICATION_MIN_COPIES copies were stored
+ */
+export async function storeOnFilecoin(
+  env,
+  fileBuffer,
+  options = DEFAULT_STORAGE_OPTIONS
+) {
+  const { copies: wanted, minCopies } = getReplicationConfig(env);
+  const first = await storeCopy(env, fileBuffer, options, minCopies);
+  const { pieceCid, storage } = first;
+  const copies = [{ ...storage, status: "stored" }];
+  const confirmations = [first.confirmation];
+
+  const usedProviders = new Set(options.excludeProviderIds);
+  for (let copy = 1; copy < wanted; copy++) {
+    // Providers that hold a copy or just failed one are not asked again
+    copies
+      .filter((attempt) => attempt.provider_id !== null)
+      .forEach((attempt) => usedProviders.add(attempt.provider_id));
+    const replicaOptions = {
+      ...options,
+      providerId: null,
+      dataSetId: null,
+      excludeProviderIds: [...usedProviders].sort((a, b) => a - b),
+    };
+
+    try {
+      const replica = await storeCopy(
+        env,
+        fileBuffer,
+        replicaOptions,
+        minCopies
+      );
+      confirmations.push(replica.confirmation);
+      if (replica.pieceCid !== pieceCid) {
+        throw new Error(
+          `Replica was stored as ${replica.pieceCid} instead of ${pieceCid}`
+        );
+      }
+      copies.push({ ...replica.storage, status: "stored" });
+    } catch (replicaError) {
+      console.error(
+        `Copy ${copy + 1} of ${pieceCid} failed:`,
+        replicaError.message
+      );
+      copies.push({
+        provider_id: null,
+        provider_address: null,
+        provider_name: null,
+        data_set_id: null,
+        with_cdn: options.withCDN,
+        ...replicaError.storage,
+        status: "failed",
+        error: replicaError.message,
+      });
+    }
+  }
+
+  // Every copy is known now, so the piece can settle once they are confirmed
+  const confirmation = closeConfirmation(env, pieceCid).then(() =>
+    Promise.all(confirmations).then(() => {})
+  );
+
+  const stored = copies.filter((copy) => copy.status === "stored").length;
+  if (wanted > 1) {
+    console.log(`Stored ${stored} of ${wanted} copies of ${pieceCid}`);
+  }
+  if (stored < minCopies) {
+    throw new ReplicationError(
+      `Only ${stored} of the ${minCopies} required copies of ${pieceCid} were stored`,
+      copies
+    );
+  }
+  return { pieceCid, storage, copies, confirmation };
+}
+
+/**
+ * Returns the primary retrieval URL for a piece
+ *
+ * Prefers the CDN, then the provider; THCLOUD_API_BASE is only used when
+ * the piece's location is unknown.
+ * @param {Object} env - Worker environment
+ * @param {string} pieceCid - Filecoin piece CID
+ * @param {StorageInfo} [storage] - Where the piece was stored
+ * @returns {string} Retrieval URL
+ */
+export function buildFilecoinUrl(env, pieceCid, storage) {
+  const urls = storage && storage.retrieval_urls;
+  if (urls && (urls.cdn || urls.provider)) {
+    return urls.cdn || urls.provider;
+  }
+  return `${
+    env.THCLOUD_API_BASE || "https://pdp-test.thcloud.dev"
+  }/piece/${pieceCid}`;
+}
@@ -0,0 +1,199 @@
+import { authenticateAdmin } from "../auth.js";
+import { errorResponse, jsonResponse } from "../http.js";
+import { listDeadLetters, replayDeadLetters } from "../outbox.js";
+import { LIMIT_SCOPES, getUsage, setLimits } from "../rate-limit.js";
+
+/**
+ * Admin route handlers (require the `x-admin-key` header)
+ */
+
+/**
+ * Lists backend notifications parked in the dead-letter store
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ * @returns {Promise<Response>} Page of failed deliveries
+ */
+export async function handleListFailedNotifications(request, env) {
+  const auth = authenticateAdmin(request, env);
+  if (!auth.ok) {
+    return auth.response;
+  }
+
+  const searchParams = new URL(request.url).searchParams;
+  const { entries, cursor } = await listDeadLetters(env, {
+    cid: searchParams.get("cid") || undefined,
+    limit: parseInt(searchParams.get("limit")) || 100,
+    cursor: searchParams.get("cursor") || undefined,
+  });
+
+  return jsonResponse({
+    success: true,
+    count: entries.length,
+    notifications: entries,
+    cursor,
+  });
+}
+
+/**
+ * Replays dead-lettered backend notifications for a piece CID
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ * @param {Object} ctx - Execution context
+ * @param {{cid: string}} params - Route parameters
+ * @returns {Promise<Response>} Outcome of each replayed delivery
+ */
+export async function handleReplayNotifications(request, env, ctx, params) {
+  const auth = authenticateAdmin(request, env);
+  if (!auth.ok) {
+    return auth.response;
+  }
+
+  if (!env.BACKEND_API_URL) {
+    return errorResponse(
+      409,
+      "Backend not configured",
+      "backend_not_configured",
+      "BACKEND_API_URL not configured"
+    );
+  }
+
+  const results = await replayDeadLetters(env, params.cid);
+  if (results.length === 0) {
+    return errorResponse(
+      404,
+      "No failed notifications",
+      "no_failed_notifications",
+      `No dead-lettered notifications for CID ${params.cid}`
+    );
+  }
+
+  return jsonResponse({
+    success: results.every((result) => result.ok),
+    cid: params.cid,
+    results,
+  });
+}
+
+/**
+ * Resolves the limit subject named by the route
+ * @param {{scope: string, id: string}} params - Route parameters
+ * @returns {import("../rate-limit.js").LimitSubject|Response} Subject, or a 400 response
+ */
+function getLimitSubject(params) {
+  if (!LIMIT_SCOPES.includes(params.scope)) {
+    return errorResponse(
+      400,
+      "Invalid scope",
+      "invalid_scope",
+      `Scope must be one of: ${LIMIT_SCOPES.join(", ")}`
+    );
+  }
+  return { scope: params.scope, id: params.id };
+}
+
+/**
+ * Shows the current usage and limits of a user or event
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ * @param {Object} ctx - Execution context
+ * @param {{scope: string, id: string}} params - Route parameters
+ * @returns {Promise<Response>} Usage report
+ */
+export async function handleGetLimits(request, env, ctx, params) {
+  const auth = authenticateAdmin(request, env);
+  if (!auth.ok) {
+    return auth.response;
+  }
+  const subject = getLimitSubject(params);
+  if (subject instanceof Response) {
+    return subject;
+  }
+
+  return jsonResponse({ success: true, ...(await getUsage(env, subject)) });
+}
+
+/**
+ * Overrides the limits of a user or event
+ *
+ * Omitted limits keep the default; `0` or `null` removes the limit.
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ * @param {Object} ctx - Execution context
+ * @param {{scope: string, id: string}} params - Route parameters
+ * @returns {Promise<Response>} Updated usage report
+ */
+export async function handleSetLimits(request, env, ctx, params) {
+  const auth = authenticateAdmin(request, env);
+  if (!auth.ok) {
+    return auth.response;
+  }
+  const subject = getLimitSubject(params);
+  if (subject instanceof Response) {
+    return subject;
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch (jsonError) {
+    return errorResponse(
+      400,
+      "Invalid JSON format",
+      "invalid_json",
+      jsonError.message
+    );
+  }
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return errorResponse(
+      400,
+      "Invalid JSON format",
+      "invalid_json",
+      "Body must be a JSON object"
+    );
+  }
+
+  const limits = {};
+  for (const field of ["requests_per_minute", "bytes_per_day"]) {
+    if (body[field] === undefined) {
+      continue;
+    }
+    const value = body[field];
+    if (value !== null && !(Number.isInteger(value) && value >= 0)) {
+      return errorResponse(
+        400,
+        "Invalid limit",
+        "invalid_limit",
+        `${field} must be a non-negative integer or null`
+      );
+    }
+    limits[field] = value || null;
+  }
+
+  await setLimits(env, subject, limits);
+  console.log(
+    `Limits of ${subject.scope} ${subject.id} set to ${JSON.stringify(limits)}`
+  );
+  return jsonResponse({ success: true, ...(await getUsage(env, subject)) });
+}
+
+/**
+ * Restores the default limits of a user or event
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ * @param {Object} ctx - Execution context
+ * @param {{scope: string, id: string}} params - Route parameters
+ * @returns {Promise<Response>} Updated usage report
+ */
+export async function handleResetLimits(request, env, ctx, params) {
+  const auth = authenticateAdmin(request, env);
+  if (!auth.ok) {
+    return auth.response;
+  }
+  const subject = getLimitSubject(params);
+  if (subject instanceof Response) {
+    return subject;
+  }
+
+  await setLimits(env, subject, null);
+  return jsonResponse({ success: true, ...(await getUsage(env, subject)) });
+}
@@ -0,0 +1,180 @@
+import {
+  createArchive,
+  getArchive,
+  syncArchiveNotification,
+  validateArchive,
+} from "../archives.js";
+import { authenticateRequest, canAccessRecord } from "../auth.js";
+import { errorResponse, jsonResponse } from "../http.js";
+import { withIdempotency } from "../idempotency.js";
+import {
+  checkRequestRate,
+  getLimitSubjects,
+  limitExceededResponse,
+} from "../rate-limit.js";
+
+/**
+ * Event archive route handlers
+ */
+
+/**
+ * Builds the client-facing summary of an archive
+ * @param {import("../archives.js").EventArchive} archive - Archive
+ * @returns {Object} Response body
+ */
+function summarizeArchive(archive) {
+  const { id, storage_options, owner_only, image_urls, ...fields } = archive;
+  return {
+    success: archive.status !== "failed",
+    archive_id: archive.id,
+    ...fields,
+    timestamp: archive.updated_at,
+  };
+}
+
+/**
+ * Validates an archive request and queues it for the cron trigger
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ * @param {Object} ctx - Execution context
+ * @param {import("../auth.js").AuthResult} auth - Authenticated caller
+ * @returns {Promise<Response>} 202 with the archive to poll
+ */
+async function processArchive(request, env, ctx, auth) {
+  if (!env.FILECOIN_PRIVATE_KEY) {
+    throw new Error("FILECOIN_PRIVATE_KEY not configured");
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch (jsonError) {
+    return errorResponse(
+      400,
+      "Invalid JSON format",
+      "invalid_json",
+      jsonError.message
+    );
+  }
+
+  const {
+    request: archiveRequest,
+    storageOptions,
+    errors,
+  } = validateArchive(body, env);
+  if (errors.length > 0) {
+    return jsonResponse(
+      {
+        error: "Invalid archive request",
+        code: "invalid_archive",
+        message: `${errors.length} validation error(s)`,
+        errors,
+      },
+      400
+    );
+  }
+
+  const rejection = await checkRequestRate(
+    env,
+    getLimitSubjects(auth.userId, [archiveRequest.eventId])
+  );
+  if (rejection) {
+    return limitExceededResponse(rejection);
+  }
+
+  const archive = await createArchive(
+    env,
+    auth,
+    archiveRequest,
+    storageOptions
+  );
+  console.log(
+    `Accepted archive ${archive.id} of event ${archive.event_id} (${archive.source})`
+  );
+
+  return jsonResponse(
+    {
+      success: true,
+      archive_id: archive.id,
+      status: archive.status,
+      event_id: archive.event_id,
+      source: archive.source,
+      status_url: `/archives/${archive.id}`,
+      timestamp: archive.created_at,
+    },
+    202,
+    { Location: `/archives/${archive.id}` }
+  );
+}
+
+/**
+ * Builds the 500 response for an archive request that could not be accepted
+ * @param {Error} error - Archive error
+ * @returns {Response} Error response
+ */
+function archiveFailedResponse(error) {
+  console.error("Archive request failed:", error.message);
+  return jsonResponse(
+    {
+      error: "Archive request failed",
+      message: error.message,
+      timestamp: new Date().toISOString(),
+    },
+    500
+  );
+}
+
+/**
+ * Starts an archive of an event's images
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ * @param {Object} ctx - Execution context
+ * @returns {Promise<Response>} Accepted archive
+ */
+export async function handleCreateArchive(request, env, ctx) {
+  try {
+    const auth = await authenticateRequest(request, env, {
+      allowServiceKey: true,
+    });
+    if (!auth.ok) {
+      return auth.response;
+    }
+
+    return await withIdempotency(request, env, auth.userId, () =>
+      processArchive(request, env, ctx, auth).catch(archiveFailedResponse)
+    );
+  } catch (error) {
+    return archiveFailedResponse(error);
+  }
+}
+
+/**
+ * Reports the state, manifest and CID of an archive
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ * @param {Object} ctx - Execution context
+ * @param {{id: string}} params - Route parameters
+ * @returns {Promise<Response>} Archive status
+ */
+export async function handleGetArchive(request, env, ctx, params) {
+  const auth = await authenticateRequest(request, env, {
+    allowServiceKey: true,
+  });
+  if (!auth.ok) {
+    return auth.response;
+  }
+
+  const archive = await getArchive(env, params.id);
+  if (!archive || !canAccessRecord(auth, archive)) {
+    return errorResponse(
+      404,
+      "Archive not found",
+      "archive_not_found",
+      `No event archive with id ${params.id}`
+    );
+  }
+
+  return jsonResponse(
+    summarizeArchive(await syncArchiveNotification(env, archive))
+  );
+}
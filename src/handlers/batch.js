@@ -0,0 +1,190 @@
+import { authenticateRequest, canAccessRecord } from "../auth.js";
+import {
+  createBatch,
+  getBatch,
+  queueBatch,
+  runBatch,
+  syncBatchNotification,
+  validateBatch,
+} from "../batch.js";
+import { errorResponse, isAsyncRequest, jsonResponse } from "../http.js";
+import { withIdempotency } from "../idempotency.js";
+import {
+  checkRequestRate,
+  getLimitSubjects,
+  limitExceededResponse,
+} from "../rate-limit.js";
+
+/**
+ * Batch upload route handlers
+ */
+
+/**
+ * Builds the client-facing summary of a batch
+ * @param {import("../batch.js").UploadBatch} batch - Batch
+ * @returns {Object} Response body
+ */
+function summarizeBatch(batch) {
+  return {
+    success: batch.status === "completed" && batch.counts.failed === 0,
+    batch_id: batch.id,
+    status: batch.status,
+    total: batch.total,
+    ...batch.counts,
+    results: batch.results,
+    ...(batch.notification && { notification: batch.notification }),
+    ...(batch.error && { error: batch.error }),
+    ...(batch.code && { code: batch.code }),
+    timestamp: batch.updated_at,
+  };
+}
+
+/**
+ * Validates a batch request and runs it, inline or as a background batch
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ * @param {Object} ctx - Execution context
+ * @param {string|null} userId - Authenticated user identifier
+ * @returns {Promise<Response>} Batch result
+ */
+async function processBatch(request, env, ctx, userId) {
+  if (!env.FILECOIN_PRIVATE_KEY) {
+    throw new Error("FILECOIN_PRIVATE_KEY not configured");
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch (jsonError) {
+    return errorResponse(
+      400,
+      "Invalid JSON format",
+      "invalid_json",
+      jsonError.message
+    );
+  }
+
+  // Reject the whole batch before downloading anything
+  const { items, storageOptions, errors } = validateBatch(body, env);
+  if (errors.length > 0) {
+    return jsonResponse(
+      {
+        error: "Invalid batch",
+        code: "invalid_batch",
+        message: `${errors.length} validation error(s); nothing was uploaded`,
+        errors,
+      },
+      400
+    );
+  }
+
+  // A batch counts as one request for the user and for each of its events
+  const rejection = await checkRequestRate(
+    env,
+    getLimitSubjects(
+      userId,
+      items.map((item) => item.event_id)
+    )
+  );
+  if (rejection) {
+    return limitExceededResponse(rejection);
+  }
+
+  const batch = await createBatch(env, userId, items, storageOptions);
+  console.log(`Accepted batch ${batch.id} with ${items.length} image(s)`);
+
+  // Built by the cron trigger: a request's waitUntil ends long before a
+  // large batch does
+  if (isAsyncRequest(request)) {
+    await queueBatch(env, batch);
+    return jsonResponse(
+      {
+        success: true,
+        batch_id: batch.id,
+        status: batch.status,
+        total: batch.total,
+        status_url: `/batches/${batch.id}`,
+        timestamp: batch.created_at,
+      },
+      202,
+      { Location: `/batches/${batch.id}` }
+    );
+  }
+
+  const { batch: completed, notification } = await runBatch(env, batch);
+  ctx.waitUntil(notification);
+  return jsonResponse(
+    summarizeBatch(completed),
+    completed.status === "failed" ? 500 : 200
+  );
+}
+
+/**
+ * Builds the 500 response for a batch that could not be processed
+ * @param {Error} error - Batch error
+ * @returns {Response} Error response
+ */
+function batchFailedResponse(error) {
+  console.error("Batch upload failed:", error.message);
+  return jsonResponse(
+    {
+      error: "Batch upload failed",
+      message: error.message,
+      timestamp: new Date().toISOString(),
+    },
+    500
+  );
+}
+
+/**
+ * Handles a batch of JSON image uploads
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ * @param {Object} ctx - Execution context
+ * @returns {Promise<Response>} Batch result
+ */
+export async function handleBatchUpload(request, env, ctx) {
+  try {
+    const auth = await authenticateRequest(request, env, {
+      allowServiceKey: true,
+    });
+    if (!auth.ok) {
+      return auth.response;
+    }
+
+    return await withIdempotency(request, env, auth.userId, () =>
+      processBatch(request, env, ctx, auth.userId).catch(batchFailedResponse)
+    );
+  } catch (error) {
+    return batchFailedResponse(error);
+  }
+}
+
+/**
+ * Reports the state and per-item results of a batch
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ * @param {Object} ctx - Execution context
+ * @param {{id: string}} params - Route parameters
+ * @returns {Promise<Response>} Batch status
+ */
+export async function handleGetBatch(request, env, ctx, params) {
+  const auth = await authenticateRequest(request, env, {
+    allowServiceKey: true,
+  });
+  if (!auth.ok) {
+    return auth.response;
+  }
+
+  const batch = await getBatch(env, params.id);
+  if (!batch || !canAccessRecord(auth, batch)) {
+    return errorResponse(
+      404,
+      "Batch not found",
+      "batch_not_found",
+      `No upload batch with id ${params.id}`
+    );
+  }
+
+  return jsonResponse(summarizeBatch(await syncBatchNotification(env, batch)));
+}
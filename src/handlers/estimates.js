@@ -0,0 +1,186 @@
+import { authenticateRequest } from "../auth.js";
+import { MAX_FILE_SIZE } from "../body.js";
+import { getReplicationConfig } from "../filecoin.js";
+import { errorResponse, jsonResponse } from "../http.js";
+import {
+  estimateStorageCost,
+  findFundsShortfall,
+  formatUsdfc,
+  getWalletStatus,
+} from "../wallet.js";
+
+/**
+ * Storage cost estimates
+ *
+ * Lets clients price an album before uploading it. The estimate uses the
+ * same cached wallet status and pricing as the upload preflight, so
+ * `covered: false` means uploading the album right now would be refused.
+ */
+
+// Longest file_sizes list accepted in one request
+const MAX_ESTIMATE_FILES = 100000;
+
+/**
+ * Checks that a value is a file size the worker can upload
+ * @param {*} value - Value to check
+ * @returns {boolean} True for a whole number of bytes within the size limit
+ */
+function isFileSize(value) {
+  return Number.isSafeInteger(value) && value > 0 && value <= MAX_FILE_SIZE;
+}
+
+/**
+ * Validates an estimate request
+ *
+ * Accepts either `file_sizes` (bytes per file) or `image_count` with
+ * `average_size`, plus an optional `with_cdn` flag.
+ * @param {*} body - Parsed JSON body
+ * @returns {{fileCount: number, totalBytes: number, withCDN: boolean, errors: {field: string, message: string}[]}} Validated request and any errors
+ */
+function validateEstimate(body) {
+  const errors = [];
+  const request = body && typeof body === "object" ? body : {};
+  let fileCount = 0;
+  let totalBytes = 0;
+
+  if (request.with_cdn !== undefined && typeof request.with_cdn !== "boolean") {
+    errors.push({ field: "with_cdn", message: "Must be a boolean" });
+  }
+
+  if (request.file_sizes !== undefined) {
+    const sizes = request.file_sizes;
+    if (!Array.isArray(sizes) || sizes.length === 0) {
+      errors.push({
+        field: "file_sizes",
+        message: "Must be a non-empty array",
+      });
+    } else if (sizes.length > MAX_ESTIMATE_FILES) {
+      errors.push({
+        field: "file_sizes",
+        message: `At most ${MAX_ESTIMATE_FILES} sizes per request`,
+      });
+    } else {
+      sizes.forEach((size, index) => {
+        if (!isFileSize(size)) {
+          errors.push({
+            field: `file_sizes[${index}]`,
+            message: `Must be a whole number of bytes between 1 and ${MAX_FILE_SIZE}`,
+          });
+        }
+      });
+      fileCount = sizes.length;
+      totalBytes = sizes.reduce((sum, size) => sum + size, 0);
+    }
+  } else if (
+    request.image_count !== undefined ||
+    request.average_size !== undefined
+  ) {
+    if (!Number.isSafeInteger(request.image_count) || request.image_count < 1) {
+      errors.push({
+        field: "image_count",
+        message: "Must be a positive integer",
+      });
+    }
+    if (!isFileSize(request.average_size)) {
+      errors.push({
+        field: "average_size",
+        message: `Must be a whole number of bytes between 1 and ${MAX_FILE_SIZE}`,
+      });
+    }
+    fileCount = request.image_count;
+    totalBytes = request.image_count * request.average_size;
+  } else {
+    errors.push({
+      field: "file_sizes",
+      message: "Provide file_sizes, or image_count and average_size",
+    });
+  }
+
+  return { fileCount, totalBytes, withCDN: request.with_cdn === true, errors };
+}
+
+/**
+ * Estimates the cost of storing a set of files and whether the wallet covers it
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ * @returns {Promise<Response>} Cost estimate
+ */
+export async function handleEstimate(request, env) {
+  const auth = await authenticateRequest(request, env, {
+    allowServiceKey: true,
+  });
+  if (!auth.ok) {
+    return auth.response;
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch (jsonError) {
+    return errorResponse(
+      400,
+      "Invalid JSON format",
+      "invalid_json",
+      jsonError.message
+    );
+  }
+
+  const { fileCount, totalBytes, withCDN, errors } = validateEstimate(body);
+  if (errors.length > 0) {
+    return jsonResponse(
+      {
+        error: "Invalid estimate request",
+        code: "invalid_estimate",
+        message: `${errors.length} validation error(s)`,
+        errors,
+      },
+      400
+    );
+  }
+
+  let status;
+  try {
+    status = await getWalletStatus(env);
+  } catch (statusError) {
+    console.error("Failed to read storage pricing:", statusError.message);
+    return errorResponse(
+      503,
+      "Pricing unavailable",
+      "pricing_unavailable",
+      "Storage pricing could not be read from the chain",
+      { "Retry-After": "60" }
+    );
+  }
+
+  // Every copy is paid for separately
+  const { copies } = getReplicationConfig(env);
+  const cost = estimateStorageCost(status, totalBytes * copies, withCDN);
+  const shortfall = findFundsShortfall(status, cost);
+
+  return jsonResponse({
+    success: true,
+    file_count: fileCount,
+    total_bytes: totalBytes,
+    with_cdn: withCDN,
+    copies,
+    token: "USDFC",
+    cost: {
+      per_epoch: formatUsdfc(cost.ratePerEpoch),
+      per_day: formatUsdfc(cost.perDay),
+      per_month: formatUsdfc(cost.perMonth),
+      lockup: formatUsdfc(cost.lockup),
+    },
+    allowance: {
+      covered: !shortfall,
+      ...(shortfall && { code: shortfall.code, message: shortfall.message }),
+      available_funds: formatUsdfc(status.availableFunds),
+      rate_allowance_remaining: formatUsdfc(
+        status.rateAllowance - status.rateUsed
+      ),
+      lockup_allowance_remaining: formatUsdfc(
+        status.lockupAllowance - status.lockupUsed
+      ),
+    },
+    priced_at: status.checkedAt,
+  });
+}
@@ -0,0 +1,186 @@
+import {
+  CORS_HEADERS,
+  errorResponse,
+  inlineContentDisposition,
+} from "../http.js";
+import { getUploadRecord } from "../records.js";
+import { RetrievalError, downloadPiece, getPieceSize } from "../retrieval.js";
+
+/**
+ * Retrieval proxy for stored files
+ *
+ * `GET /files/:cid` serves a piece under its original name and content
+ * type, so apps can link to the worker instead of a provider URL that only
+ * starts working some minutes after the upload. The piece is verified
+ * against its CID before it is served and then kept in the Cloudflare
+ * cache, which makes later requests (including Range requests for parts
+ * of the file) independent of the providers. Until a provider serves the
+ * piece the route answers 202 with `Retry-After`.
+ *
+ * The route is public, like the piece URLs it replaces; encrypted pieces
+ * are only served decrypted by the authenticated `GET /uploads/:cid/content`.
+ */
+
+// Seconds a client should wait before asking again for a piece that is not retrievable yet
+const NOT_READY_RETRY_SECONDS = 30;
+
+/**
+ * Parses a single-range `Range` header
+ *
+ * Multiple ranges and units other than bytes are ignored, in which case
+ * the whole file is served as the HTTP spec allows.
+ * @param {string|null} header - Range header value
+ * @param {number} size - File size in bytes
+ * @returns {{start: number, end: number}|"unsatisfiable"|null} Inclusive byte range, "unsatisfiable", or null to serve the whole file
+ */
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec((header || "").trim());
+  if (!match || (match[1] === "" && match[2] === "")) {
+    return null;
+  }
+
+  if (match[1] === "") {
+    // Suffix range: the last N bytes
+    const length = Number(match[2]);
+    if (length === 0) {
+      return "unsatisfiable";
+    }
+    return { start: Math.max(size - length, 0), end: size - 1 };
+  }
+
+  const start = Number(match[1]);
+  const end = match[2] === "" ? size - 1 : Math.min(Number(match[2]), size - 1);
+  if (start >= size || start > end) {
+    return "unsatisfiable";
+  }
+  return { start, end };
+}
+
+/**
+ * Builds the response for a verified file, honouring Range and If-None-Match
+ * @param {Request} request - Incoming request
+ * @param {Uint8Array} bytes - Whole file
+ * @param {Headers} fileHeaders - Content and caching headers of the whole file
+ * @returns {Response} 200, 206, 304 or 416 response
+ */
+function buildFileResponse(request, bytes, fileHeaders) {
+  const headers = new Headers(fileHeaders);
+  for (const [name, value] of Object.entries(CORS_HEADERS)) {
+    headers.set(name, value);
+  }
+
+  const etag = headers.get("ETag");
+  if (etag && request.headers.get("If-None-Match") === etag) {
+    headers.delete("Content-Length");
+    return new Response(null, { status: 304, headers });
+  }
+
+  const range = parseRange(request.headers.get("Range"), bytes.length);
+  if (range === "unsatisfiable") {
+    headers.delete("Content-Length");
+    headers.set("Content-Range", `bytes */${bytes.length}`);
+    return new Response(null, { status: 416, headers });
+  }
+  if (range) {
+    headers.set(
+      "Content-Range",
+      `bytes ${range.start}-${range.end}/${bytes.length}`
+    );
+    headers.set("Content-Length", String(range.end - range.start + 1));
+    return new Response(bytes.subarray(range.start, range.end + 1), {
+      status: 206,
+      headers,
+    });
+  }
+
+  headers.set("Content-Length", String(bytes.length));
+  return new Response(bytes, { headers });
+}
+
+/**
+ * Serves a stored file from the Cloudflare cache, or from its providers
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ * @param {Object} ctx - Execution context
+ * @param {Object} params - Route parameters
+ * @param {string} params.cid - Piece CID
+ * @returns {Promise<Response>} File contents, or 202 while the piece is not retrievable
+ */
+export async function handleGetFile(request, env, ctx, params) {
+  // Cache the whole file once per CID, whatever the query string or range
+  const cacheKey = new Request(
+    new URL(`/files/${encodeURIComponent(params.cid)}`, request.url).toString()
+  );
+  const cache = caches.default;
+
+  const cached = await cache.match(cacheKey);
+  if (cached) {
+    return buildFileResponse(
+      request,
+      new Uint8Array(await cached.arrayBuffer()),
+      cached.headers
+    );
+  }
+
+  const record = await getUploadRecord(env, params.cid);
+  if (!record) {
+    return errorResponse(
+      404,
+      "File not found",
+      "file_not_found",
+      `No file stored under CID ${params.cid}`
+    );
+  }
+  if (record.encryption) {
+    return errorResponse(
+      403,
+      "File is encrypted",
+      "file_encrypted",
+      `Use GET /uploads/${params.cid}/content with credentials to read it`
+    );
+  }
+
+  let bytes;
+  try {
+    bytes = await downloadPiece(record, getPieceSize(record));
+  } catch (retrievalError) {
+    if (!(retrievalError instanceof RetrievalError)) {
+      throw retrievalError;
+    }
+    console.warn(retrievalError.message);
+    if (retrievalError.code === "piece_verification_failed") {
+      return errorResponse(
+        502,
+        "Piece verification failed",
+        retrievalError.code,
+        retrievalError.message
+      );
+    }
+    return errorResponse(
+      202,
+      "Piece not retrievable yet",
+      "piece_not_ready",
+      `Piece ${params.cid} is still being stored, try again shortly`,
+      { "Retry-After": String(NOT_READY_RETRY_SECONDS) }
+    );
+  }
+
+  const fileHeaders = new Headers({
+    "Content-Type": record.mime_type || "application/octet-stream",
+    "Content-Length": String(bytes.length),
+    "Content-Disposition": inlineContentDisposition(record.name),
+    "Accept-Ranges": "bytes",
+    ETag: `"${record.cid}"`,
+    // Content-addressed: the bytes behind a CID never change
+    "Cache-Control": "public, max-age=31536000, immutable",
+  });
+  ctx.waitUntil(
+    cache
+      .put(cacheKey, new Response(bytes, { headers: fileHeaders }))
+      .catch((cacheError) => {
+        console.error(`Failed to cache ${params.cid}:`, cacheError.message);
+      })
+  );
+
+  return buildFileResponse(request, bytes, fileHeaders);
+}
@@ -0,0 +1,35 @@
+import { authenticateAdmin } from "../auth.js";
+import { describeDerivatives } from "../derivatives.js";
+import { getEncryptionMode } from "../encryption.js";
+import { getStorageContextStatus } from "../filecoin.js";
+import { jsonResponse } from "../http.js";
+import { getStore } from "../store.js";
+import { describeWalletStatus } from "../wallet.js";
+
+/**
+ * Reports worker liveness and configuration status
+ *
+ * The wallet and storage contexts are only shown to admin callers.
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ * @returns {Promise<Response>} Health status
+ */
+export async function handleHealth(request, env) {
+  return jsonResponse({
+    status: "ok",
+    network: env.FILECOIN_NETWORK || "calibration",
+    storage: getStore(env).kind,
+    filecoin_configured: Boolean(env.FILECOIN_PRIVATE_KEY),
+    backend_configured: Boolean(env.BACKEND_API_URL),
+    encryption: {
+      mode: getEncryptionMode(env),
+      key_configured: Boolean(env.ENCRYPTION_KEY),
+    },
+    derivatives: describeDerivatives(env),
+    ...(authenticateAdmin(request, env).ok && {
+      storage_contexts: getStorageContextStatus(),
+      wallet: await describeWalletStatus(),
+    }),
+    timestamp: new Date().toISOString(),
+  });
+}
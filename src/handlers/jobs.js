@@ -0,0 +1,35 @@
+import { authenticateRequest, canAccessRecord } from "../auth.js";
+import { errorResponse, jsonResponse } from "../http.js";
+import { getJob, syncJobNotification } from "../jobs.js";
+
+/**
+ * Reports the state of a background upload job
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ * @param {Object} ctx - Execution context
+ * @param {{id: string}} params - Route parameters
+ * @returns {Promise<Response>} Job status
+ */
+export async function handleGetJob(request, env, ctx, params) {
+  const auth = await authenticateRequest(request, env, {
+    allowServiceKey: true,
+  });
+  if (!auth.ok) {
+    return auth.response;
+  }
+
+  const job = await getJob(env, params.id);
+  if (!job || !canAccessRecord(auth, job)) {
+    return errorResponse(
+      404,
+      "Job not found",
+      "job_not_found",
+      `No upload job with id ${params.id}`
+    );
+  }
+
+  return jsonResponse({
+    success: true,
+    job: await syncJobNotification(env, job),
+  });
+}
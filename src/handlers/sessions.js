@@ -0,0 +1,557 @@
+import { authenticateRequest, canAccessRecord } from "../auth.js";
+import {
+  MAX_FILE_SIZE,
+  MIN_FILE_SIZE,
+  PayloadTooLargeError,
+  parseDeclaredSize,
+  readStreamWithLimit,
+} from "../body.js";
+import {
+  checkContentPolicy,
+  contentPolicyResponse,
+} from "../content-policy.js";
+import { hashContent } from "../dedup.js";
+import { CORS_HEADERS, errorResponse, jsonResponse } from "../http.js";
+import { resolveImageMetadata } from "../image-info.js";
+import {
+  MetadataError,
+  applyMetadataPolicy,
+  metadataErrorResponse,
+} from "../metadata.js";
+import {
+  appendChunk,
+  assembleSession,
+  createSession,
+  deleteSession,
+  discardChunks,
+  getSession,
+  getSessionConfig,
+  updateSession,
+} from "../sessions.js";
+import {
+  checkRequestRate,
+  checkStorageQuota,
+  getLimitSubjects,
+  limitExceededResponse,
+} from "../rate-limit.js";
+import {
+  DEFAULT_STORAGE_OPTIONS,
+  getStorageFields,
+  resolveStorageOptions,
+  storageOptionsErrorResponse,
+} from "../storage-policy.js";
+import { sanitizeFileName } from "../types.js";
+import { checkWalletFunds, walletShortfallResponse } from "../wallet.js";
+import { storeUpload, uploadFailedResponse } from "./uploads.js";
+
+/**
+ * Resumable upload session handlers
+ */
+
+const SHA256_PATTERN = /^[0-9a-f]{64}$/i;
+
+// Enough of the file to recognise its format from the first chunk
+const POLICY_PREFIX_BYTES = 64;
+
+/**
+ * Authenticates a session request; sessions always belong to a user
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ * @returns {Promise<import("../auth.js").AuthResult|{ok: false, response: Response}>} Authentication result
+ */
+async function authenticateSessionRequest(request, env) {
+  const auth = await authenticateRequest(request, env);
+  if (auth.ok && !auth.userId) {
+    return {
+      ok: false,
+      response: errorResponse(
+        400,
+        "Missing user-id",
+        "missing_user_id",
+        "Resumable uploads require an authenticated user"
+      ),
+    };
+  }
+  return auth;
+}
+
+/**
+ * Loads a session the caller may access
+ * @param {Object} env - Worker environment
+ * @param {import("../auth.js").AuthResult} auth - Authenticated caller
+ * @param {string} id - Session identifier
+ * @returns {Promise<import("../sessions.js").UploadSession|Response>} Session, or a 404 response
+ */
+async function loadSession(env, auth, id) {
+  const session = await getSession(env, id);
+  if (!session || !canAccessRecord(auth, session)) {
+    return errorResponse(
+      404,
+      "Upload session not found",
+      "upload_session_not_found",
+      `No upload session with id ${id}`
+    );
+  }
+  return session;
+}
+
+/**
+ * Builds the client-facing view of a session
+ * @param {import("../sessions.js").UploadSession} session - Session
+ * @returns {Object} Response body
+ */
+function summarizeSession(session) {
+  return {
+    success: true,
+    session_id: session.id,
+    status: session.status,
+    name: session.name,
+    size: session.size,
+    offset: session.offset,
+    upload_url: `/uploads/sessions/${session.id}`,
+    ...(session.result && { result: session.result.body }),
+    ...(session.error && { error: session.error }),
+    expires_at: session.expires_at,
+  };
+}
+
+/**
+ * Returns the offset headers sent with every session response
+ * @param {import("../sessions.js").UploadSession} session - Session
+ * @returns {Object} Response headers
+ */
+function offsetHeaders(session) {
+  return {
+    "Upload-Offset": String(session.offset),
+    "Upload-Length": String(session.size),
+    "Cache-Control": "no-store",
+  };
+}
+
+/**
+ * Checks a session's file against the content policy
+ * @param {Object} env - Worker environment
+ * @param {import("../sessions.js").UploadSession} session - Session
+ * @param {Uint8Array} bytes - Whole file, or its first chunk
+ * @returns {import("../content-policy.js").PolicyViolation|null} Violation, if any
+ */
+function checkSessionPolicy(env, session, bytes) {
+  return checkContentPolicy(env, bytes, {
+    imageType: session.is_selfie ? "selfie" : "regular",
+    uploadType: "resumable",
+    size: session.size,
+  });
+}
+
+/**
+ * Opens a resumable upload session
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ * @returns {Promise<Response>} Created session
+ */
+export async function handleCreateSession(request, env) {
+  try {
+    const auth = await authenticateSessionRequest(request, env);
+    if (!auth.ok) {
+      return auth.response;
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch (jsonError) {
+      return errorResponse(
+        400,
+        "Invalid JSON format",
+        "invalid_json",
+        jsonError.message
+      );
+    }
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+      return errorResponse(
+        400,
+        "Invalid JSON format",
+        "invalid_json",
+        "Body must be a JSON object"
+      );
+    }
+
+    const size = Number(body.size);
+    if (!Number.isInteger(size) || size < MIN_FILE_SIZE) {
+      return errorResponse(
+        400,
+        "Invalid size",
+        "invalid_size",
+        `size must be an integer of at least ${MIN_FILE_SIZE} bytes`
+      );
+    }
+    if (size > MAX_FILE_SIZE) {
+      return errorResponse(
+        413,
+        "File too large (maximum 32MB allowed)",
+        "file_too_large"
+      );
+    }
+    if (typeof body.sha256 !== "string" || !SHA256_PATTERN.test(body.sha256)) {
+      return errorResponse(
+        400,
+        "Invalid checksum",
+        "invalid_checksum",
+        "sha256 must be the hex-encoded SHA-256 of the whole file"
+      );
+    }
+
+    const storage = resolveStorageOptions(
+      env,
+      "resumable",
+      getStorageFields(body)
+    );
+    if (storage.errors.length > 0) {
+      return storageOptionsErrorResponse(storage.errors);
+    }
+
+    // Refuse early rather than after the whole file has been sent
+    const subjects = getLimitSubjects(auth.userId);
+    const rejection =
+      (await checkRequestRate(env, subjects)) ||
+      (await checkStorageQuota(env, subjects, size));
+    if (rejection) {
+      return limitExceededResponse(rejection);
+    }
+    const shortfall = await checkWalletFunds(
+      env,
+      size,
+      storage.options.withCDN
+    );
+    if (shortfall) {
+      return walletShortfallResponse(shortfall);
+    }
+
+    const session = await createSession(env, auth.userId, {
+      name: sanitizeFileName(body.name) || "uploaded-file",
+      size,
+      sha256: body.sha256,
+      isSelfie: body.image_type === "selfie",
+      height: body.height,
+      width: body.width,
+      storageOptions: storage.options,
+    });
+    console.log(`Opened upload session ${session.id} for ${size} bytes`);
+
+    return jsonResponse(
+      {
+        ...summarizeSession(session),
+        chunk_max_bytes: getSessionConfig(env).chunkMaxBytes,
+      },
+      201,
+      { Location: `/uploads/sessions/${session.id}`, ...offsetHeaders(session) }
+    );
+  } catch (error) {
+    return uploadFailedResponse(error);
+  }
+}
+
+/**
+ * Reports a session's offset so the client knows where to resume
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ * @param {Object} ctx - Execution context
+ * @param {{id: string}} params - Route parameters
+ * @returns {Promise<Response>} Session status
+ */
+export async function handleGetSession(request, env, ctx, params) {
+  const auth = await authenticateSessionRequest(request, env);
+  if (!auth.ok) {
+    return auth.response;
+  }
+  const session = await loadSession(env, auth, params.id);
+  if (session instanceof Response) {
+    return session;
+  }
+
+  if (request.method === "HEAD") {
+    return new Response(null, {
+      headers: { ...CORS_HEADERS, ...offsetHeaders(session) },
+    });
+  }
+  return jsonResponse(summarizeSession(session), 200, offsetHeaders(session));
+}
+
+/**
+ * Receives the chunk starting at `Upload-Offset`
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ * @param {Object} ctx - Execution context
+ * @param {{id: string}} params - Route parameters
+ * @returns {Promise<Response>} New offset
+ */
+export async function handleUploadChunk(request, env, ctx, params) {
+  try {
+    const auth = await authenticateSessionRequest(request, env);
+    if (!auth.ok) {
+      return auth.response;
+    }
+    const session = await loadSession(env, auth, params.id);
+    if (session instanceof Response) {
+      return session;
+    }
+
+    if (session.status !== "open") {
+      return errorResponse(
+        409,
+        "Upload session closed",
+        "upload_session_closed",
+        `Session is ${session.status} and accepts no more chunks`,
+        offsetHeaders(session)
+      );
+    }
+
+    const offset = parseDeclaredSize(request.headers.get("upload-offset"));
+    if (offset === null) {
+      return errorResponse(
+        400,
+        "Invalid Upload-Offset",
+        "invalid_upload_offset",
+        "Upload-Offset must be a non-negative integer"
+      );
+    }
+    if (offset !== session.offset) {
+      return errorResponse(
+        409,
+        "Offset mismatch",
+        "offset_mismatch",
+        `Expected a chunk at offset ${session.offset}`,
+        offsetHeaders(session)
+      );
+    }
+
+    const { chunkMaxBytes } = getSessionConfig(env);
+    const maxBytes = Math.min(chunkMaxBytes, session.size - session.offset);
+    let bytes;
+    try {
+      bytes = await readStreamWithLimit(
+        request.body,
+        maxBytes,
+        parseDeclaredSize(request.headers.get("content-length"))
+      );
+    } catch (readError) {
+      if (readError instanceof PayloadTooLargeError) {
+        return errorResponse(
+          413,
+          "Chunk too large",
+          "chunk_too_large",
+          `Chunks may be at most ${maxBytes} bytes at this offset`,
+          offsetHeaders(session)
+        );
+      }
+      throw readError;
+    }
+    if (bytes.length === 0) {
+      return errorResponse(
+        400,
+        "Empty chunk",
+        "empty_chunk",
+        "Chunk body must not be empty"
+      );
+    }
+
+    // The first chunk starts with the magic bytes: reject disallowed formats
+    // before the rest of the file is sent
+    if (session.offset === 0 && bytes.length >= POLICY_PREFIX_BYTES) {
+      const violation = checkSessionPolicy(env, session, bytes);
+      if (violation) {
+        await updateSession(env, session, "failed", {
+          error: violation.body.message,
+        });
+        return contentPolicyResponse(violation);
+      }
+    }
+
+    const updated = await appendChunk(env, session, bytes);
+    return jsonResponse(
+      {
+        success: true,
+        session_id: updated.id,
+        offset: updated.offset,
+        size: updated.size,
+        complete: updated.offset === updated.size,
+      },
+      200,
+      offsetHeaders(updated)
+    );
+  } catch (error) {
+    return uploadFailedResponse(error);
+  }
+}
+
+/**
+ * Verifies a fully received session and uploads the file to Filecoin
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ * @param {Object} ctx - Execution context
+ * @param {{id: string}} params - Route parameters
+ * @returns {Promise<Response>} Upload result
+ */
+export async function handleCompleteSession(request, env, ctx, params) {
+  const auth = await authenticateSessionRequest(request, env);
+  if (!auth.ok) {
+    return auth.response;
+  }
+  let session = await loadSession(env, auth, params.id);
+  if (session instanceof Response) {
+    return session;
+  }
+
+  // Completing twice returns the first result
+  if (session.status === "completed") {
+    return jsonResponse(session.result.body, session.result.status);
+  }
+  if (session.status === "completing") {
+    return errorResponse(
+      409,
+      "Upload session completing",
+      "upload_session_completing",
+      "This session is already being completed",
+      { "Retry-After": "5" }
+    );
+  }
+  if (session.status !== "open") {
+    return errorResponse(
+      409,
+      "Upload session closed",
+      "upload_session_closed",
+      session.error || `Session is ${session.status}`
+    );
+  }
+  if (session.offset !== session.size) {
+    return errorResponse(
+      409,
+      "Upload incomplete",
+      "upload_incomplete",
+      `Received ${session.offset} of ${session.size} bytes`,
+      offsetHeaders(session)
+    );
+  }
+
+  session = await updateSession(env, session, "completing");
+  try {
+    const fileBuffer = await assembleSession(env, session);
+    const contentHash = await hashContent(fileBuffer);
+    if (contentHash !== session.sha256) {
+      const error = `SHA-256 mismatch: expected ${session.sha256}, got ${contentHash}`;
+      console.error(`Upload session ${session.id}: ${error}`);
+      await discardChunks(env, session);
+      await updateSession(env, session, "failed", { error, chunks: [] });
+      return errorResponse(
+        422,
+        "Checksum mismatch",
+        "checksum_mismatch",
+        error
+      );
+    }
+
+    const violation = checkSessionPolicy(env, session, fileBuffer);
+    if (violation) {
+      await discardChunks(env, session);
+      await updateSession(env, session, "failed", {
+        error: violation.body.message,
+        chunks: [],
+      });
+      return contentPolicyResponse(violation);
+    }
+
+    // The checksum covers the file as sent; what is stored is hashed again
+    let metadata;
+    try {
+      metadata = applyMetadataPolicy(env, fileBuffer, {
+        imageType: session.is_selfie ? "selfie" : "regular",
+      });
+    } catch (metadataError) {
+      if (!(metadataError instanceof MetadataError)) {
+        throw metadataError;
+      }
+      await discardChunks(env, session);
+      await updateSession(env, session, "failed", {
+        error: metadataError.message,
+        chunks: [],
+      });
+      return metadataErrorResponse(metadataError);
+    }
+    const storedBuffer = metadata.bytes;
+
+    const image = resolveImageMetadata(storedBuffer, {
+      height: session.height,
+      width: session.width,
+    });
+    const response = await storeUpload(request, env, ctx, {
+      fileBuffer: storedBuffer,
+      fileName: session.name,
+      uploadType: "resumable",
+      userId: session.user_id,
+      isSelfie: session.is_selfie,
+      imageHeight: image.height,
+      imageWidth: image.width,
+      mimeType: image.mimeType,
+      orientation: image.orientation,
+      imageMismatches: image.mismatches,
+      metadataReport: metadata.report,
+      jsonUploadData: null,
+      storageOptions: session.storage_options || DEFAULT_STORAGE_OPTIONS,
+      contentHash:
+        storedBuffer === fileBuffer
+          ? contentHash
+          : await hashContent(storedBuffer),
+    });
+
+    // Over quota or out of funds: keep the chunks so completing can be
+    // retried later
+    if (response.status === 429 || response.status === 503) {
+      await updateSession(env, session, "open");
+      return response;
+    }
+
+    await updateSession(env, session, "completed", {
+      result: { status: response.status, body: await response.clone().json() },
+    });
+    await discardChunks(env, session);
+    return response;
+  } catch (error) {
+    // Keep the staged chunks so completing can be retried
+    await updateSession(env, session, "open").catch(() => {});
+    return uploadFailedResponse(error);
+  }
+}
+
+/**
+ * Abandons a session and discards its staged chunks
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ * @param {Object} ctx - Execution context
+ * @param {{id: string}} params - Route parameters
+ * @returns {Promise<Response>} Empty response
+ */
+export async function handleDeleteSession(request, env, ctx, params) {
+  try {
+    const auth = await authenticateSessionRequest(request, env);
+    if (!auth.ok) {
+      return auth.response;
+    }
+    const session = await loadSession(env, auth, params.id);
+    if (session instanceof Response) {
+      return session;
+    }
+    if (session.status === "completing") {
+      return errorResponse(
+        409,
+        "Upload session completing",
+        "upload_session_completing",
+        "This session is being completed and cannot be deleted"
+      );
+    }
+
+    await deleteSession(env, session);
+    return new Response(null, { status: 204, headers: CORS_HEADERS });
+  } catch (error) {
+    return uploadFailedResponse(error);
+  }
+}
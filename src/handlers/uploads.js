@@ -0,0 +1,801 @@
+import { authenticateRequest } from "../auth.js";
+import {
+  MAX_FILE_SIZE,
+  MIN_FILE_SIZE,
+  PayloadTooLargeError,
+  limitStream,
+  parseDeclaredSize,
+  readStreamWithLimit,
+} from "../body.js";
+import { describeCopyConfirmation, getConfirmation } from "../confirmations.js";
+import {
+  checkContentPolicy,
+  contentPolicyResponse,
+} from "../content-policy.js";
+import { findByContentHash, findByImageId, hashContent } from "../dedup.js";
+import { EncryptionError, decryptFile } from "../encryption.js";
+import { DownloadError, fetchImage } from "../fetcher.js";
+import {
+  CORS_HEADERS,
+  errorResponse,
+  inlineContentDisposition,
+  isAsyncRequest,
+  jsonResponse,
+} from "../http.js";
+import { withIdempotency } from "../idempotency.js";
+import { resolveImageMetadata } from "../image-info.js";
+import { createJob, runUploadJob } from "../jobs.js";
+import {
+  MetadataError,
+  applyMetadataPolicy,
+  metadataErrorResponse,
+} from "../metadata.js";
+import {
+  buildDuplicateImageResponse,
+  canReusePiece,
+  finalizeDuplicate,
+  finalizeUpload,
+  reuseImageRecord,
+  storePreparedUpload,
+} from "../pipeline.js";
+import {
+  checkRequestRate,
+  checkStorageQuota,
+  getLimitSubjects,
+  limitExceededResponse,
+  recordStoredBytes,
+} from "../rate-limit.js";
+import { canAccessUpload, getUploadRecord } from "../records.js";
+import { RetrievalError, downloadPiece } from "../retrieval.js";
+import { getBodySpill } from "../staging.js";
+import {
+  getStorageFields,
+  getStorageHeaders,
+  resolveStorageOptions,
+  storageOptionsErrorResponse,
+} from "../storage-policy.js";
+import { sanitizeFileName } from "../types.js";
+import { checkWalletFunds, walletShortfallResponse } from "../wallet.js";
+
+/**
+ * Upload route handlers
+ */
+
+// Room for multipart boundaries and form fields around the file itself
+const MULTIPART_OVERHEAD_BYTES = 1024 * 1024;
+
+/**
+ * Builds the 413 response for files over the size limit
+ * @returns {Response} Error response
+ */
+function fileTooLargeResponse() {
+  return new Response(
+    JSON.stringify({ error: "File too large (maximum 32MB allowed)" }),
+    {
+      status: 413,
+      headers: { "Content-Type": "application/json" },
+    }
+  );
+}
+
+/**
+ * Reads the uploaded file and its metadata from the request
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ * @param {string|null} userId - Authenticated user identifier
+ * @param {string|null} contentType - Request content type
+ * @returns {Promise<import("../pipeline.js").PreparedUpload|Response>} Prepared upload, or an error response
+ */
+async function readUpload(request, env, userId, contentType) {
+  // Extract image type and determine if it's a selfie
+  const imageType = request.headers.get("x-image-type");
+  const isSelfie = imageType === "selfie";
+  console.log(
+    `Image type: ${imageType || "not specified"}, is_selfie: ${isSelfie}`
+  );
+
+  // Extract image dimensions from headers (for stream uploads)
+  let imageHeight = request.headers.get("x-image-height");
+  let imageWidth = request.headers.get("x-image-width");
+  console.log(
+    `Image dimensions from headers: height=${
+      imageHeight || "not specified"
+    }, width=${imageWidth || "not specified"}`
+  );
+
+  // Validate environment variables
+  if (!env.FILECOIN_PRIVATE_KEY) {
+    throw new Error("FILECOIN_PRIVATE_KEY not configured");
+  }
+
+  // if (!env.BACKEND_API_URL) {
+  //   throw new Error("BACKEND_API_URL not configured");
+  // }
+
+  // Reject oversized bodies before reading any of them
+  const contentLength = parseDeclaredSize(
+    request.headers.get("content-length")
+  );
+  if (
+    contentLength &&
+    contentLength > MAX_FILE_SIZE + MULTIPART_OVERHEAD_BYTES
+  ) {
+    return fileTooLargeResponse();
+  }
+
+  // Storage options come from headers, except for JSON uploads (body fields)
+  const isJsonBody = contentType && contentType.includes("application/json");
+  let storageOptions = null;
+  if (!isJsonBody) {
+    const isFormData =
+      contentType && contentType.includes("multipart/form-data");
+    const resolved = resolveStorageOptions(
+      env,
+      isFormData ? "formdata" : "stream",
+      getStorageHeaders(request)
+    );
+    if (resolved.errors.length > 0) {
+      return storageOptionsErrorResponse(resolved.errors);
+    }
+    storageOptions = resolved.options;
+  }
+
+  // Fail before reading the body if the wallet cannot pay for it
+  const announcedSize =
+    parseDeclaredSize(request.headers.get("x-file-size")) || contentLength;
+  if (!isJsonBody && announcedSize) {
+    const shortfall = await checkWalletFunds(
+      env,
+      announcedSize,
+      storageOptions.withCDN
+    );
+    if (shortfall) {
+      return walletShortfallResponse(shortfall);
+    }
+  }
+
+  // Get file stream from request
+  let fileBuffer;
+  let fileName = "uploaded-file";
+  let jsonUploadData = null;
+  let declaredType = null;
+  let uploadType = "stream"; // Default to stream, will be updated based on content type
+
+  if (contentType && contentType.includes("application/json")) {
+    // Handle JSON upload type
+    uploadType = "json";
+    let jsonData;
+    try {
+      jsonData = await request.json();
+    } catch (jsonError) {
+      console.error("JSON parsing failed:", jsonError.message);
+      return new Response(
+        JSON.stringify({
+          error: "Invalid JSON format",
+          message: jsonError.message,
+        }),
+        {
+          status: 400,
+          headers: { "Content-Type": "application/json" },
+        }
+      );
+    }
+
+    // Validate required JSON fields
+    if (
+      !jsonData ||
+      !jsonData.event_id ||
+      !jsonData.image_url ||
+      !jsonData.fotoowl_image_id
+    ) {
+      return new Response(
+        JSON.stringify({
+          error:
+            "Missing required fields. JSON must contain: event_id, image_url, fotoowl_image_id",
+        }),
+        {
+          status: 400,
+          headers: { "Content-Type": "application/json" },
+        }
+      );
+    }
+
+    jsonUploadData = {
+      event_id: jsonData.event_id,
+      image_url: jsonData.image_url,
+      fotoowl_image_id: jsonData.fotoowl_image_id,
+      name: jsonData.name,
+    };
+
+    const resolved = resolveStorageOptions(
+      env,
+      uploadType,
+      getStorageFields(jsonData)
+    );
+    if (resolved.errors.length > 0) {
+      return storageOptionsErrorResponse(resolved.errors);
+    }
+    storageOptions = resolved.options;
+
+    // Extract image dimensions from JSON payload
+    if (jsonData.height) {
+      imageHeight = jsonData.height;
+    }
+    if (jsonData.width) {
+      imageWidth = jsonData.width;
+    }
+
+    console.log(
+      `JSON upload: event_id=${jsonUploadData.event_id}, image_url=${jsonUploadData.image_url}, fotoowl_image_id=${jsonUploadData.fotoowl_image_id}`
+    );
+
+    const eventRejection = await checkRequestRate(
+      env,
+      getLimitSubjects(null, [jsonUploadData.event_id])
+    );
+    if (eventRejection) {
+      return limitExceededResponse(eventRejection);
+    }
+    console.log(
+      `Image dimensions from JSON: height=${
+        imageHeight || "not specified"
+      }, width=${imageWidth || "not specified"}`
+    );
+
+    // Skip the download entirely if this FotoOwl image is already stored
+    const existingImage = await findByImageId(
+      env,
+      jsonUploadData.event_id,
+      jsonUploadData.fotoowl_image_id
+    );
+    if (
+      existingImage &&
+      (await reuseImageRecord(env, { userId, isSelfie }, existingImage))
+    ) {
+      console.log(
+        `FotoOwl image already stored as ${existingImage.cid}, skipping download`
+      );
+      return jsonResponse(buildDuplicateImageResponse(existingImage));
+    }
+
+    // Download image from provided URL
+    try {
+      const download = await fetchImage(env, jsonUploadData.image_url);
+      declaredType = download.contentType;
+      fileBuffer = download.bytes;
+      const decodedJsonFileName = jsonUploadData.name
+        ? decodeURIComponent(jsonUploadData.name)
+        : null;
+      fileName = sanitizeFileName(decodedJsonFileName) || "uploaded-file";
+      console.log(
+        `Downloaded image: ${fileName}, Size: ${fileBuffer.length} bytes`
+      );
+    } catch (downloadError) {
+      if (downloadError instanceof PayloadTooLargeError) {
+        console.error("Downloaded image exceeds the size limit");
+        return fileTooLargeResponse();
+      }
+      console.error("Image download failed:", downloadError.message);
+      return new Response(
+        JSON.stringify({
+          error: "Failed to download image from provided URL",
+          ...(downloadError instanceof DownloadError && {
+            code: downloadError.code,
+          }),
+          message: downloadError.message,
+        }),
+        {
+          status: 400,
+          headers: { "Content-Type": "application/json" },
+        }
+      );
+    }
+  } else if (contentType && contentType.includes("multipart/form-data")) {
+    // Handle multipart form data
+    uploadType = "formdata";
+
+    // Parse the form from a size-limited copy of the body stream
+    let formData;
+    if (request.body) {
+      const limited = limitStream(
+        request.body,
+        MAX_FILE_SIZE + MULTIPART_OVERHEAD_BYTES
+      );
+      try {
+        formData = await new Response(limited.stream, {
+          headers: { "Content-Type": contentType },
+        }).formData();
+      } catch (formError) {
+        if (limited.state.exceeded) {
+          return fileTooLargeResponse();
+        }
+        throw formError;
+      }
+    } else {
+      formData = await request.formData();
+    }
+    const file = formData.get("file");
+
+    if (!file) {
+      return new Response(
+        JSON.stringify({ error: "No file provided in form data" }),
+        {
+          status: 400,
+          headers: { "Content-Type": "application/json" },
+        }
+      );
+    }
+
+    const decodedFormFileName = file.name
+      ? decodeURIComponent(file.name)
+      : null;
+    fileName = sanitizeFileName(decodedFormFileName) || "uploaded-file";
+    declaredType = file.type || null;
+    fileBuffer = new Uint8Array(await file.arrayBuffer());
+
+    // Extract image dimensions from form data
+    const formHeight = formData.get("height");
+    const formWidth = formData.get("width");
+
+    if (formHeight) {
+      imageHeight = formHeight;
+    }
+    if (formWidth) {
+      imageWidth = formWidth;
+    }
+
+    console.log(
+      `Image dimensions from form data: height=${
+        imageHeight || "not specified"
+      }, width=${imageWidth || "not specified"}`
+    );
+  } else {
+    // Handle direct file stream
+    const rawFileName = request.headers.get("x-file-name");
+    const decodedFileName = rawFileName
+      ? decodeURIComponent(rawFileName)
+      : null;
+    fileName = sanitizeFileName(decodedFileName) || "uploaded-file";
+    const uploadMethod = request.headers.get("x-upload-method");
+    const expectedSize = request.headers.get("x-file-size");
+    declaredType = contentType;
+
+    try {
+      fileBuffer = await readStreamWithLimit(
+        request.body,
+        MAX_FILE_SIZE,
+        contentLength,
+        { spill: getBodySpill(env) }
+      );
+    } catch (readError) {
+      if (readError instanceof PayloadTooLargeError) {
+        return fileTooLargeResponse();
+      }
+      throw readError;
+    }
+
+    // Validate file size if provided in headers
+    if (expectedSize && parseInt(expectedSize) !== fileBuffer.length) {
+      console.warn(
+        `File size mismatch: expected ${expectedSize}, got ${fileBuffer.length}`
+      );
+    }
+
+    console.log(
+      `Stream upload: ${fileName}, method: ${uploadMethod || "stream"}`
+    );
+  }
+
+  // Validate file size
+  const fileSize = fileBuffer.length;
+  console.log(`Processing file: ${fileName}, Size: ${fileSize} bytes`);
+
+  if (fileSize < MIN_FILE_SIZE) {
+    return new Response(
+      JSON.stringify({
+        error: "File too small (minimum 127 bytes required)",
+      }),
+      {
+        status: 400,
+        headers: { "Content-Type": "application/json" },
+      }
+    );
+  }
+
+  if (fileSize > MAX_FILE_SIZE) {
+    return fileTooLargeResponse();
+  }
+
+  // Only formats allowed for this kind of upload are paid for
+  const violation = checkContentPolicy(env, fileBuffer, {
+    imageType: isSelfie ? "selfie" : "regular",
+    uploadType,
+    declaredType,
+  });
+  if (violation) {
+    return contentPolicyResponse(violation);
+  }
+
+  // Location and device data must go before the bytes are hashed and stored
+  let metadata;
+  try {
+    metadata = applyMetadataPolicy(env, fileBuffer, {
+      imageType: isSelfie ? "selfie" : "regular",
+      eventId: jsonUploadData && jsonUploadData.event_id,
+    });
+  } catch (metadataError) {
+    if (metadataError instanceof MetadataError) {
+      return metadataErrorResponse(metadataError);
+    }
+    throw metadataError;
+  }
+  fileBuffer = metadata.bytes;
+
+  // Trust the image header over client-supplied dimensions
+  const image = resolveImageMetadata(fileBuffer, {
+    height: imageHeight,
+    width: imageWidth,
+  });
+
+  return {
+    fileBuffer,
+    fileName,
+    uploadType,
+    userId,
+    isSelfie,
+    imageHeight: image.height,
+    imageWidth: image.width,
+    mimeType: image.mimeType,
+    orientation: image.orientation,
+    imageMismatches: image.mismatches,
+    metadataReport: metadata.report,
+    jsonUploadData,
+    storageOptions,
+    contentHash: await hashContent(fileBuffer),
+  };
+}
+
+/**
+ * Reads, deduplicates and stores an authenticated upload
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ * @param {Object} ctx - Execution context
+ * @param {string|null} userId - Authenticated user identifier
+ * @param {string|null} contentType - Request content type
+ * @returns {Promise<Response>} Upload result
+ * @throws {Error} If the Filecoin upload fails
+ */
+async function processUpload(request, env, ctx, userId, contentType) {
+  const upload = await readUpload(request, env, userId, contentType);
+  if (upload instanceof Response) {
+    return upload;
+  }
+  return storeUpload(request, env, ctx, upload);
+}
+
+/**
+ * Deduplicates and stores a prepared upload, inline or as a background job
+ * @param {Request} request - Incoming request (checked for async mode)
+ * @param {Object} env - Worker environment
+ * @param {Object} ctx - Execution context
+ * @param {import("../pipeline.js").PreparedUpload} upload - Upload to store
+ * @returns {Promise<Response>} Upload result
+ * @throws {Error} If the Filecoin upload fails
+ */
+export async function storeUpload(request, env, ctx, upload) {
+  // Identical bytes are already on Filecoin: reuse the existing piece
+  const duplicate = await findByContentHash(env, upload.contentHash);
+  if (duplicate && canReusePiece(env, upload, duplicate)) {
+    const { responseData, notification } = await finalizeDuplicate(
+      env,
+      upload,
+      duplicate
+    );
+    ctx.waitUntil(notification);
+    return jsonResponse(responseData);
+  }
+
+  // Only new bytes count against the daily storage quotas
+  const subjects = getLimitSubjects(upload.userId, [
+    upload.jsonUploadData && upload.jsonUploadData.event_id,
+  ]);
+  const overQuota = await checkStorageQuota(
+    env,
+    subjects,
+    upload.fileBuffer.length
+  );
+  if (overQuota) {
+    return limitExceededResponse(overQuota);
+  }
+  const shortfall = await checkWalletFunds(
+    env,
+    upload.fileBuffer.length,
+    upload.storageOptions.withCDN
+  );
+  if (shortfall) {
+    return walletShortfallResponse(shortfall);
+  }
+
+  // Async mode: acknowledge now and upload in the background
+  if (isAsyncRequest(request)) {
+    const job = await createJob(env, upload);
+    await recordStoredBytes(env, subjects, upload.fileBuffer.length);
+    ctx.waitUntil(runUploadJob(env, job, upload));
+    console.log(`Accepted upload job ${job.id}`);
+    return jsonResponse(
+      {
+        success: true,
+        job_id: job.id,
+        status: job.status,
+        status_url: `/jobs/${job.id}`,
+        timestamp: job.created_at,
+      },
+      202,
+      { Location: `/jobs/${job.id}` }
+    );
+  }
+
+  const { pieceCid, storage, copies, confirmation, encryption, derivatives } =
+    await storePreparedUpload(env, upload);
+  // Keep tracking the piece on chain after responding
+  ctx.waitUntil(confirmation);
+
+  const { responseData, notification } = await finalizeUpload(
+    env,
+    upload,
+    pieceCid,
+    { storage, copies, encryption, derivatives }
+  );
+
+  // Schedule backend API notification as non-blocking operation
+  ctx.waitUntil(notification);
+
+  return new Response(JSON.stringify(responseData), {
+    status: 200,
+    headers: {
+      "Content-Type": "application/json",
+      "Access-Control-Allow-Origin": "*",
+    },
+  });
+}
+
+/**
+ * Builds the 500 response for a failed upload
+ * @param {Error} error - Upload error
+ * @returns {Response} Error response
+ */
+export function uploadFailedResponse(error) {
+  console.error("Upload failed:", error.message);
+  console.error("Stack:", error.stack);
+
+  return new Response(
+    JSON.stringify({
+      error: "Upload failed",
+      message: error.message,
+      ...(error.code && { code: error.code }),
+      // Too few copies: report which providers did and did not store it
+      ...(error.copies && { copies: error.copies }),
+      timestamp: new Date().toISOString(),
+    }),
+    {
+      status: 500,
+      headers: {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": "*",
+      },
+    }
+  );
+}
+
+/**
+ * Handles file uploads (stream, formdata or JSON) and stores them on Filecoin
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ * @param {Object} ctx - Execution context
+ * @returns {Promise<Response>} Upload result
+ */
+export async function handleUpload(request, env, ctx) {
+  try {
+    // Determine content type early to decide how the caller must authenticate
+    const contentType = request.headers.get("content-type");
+    const isJsonUpload =
+      contentType && contentType.includes("application/json");
+
+    // Authenticate the caller; user id comes from verified credentials
+    const auth = await authenticateRequest(request, env, {
+      allowServiceKey: Boolean(isJsonUpload),
+    });
+    if (!auth.ok) {
+      return auth.response;
+    }
+    const userId = auth.userId;
+    console.log(`Authenticated via ${auth.mode}: user_id=${userId || "none"}`);
+
+    // userId is required for stream upload and formdata upload, but optional for JSON upload
+    if (!isJsonUpload && !userId) {
+      return new Response(
+        JSON.stringify({
+          error:
+            "Missing user-id header (required for stream and formdata uploads)",
+        }),
+        {
+          status: 400,
+          headers: { "Content-Type": "application/json" },
+        }
+      );
+    }
+
+    return await withIdempotency(request, env, userId, () =>
+      checkRequestRate(env, getLimitSubjects(userId))
+        .then((rejection) =>
+          rejection
+            ? limitExceededResponse(rejection)
+            : processUpload(request, env, ctx, userId, contentType)
+        )
+        .catch(uploadFailedResponse)
+    );
+  } catch (error) {
+    return uploadFailedResponse(error);
+  }
+}
+
+/**
+ * Looks up a previous upload by piece CID
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ * @param {Object} ctx - Execution context
+ * @param {{cid: string}} params - Route parameters
+ * @returns {Promise<Response>} Upload record
+ */
+export async function handleGetUpload(request, env, ctx, params) {
+  const auth = await authenticateRequest(request, env, {
+    allowServiceKey: true,
+  });
+  if (!auth.ok) {
+    return auth.response;
+  }
+
+  const record = await getUploadRecord(env, params.cid);
+
+  // Report foreign records as missing so CIDs cannot be probed
+  if (!record || !(await canAccessUpload(env, auth, record))) {
+    return errorResponse(
+      404,
+      "Upload not found",
+      "upload_not_found",
+      `No upload recorded for CID ${params.cid}`
+    );
+  }
+
+  return jsonResponse({ success: true, upload: record });
+}
+
+/**
+ * Reports where a piece is in its on-chain lifecycle
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ * @param {Object} ctx - Execution context
+ * @param {{cid: string}} params - Route parameters
+ * @returns {Promise<Response>} Confirmation status
+ */
+export async function handleGetUploadStatus(request, env, ctx, params) {
+  const auth = await authenticateRequest(request, env, {
+    allowServiceKey: true,
+  });
+  if (!auth.ok) {
+    return auth.response;
+  }
+
+  const record = await getUploadRecord(env, params.cid);
+  if (!record || !(await canAccessUpload(env, auth, record))) {
+    return errorResponse(
+      404,
+      "Upload not found",
+      "upload_not_found",
+      `No upload recorded for CID ${params.cid}`
+    );
+  }
+
+  // Pieces stored before confirmations were tracked have no state
+  const confirmation = await getConfirmation(env, params.cid);
+  return jsonResponse({
+    success: true,
+    cid: params.cid,
+    status: confirmation ? confirmation.status : "unknown",
+    copies: confirmation
+      ? confirmation.copies.map(describeCopyConfirmation)
+      : [],
+    ...(confirmation && { required_copies: confirmation.required_copies }),
+    stored_at: record.created_at,
+    ...(confirmation && {
+      updated_at: confirmation.updated_at,
+      settled_at: confirmation.settled_at || null,
+    }),
+  });
+}
+
+/**
+ * Returns the decrypted contents of an encrypted upload
+ *
+ * Unencrypted pieces are public already, so callers are redirected to
+ * their `filecoin_url`.
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ * @param {Object} ctx - Execution context
+ * @param {{cid: string}} params - Route parameters
+ * @returns {Promise<Response>} File contents, or a redirect
+ */
+export async function handleGetUploadContent(request, env, ctx, params) {
+  const auth = await authenticateRequest(request, env, {
+    allowServiceKey: true,
+  });
+  if (!auth.ok) {
+    return auth.response;
+  }
+
+  const record = await getUploadRecord(env, params.cid);
+  if (!record || !(await canAccessUpload(env, auth, record))) {
+    return errorResponse(
+      404,
+      "Upload not found",
+      "upload_not_found",
+      `No upload recorded for CID ${params.cid}`
+    );
+  }
+  if (!record.encryption) {
+    return new Response(null, {
+      status: 302,
+      headers: { ...CORS_HEADERS, Location: record.filecoin_url },
+    });
+  }
+
+  let plaintext;
+  try {
+    const ciphertext = await downloadPiece(
+      record,
+      record.encryption.ciphertext_size
+    );
+    plaintext = await decryptFile(env, ciphertext, record.encryption);
+  } catch (contentError) {
+    if (contentError instanceof RetrievalError) {
+      console.warn(contentError.message);
+      if (contentError.code === "piece_verification_failed") {
+        return errorResponse(
+          502,
+          "Piece verification failed",
+          contentError.code,
+          contentError.message
+        );
+      }
+      return errorResponse(
+        503,
+        "Piece unavailable",
+        contentError.code,
+        contentError.message,
+        { "Retry-After": "30" }
+      );
+    }
+    if (contentError instanceof EncryptionError) {
+      console.error(`Failed to decrypt ${params.cid}:`, contentError.message);
+      // Altered bytes come from the provider; a missing key is our configuration
+      return errorResponse(
+        contentError.code === "decryption_failed" ? 502 : 500,
+        "Decryption failed",
+        contentError.code,
+        contentError.message
+      );
+    }
+    throw contentError;
+  }
+
+  return new Response(plaintext, {
+    headers: {
+      ...CORS_HEADERS,
+      "Content-Type": record.mime_type || "application/octet-stream",
+      "Content-Length": String(plaintext.length),
+      "Content-Disposition": inlineContentDisposition(record.name),
+      // Decrypted biometric data must not end up in shared caches
+      "Cache-Control": "private, no-store",
+    },
+  });
+}
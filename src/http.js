@@ -0,0 +1,75 @@
+/**
+ * Shared HTTP response helpers for the worker
+ */
+
+/**
+ * CORS headers attached to every JSON response
+ */
+export const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Expose-Headers":
+    "Location, Retry-After, Idempotent-Replayed, Upload-Offset, Upload-Length, Content-Range, Content-Disposition, ETag",
+};
+
+/**
+ * Creates a JSON response with CORS headers
+ * @param {Object} data - Response body
+ * @param {number} [status=200] - HTTP status code
+ * @param {Object} [headers] - Additional response headers
+ * @returns {Response} JSON response
+ */
+export function jsonResponse(data, status = 200, headers = {}) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      "Content-Type": "application/json",
+      ...CORS_HEADERS,
+      ...headers,
+    },
+  });
+}
+
+/**
+ * Creates a structured JSON error response
+ * @param {number} status - HTTP status code
+ * @param {string} error - Short error summary
+ * @param {string} code - Machine-readable error code
+ * @param {string} [message] - Human-readable detail
+ * @param {Object} [headers] - Additional response headers
+ * @returns {Response} JSON error response
+ */
+export function errorResponse(status, error, code, message, headers = {}) {
+  const body = { error, code };
+  if (message) {
+    body.message = message;
+  }
+  return jsonResponse(body, status, headers);
+}
+
+/**
+ * Builds a Content-Disposition header that shows a file inline under its name
+ *
+ * The plain `filename` is restricted to safe ASCII; `filename*` carries the
+ * exact (UTF-8) name for browsers that support it.
+ * @param {string} fileName - Stored file name
+ * @returns {string} Header value
+ */
+export function inlineContentDisposition(fileName) {
+  const name = fileName || "file";
+  const fallback = name.replace(/[^\x20-\x7e]|["\\]/g, "_");
+  return `inline; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(
+    name
+  )}`;
+}
+
+/**
+ * Checks whether the client asked for a background job
+ * @param {Request} request - Incoming request
+ * @returns {boolean} True for `x-upload-mode: async` or `?mode=async`
+ */
+export function isAsyncRequest(request) {
+  const mode =
+    request.headers.get("x-upload-mode") ||
+    new URL(request.url).searchParams.get("mode");
+  return mode === "async";
+}
@@ -0,0 +1,240 @@
+import { errorResponse } from "./http.js";
+import { getStore } from "./store.js";
+
+/**
+ * Idempotency-Key support for upload requests
+ *
+ * The first request for a key marks it in flight; its response is stored
+ * for IDEMPOTENCY_TTL_SECONDS and replayed verbatim for repeats. Repeats
+ * that arrive while the first request is still running get a 409.
+ * Server errors (5xx) release the key so the client can retry.
+ *
+ * Concurrent repeats handled by the same isolate are caught by an
+ * in-memory set before the store is consulted. KV is eventually
+ * consistent, so two requests racing on different edge locations may
+ * both get through.
+ */
+
+const IDEMPOTENCY_PREFIX = "idem:";
+
+// Stored responses are replayed for a day unless configured otherwise
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+
+// In-flight markers expire on their own if the worker dies mid-upload
+const IN_FLIGHT_TTL_SECONDS = 15 * 60;
+
+const KEY_PATTERN = /^[\x21-\x7E]{1,255}$/;
+
+// Keys currently being processed by this isolate
+const inFlightKeys = new Set();
+
+/**
+ * Builds the 409 response for a key that is still being processed
+ * @returns {Response} Conflict response
+ */
+function inProgressResponse() {
+  return errorResponse(
+    409,
+    "Request in progress",
+    "idempotency_request_in_progress",
+    "A request with this Idempotency-Key is still being processed",
+    { "Retry-After": "5" }
+  );
+}
+
+/**
+ * Outcome of claiming an idempotency key
+ * @typedef {Object} IdempotencyClaim
+ * @property {boolean} proceed - True if the caller should process the request
+ * @property {string} [storeKey] - Store key to complete once processed
+ * @property {Response} [response] - Replayed or error response when not proceeding
+ */
+
+/**
+ * Returns the configured response retention in seconds
+ * @param {Object} env - Worker environment
+ * @returns {number} TTL in seconds
+ */
+function getTtl(env) {
+  return parseInt(env.IDEMPOTENCY_TTL_SECONDS) || DEFAULT_TTL_SECONDS;
+}
+
+/**
+ * Claims an idempotency key for a request
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ * @param {string} idempotencyKey - Value of the Idempotency-Key header
+ * @param {string|null} userId - Authenticated user, used to scope keys
+ * @returns {Promise<IdempotencyClaim>} Claim outcome
+ */
+export async function claimIdempotencyKey(
+  request,
+  env,
+  idempotencyKey,
+  userId
+) {
+  if (!KEY_PATTERN.test(idempotencyKey)) {
+    return {
+      proceed: false,
+      response: errorResponse(
+        400,
+        "Invalid Idempotency-Key",
+        "invalid_idempotency_key",
+        "Idempotency-Key must be 1-255 printable ASCII characters"
+      ),
+    };
+  }
+
+  const store = getStore(env);
+  const storeKey = `${IDEMPOTENCY_PREFIX}${
+    userId || "anonymous"
+  }:${idempotencyKey}`;
+  const fingerprint = `${request.method} ${new URL(request.url).pathname}`;
+
+  // Checked and claimed synchronously, before any await can interleave
+  if (inFlightKeys.has(storeKey)) {
+    return { proceed: false, response: inProgressResponse() };
+  }
+  inFlightKeys.add(storeKey);
+
+  let existing;
+  try {
+    existing = await store.get(storeKey);
+  } catch (storeError) {
+    inFlightKeys.delete(storeKey);
+    throw storeError;
+  }
+  if (existing) {
+    inFlightKeys.delete(storeKey);
+  }
+
+  if (existing && existing.fingerprint !== fingerprint) {
+    return {
+      proceed: false,
+      response: errorResponse(
+        422,
+        "Idempotency-Key reused",
+        "idempotency_key_reused",
+        `Key was first used for ${existing.fingerprint}`
+      ),
+    };
+  }
+
+  if (existing && existing.state === "in_flight") {
+    return { proceed: false, response: inProgressResponse() };
+  }
+
+  if (existing && existing.state === "completed") {
+    console.log(
+      `Replaying stored response for Idempotency-Key ${idempotencyKey}`
+    );
+    const { status, headers, body } = existing.response;
+    return {
+      proceed: false,
+      response: new Response(body, {
+        status,
+        headers: { ...headers, "Idempotent-Replayed": "true" },
+      }),
+    };
+  }
+
+  try {
+    await store.put(
+      storeKey,
+      {
+        state: "in_flight",
+        fingerprint,
+        started_at: new Date().toISOString(),
+      },
+      { expirationTtl: Math.min(IN_FLIGHT_TTL_SECONDS, getTtl(env)) }
+    );
+  } catch (storeError) {
+    inFlightKeys.delete(storeKey);
+    throw storeError;
+  }
+  return { proceed: true, storeKey };
+}
+
+/**
+ * Stores the response for a claimed key, or releases the key on retryable errors
+ * @param {Object} env - Worker environment
+ * @param {Request} request - Incoming request
+ * @param {string} storeKey - Store key from the claim
+ * @param {Response} response - Response to store (a clone is read)
+ * @returns {Promise<void>}
+ */
+export async function completeIdempotencyKey(env, request, storeKey, response) {
+  const store = getStore(env);
+
+  try {
+    // Server errors and rate limits are worth retrying with the same key
+    if (response.status >= 500 || response.status === 429) {
+      await store.delete(storeKey);
+      return;
+    }
+    await storeResponse(store, env, request, storeKey, response);
+  } finally {
+    inFlightKeys.delete(storeKey);
+  }
+}
+
+/**
+ * Persists a completed response for replay
+ * @param {import("./store.js").Store} store - Store
+ * @param {Object} env - Worker environment
+ * @param {Request} request - Incoming request
+ * @param {string} storeKey - Store key from the claim
+ * @param {Response} response - Response to store (a clone is read)
+ * @returns {Promise<void>}
+ */
+async function storeResponse(store, env, request, storeKey, response) {
+  await store.put(
+    storeKey,
+    {
+      state: "completed",
+      fingerprint: `${request.method} ${new URL(request.url).pathname}`,
+      response: {
+        status: response.status,
+        headers: Object.fromEntries(response.headers.entries()),
+        body: await response.clone().text(),
+      },
+      completed_at: new Date().toISOString(),
+    },
+    { expirationTtl: getTtl(env) }
+  );
+}
+
+/**
+ * Runs a request handler under the request's Idempotency-Key, if it has one
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ * @param {string|null} userId - Authenticated user, used to scope keys
+ * @param {() => Promise<Response>} process - Produces the response
+ * @returns {Promise<Response>} Fresh, replayed or rejected response
+ */
+export async function withIdempotency(request, env, userId, process) {
+  const idempotencyKey = request.headers.get("idempotency-key");
+  if (!idempotencyKey) {
+    return process();
+  }
+
+  // Replay or reject repeats of a request the client already sent
+  const claim = await claimIdempotencyKey(request, env, idempotencyKey, userId);
+  if (!claim.proceed) {
+    return claim.response;
+  }
+  let response = null;
+  try {
+    response = await process();
+  } finally {
+    // Nothing to replay if the handler threw: let the client retry
+    if (!response) {
+      inFlightKeys.delete(claim.storeKey);
+      await getStore(env)
+        .delete(claim.storeKey)
+        .catch(() => {});
+    }
+  }
+  await completeIdempotencyKey(env, request, claim.storeKey, response);
+  return response;
+}
@@ -0,0 +1,448 @@
+/**
+ * Image header inspection
+ *
+ * Reads the real dimensions, EXIF orientation and MIME type from the
+ * first bytes of JPEG, PNG, GIF, WebP and HEIC/AVIF files, so the worker
+ * does not have to trust the dimensions supplied by the client. Only
+ * headers are parsed; pixel data is never decoded.
+ */
+
+/**
+ * Facts read from an image header
+ * @typedef {Object} ImageInfo
+ * @property {string} mime_type - Detected MIME type
+ * @property {number} [width] - Display width in pixels (after EXIF rotation)
+ * @property {number} [height] - Display height in pixels (after EXIF rotation)
+ * @property {number} [orientation] - EXIF orientation (1-8), when present
+ */
+
+/**
+ * Difference between a client-supplied value and the detected one
+ * @typedef {Object} ImageMismatch
+ * @property {string} field - Field that differs (`height` or `width`)
+ * @property {*} supplied - Value supplied by the client
+ * @property {number} detected - Value read from the image
+ */
+
+// EXIF orientations 5-8 rotate the image by 90 degrees
+const ROTATED_ORIENTATIONS = new Set([5, 6, 7, 8]);
+
+// JPEG start-of-frame markers carrying the frame dimensions
+const JPEG_SOF_MARKERS = new Set([
+  0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf,
+]);
+
+// ISO BMFF brands of the still-image formats
+const AVIF_BRANDS = new Set(["avif", "avis"]);
+const HEIC_BRANDS = new Set(["heic", "heix", "heim", "heis", "hevc", "hevx"]);
+const HEIF_BRANDS = new Set(["mif1", "msf1"]);
+
+/**
+ * Reads an ASCII string from a byte array
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} start - Start offset
+ * @param {number} length - Number of bytes
+ * @returns {string} Decoded string
+ */
+function ascii(bytes, start, length) {
+  return String.fromCharCode(...bytes.subarray(start, start + length));
+}
+
+/**
+ * Reads the orientation tag from a TIFF (EXIF) block
+ * @param {DataView} view - View over the file
+ * @param {number} tiffStart - Offset of the TIFF header
+ * @param {number} end - End of the EXIF block
+ * @returns {number|undefined} Orientation (1-8), if present and valid
+ */
+function readTiffOrientation(view, tiffStart, end) {
+  if (tiffStart + 8 > end) {
+    return undefined;
+  }
+  const byteOrder = view.getUint16(tiffStart);
+  if (byteOrder !== 0x4949 && byteOrder !== 0x4d4d) {
+    return undefined;
+  }
+  const little = byteOrder === 0x4949;
+  const ifdStart = tiffStart + view.getUint32(tiffStart + 4, little);
+  if (ifdStart + 2 > end) {
+    return undefined;
+  }
+  const entries = view.getUint16(ifdStart, little);
+  for (let i = 0; i < entries; i++) {
+    const entry = ifdStart + 2 + i * 12;
+    if (entry + 12 > end) {
+      return undefined;
+    }
+    if (view.getUint16(entry, little) === 0x0112) {
+      const orientation = view.getUint16(entry + 8, little);
+      return orientation >= 1 && orientation <= 8 ? orientation : undefined;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Reads the dimensions and orientation of a JPEG
+ * @param {Uint8Array} bytes - File contents
+ * @param {DataView} view - View over the file
+ * @returns {{width?: number, height?: number, orientation?: number}} Header facts
+ */
+function inspectJpeg(bytes, view) {
+  const info = {};
+  let offset = 2;
+  while (offset + 4 <= bytes.length) {
+    if (bytes[offset] !== 0xff) {
+      break;
+    }
+    const marker = bytes[offset + 1];
+    // Fill bytes and standalone markers carry no length
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    if (marker === 0xd8 || (marker >= 0xd0 && marker <= 0xd7)) {
+      offset += 2;
+      continue;
+    }
+    if (marker === 0xd9 || marker === 0xda) {
+      break;
+    }
+
+    const length = view.getUint16(offset + 2);
+    const segmentEnd = Math.min(offset + 2 + length, bytes.length);
+    if (
+      marker === 0xe1 &&
+      info.orientation === undefined &&
+      ascii(bytes, offset + 4, 6) === "Exif\0\0"
+    ) {
+      info.orientation = readTiffOrientation(view, offset + 10, segmentEnd);
+    }
+    if (JPEG_SOF_MARKERS.has(marker) && offset + 9 <= bytes.length) {
+      info.height = view.getUint16(offset + 5);
+      info.width = view.getUint16(offset + 7);
+      break;
+    }
+    offset += 2 + length;
+  }
+  return info;
+}
+
+/**
+ * Reads the dimensions and orientation of a PNG
+ * @param {Uint8Array} bytes - File contents
+ * @param {DataView} view - View over the file
+ * @returns {{width?: number, height?: number, orientation?: number}} Header facts
+ */
+function inspectPng(bytes, view) {
+  if (bytes.length < 24 || ascii(bytes, 12, 4) !== "IHDR") {
+    return {};
+  }
+  const info = { width: view.getUint32(16), height: view.getUint32(20) };
+
+  // eXIf, when present, comes before the image data
+  let offset = 8;
+  while (offset + 8 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const type = ascii(bytes, offset + 4, 4);
+    if (type === "IDAT" || type === "IEND") {
+      break;
+    }
+    if (type === "eXIf") {
+      info.orientation = readTiffOrientation(
+        view,
+        offset + 8,
+        Math.min(offset + 8 + length, bytes.length)
+      );
+      break;
+    }
+    offset += 12 + length;
+  }
+  return info;
+}
+
+/**
+ * Reads the dimensions of a GIF
+ * @param {Uint8Array} bytes - File contents
+ * @param {DataView} view - View over the file
+ * @returns {{width?: number, height?: number}} Header facts
+ */
+function inspectGif(bytes, view) {
+  if (bytes.length < 10) {
+    return {};
+  }
+  return {
+    width: view.getUint16(6, true),
+    height: view.getUint16(8, true),
+  };
+}
+
+/**
+ * Reads the dimensions and orientation of a WebP
+ * @param {Uint8Array} bytes - File contents
+ * @param {DataView} view - View over the file
+ * @returns {{width?: number, height?: number, orientation?: number}} Header facts
+ */
+function inspectWebp(bytes, view) {
+  const info = {};
+  let offset = 12;
+  while (offset + 8 <= bytes.length) {
+    const type = ascii(bytes, offset, 4);
+    const length = view.getUint32(offset + 4, true);
+    const data = offset + 8;
+
+    if (type === "VP8X" && data + 10 <= bytes.length) {
+      // 24-bit little-endian canvas size, minus one
+      info.width =
+        1 +
+        (bytes[data + 4] | (bytes[data + 5] << 8) | (bytes[data + 6] << 16));
+      info.height =
+        1 +
+        (bytes[data + 7] | (bytes[data + 8] << 8) | (bytes[data + 9] << 16));
+    } else if (
+      type === "VP8 " &&
+      info.width === undefined &&
+      data + 10 <= bytes.length
+    ) {
+      info.width = view.getUint16(data + 6, true) & 0x3fff;
+      info.height = view.getUint16(data + 8, true) & 0x3fff;
+    } else if (
+      type === "VP8L" &&
+      info.width === undefined &&
+      data + 5 <= bytes.length
+    ) {
+      const bits = view.getUint32(data + 1, true);
+      info.width = (bits & 0x3fff) + 1;
+      info.height = ((bits >> 14) & 0x3fff) + 1;
+    } else if (type === "EXIF") {
+      const end = Math.min(data + length, bytes.length);
+      // Some encoders keep the JPEG-style "Exif\0\0" prefix
+      const tiffStart = ascii(bytes, data, 4) === "Exif" ? data + 6 : data;
+      info.orientation = readTiffOrientation(view, tiffStart, end);
+    }
+
+    offset = data + length + (length % 2);
+  }
+  return info;
+}
+
+/**
+ * Walks the child boxes of an ISO BMFF box
+ * @param {Uint8Array} bytes - File contents
+ * @param {DataView} view - View over the file
+ * @param {number} start - Offset of the first child box
+ * @param {number} end - End of the parent box
+ * @param {(type: string, start: number, end: number) => void} visit - Called for each child
+ */
+function walkBoxes(bytes, view, start, end, visit) {
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = view.getUint32(offset);
+    let header = 8;
+    if (size === 1 && offset + 16 <= end) {
+      size = Number(view.getBigUint64(offset + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < header) {
+      return;
+    }
+    visit(
+      ascii(bytes, offset + 4, 4),
+      offset + header,
+      Math.min(offset + size, end)
+    );
+    offset += size;
+  }
+}
+
+/**
+ * Reads the dimensions and rotation of a HEIC/AVIF still image
+ *
+ * Uses the largest `ispe` property (the primary image; thumbnails are
+ * smaller) and maps `irot` to the equivalent EXIF orientation.
+ * @param {Uint8Array} bytes - File contents
+ * @param {DataView} view - View over the file
+ * @returns {{width?: number, height?: number, orientation?: number}} Header facts
+ */
+function inspectHeif(bytes, view) {
+  const info = {};
+  walkBoxes(bytes, view, 0, bytes.length, (type, start, end) => {
+    if (type !== "meta") return;
+    // meta is a full box: skip version and flags
+    walkBoxes(bytes, view, start + 4, end, (metaType, metaStart, metaEnd) => {
+      if (metaType !== "iprp") return;
+      walkBoxes(
+        bytes,
+        view,
+        metaStart,
+        metaEnd,
+        (iprpType, ipcoStart, ipcoEnd) => {
+          if (iprpType !== "ipco") return;
+          walkBoxes(
+            bytes,
+            view,
+            ipcoStart,
+            ipcoEnd,
+            (property, propStart, propEnd) => {
+              if (property === "ispe" && propStart + 12 <= propEnd) {
+                const width = view.getUint32(propStart + 4);
+                const height = view.getUint32(propStart + 8);
+                if (!info.width || width * height > info.width * info.height) {
+                  info.width = width;
+                  info.height = height;
+                }
+              } else if (property === "irot" && propStart < propEnd) {
+                // Anti-clockwise quarter turns
+                const turns = bytes[propStart] & 0x3;
+                info.orientation = [1, 8, 3, 6][turns];
+              }
+            }
+          );
+        }
+      );
+    });
+  });
+  return info;
+}
+
+/**
+ * Detects the image format from its magic bytes
+ * @param {Uint8Array} bytes - File contents
+ * @returns {string|null} MIME type, or null if not a supported image
+ */
+export function detectImageType(bytes) {
+  if (bytes.length < 12) {
+    return null;
+  }
+  if (bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) {
+    return "image/jpeg";
+  }
+  if (ascii(bytes, 0, 8) === "\x89PNG\r\n\x1a\n") {
+    return "image/png";
+  }
+  if (ascii(bytes, 0, 6) === "GIF87a" || ascii(bytes, 0, 6) === "GIF89a") {
+    return "image/gif";
+  }
+  if (ascii(bytes, 0, 4) === "RIFF" && ascii(bytes, 8, 4) === "WEBP") {
+    return "image/webp";
+  }
+  if (ascii(bytes, 4, 4) === "ftyp") {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const boxEnd = Math.min(view.getUint32(0), bytes.length);
+    const brands = [ascii(bytes, 8, 4)];
+    for (let offset = 16; offset + 4 <= boxEnd; offset += 4) {
+      brands.push(ascii(bytes, offset, 4));
+    }
+    if (brands.some((brand) => AVIF_BRANDS.has(brand))) return "image/avif";
+    if (brands.some((brand) => HEIC_BRANDS.has(brand))) return "image/heic";
+    if (brands.some((brand) => HEIF_BRANDS.has(brand))) return "image/heif";
+  }
+  return null;
+}
+
+/**
+ * Inspects an image header
+ * @param {Uint8Array} bytes - File contents
+ * @returns {ImageInfo|null} Header facts, or null if not a supported image
+ */
+export function inspectImage(bytes) {
+  const mimeType = detectImageType(bytes);
+  if (!mimeType) {
+    return null;
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let header = {};
+  try {
+    if (mimeType === "image/jpeg") header = inspectJpeg(bytes, view);
+    else if (mimeType === "image/png") header = inspectPng(bytes, view);
+    else if (mimeType === "image/gif") header = inspectGif(bytes, view);
+    else if (mimeType === "image/webp") header = inspectWebp(bytes, view);
+    else header = inspectHeif(bytes, view);
+  } catch (parseError) {
+    // Truncated or malformed header: keep whatever was read
+    console.warn(`Could not parse ${mimeType} header:`, parseError.message);
+  }
+
+  const info = { mime_type: mimeType };
+  if (header.width > 0 && header.height > 0) {
+    const rotated = ROTATED_ORIENTATIONS.has(header.orientation);
+    info.width = rotated ? header.height : header.width;
+    info.height = rotated ? header.width : header.height;
+  }
+  if (header.orientation) {
+    info.orientation = header.orientation;
+  }
+  return info;
+}
+
+/**
+ * Parses a client-supplied dimension
+ * @param {*} value - Header, form or JSON value
+ * @returns {number|undefined} Positive integer, or undefined if absent or invalid
+ */
+function parseDimension(value) {
+  const parsed = parseInt(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : undefined;
+}
+
+/**
+ * Combines detected image facts with the dimensions supplied by the client
+ *
+ * Detected dimensions win. Supplied values that are not positive integers,
+ * or that disagree with the image (in either orientation), are reported as
+ * mismatches.
+ * @param {Uint8Array} bytes - File contents
+ * @param {{height?: *, width?: *}} supplied - Client-supplied dimensions
+ * @returns {{mimeType?: string, orientation?: number, height?: number, width?: number, mismatches: ImageMismatch[]}} Resolved metadata
+ */
+export function resolveImageMetadata(bytes, supplied) {
+  const info = inspectImage(bytes) || {};
+  const parsed = {
+    height: parseDimension(supplied.height),
+    width: parseDimension(supplied.width),
+  };
+  const mismatches = [];
+
+  for (const field of ["height", "width"]) {
+    const raw = supplied[field];
+    if (raw !== undefined && raw !== null && raw !== "" && !parsed[field]) {
+      mismatches.push({ field, supplied: raw, detected: info[field] ?? null });
+    }
+  }
+
+  if (info.width && info.height) {
+    const agrees = (height, width) =>
+      (!parsed.height || parsed.height === height) &&
+      (!parsed.width || parsed.width === width);
+    // Clients may report either the stored or the rotated dimensions
+    if (!agrees(info.height, info.width) && !agrees(info.width, info.height)) {
+      for (const field of ["height", "width"]) {
+        if (parsed[field] && parsed[field] !== info[field]) {
+          mismatches.push({
+            field,
+            supplied: supplied[field],
+            detected: info[field],
+          });
+        }
+      }
+    }
+  }
+
+  if (mismatches.length > 0) {
+    console.warn(
+      "Supplied image dimensions do not match the image:",
+      JSON.stringify(mismatches)
+    );
+  }
+
+  return {
+    mimeType: info.mime_type,
+    orientation: info.orientation,
+    height: info.height ?? parsed.height,
+    width: info.width ?? parsed.width,
+    mismatches,
+  };
+}
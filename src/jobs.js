@@ -0,0 +1,239 @@
+import { finalizeUpload, storePreparedUpload } from "./pipeline.js";
+import { getUploadRecord } from "./records.js";
+import { getStore } from "./store.js";
+
+/**
+ * Background upload jobs
+ *
+ * Jobs move through `received → uploading → stored → notified`, or end in
+ * `failed` if the Filecoin upload fails. A job stays `stored` when no
+ * backend is configured or the backend notification has not been
+ * delivered yet; `syncJobNotification` catches up once the outbox does.
+ * Jobs run in a request's `waitUntil`; the cron trigger fails the ones
+ * that were cut off before they settled.
+ */
+
+/**
+ * Upload job persisted while the upload runs in the background
+ * @typedef {Object} UploadJob
+ * @property {string} id - Job identifier
+ * @property {"received"|"uploading"|"stored"|"notified"|"failed"} status - Current state
+ * @property {string|null} user_id - Owner of the job
+ * @property {string} upload_type - Upload mode used
+ * @property {string} name - File name
+ * @property {number} size - File size in bytes
+ * @property {string} [cid] - Piece CID once stored
+ * @property {Object} [result] - Upload response once stored
+ * @property {Object} [notification] - Backend notification outcome
+ * @property {string} [error] - Failure reason
+ * @property {string} [code] - Machine-readable failure code
+ * @property {import("./filecoin.js").PieceCopy[]} [copies] - Copies attempted, when too few were stored
+ * @property {{status: string, at: string}[]} history - State transitions
+ * @property {string} created_at - ISO timestamp of job creation
+ * @property {string} updated_at - ISO timestamp of the last update
+ */
+
+const JOB_PREFIX = "job:";
+const PENDING_PREFIX = "job-pending:";
+
+// waitUntil work is cancelled 30 seconds after the response, so jobs
+// silent for longer than this have died
+const STALE_AFTER_MS = 5 * 60 * 1000;
+
+// Jobs are kept for a week unless JOB_TTL_SECONDS says otherwise
+const DEFAULT_JOB_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * Returns the configured job retention in seconds
+ * @param {Object} env - Worker environment
+ * @returns {number} Job TTL in seconds
+ */
+export function getJobTtl(env) {
+  return parseInt(env.JOB_TTL_SECONDS) || DEFAULT_JOB_TTL_SECONDS;
+}
+
+/**
+ * Creates a job in the `received` state
+ * @param {Object} env - Worker environment
+ * @param {import("./pipeline.js").PreparedUpload} upload - Upload to run
+ * @returns {Promise<UploadJob>} Created job
+ */
+export async function createJob(env, upload) {
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    status: "received",
+    user_id: upload.userId,
+    upload_type: upload.uploadType,
+    name: upload.fileName,
+    size: upload.fileBuffer.length,
+    history: [{ status: "received", at: now }],
+    created_at: now,
+    updated_at: now,
+  };
+  const store = getStore(env);
+  await store.put(JOB_PREFIX + job.id, job, {
+    expirationTtl: getJobTtl(env),
+  });
+  await store.put(
+    PENDING_PREFIX + job.id,
+    { id: job.id, created_at: now },
+    { expirationTtl: getJobTtl(env) }
+  );
+  return job;
+}
+
+/**
+ * Looks up a job by id
+ * @param {Object} env - Worker environment
+ * @param {string} id - Job identifier
+ * @returns {Promise<UploadJob|null>} Job, or null if unknown or expired
+ */
+export async function getJob(env, id) {
+  return getStore(env).get(JOB_PREFIX + id);
+}
+
+/**
+ * Moves a job to a new state
+ * @param {Object} env - Worker environment
+ * @param {string} id - Job identifier
+ * @param {string} status - New state
+ * @param {Object} [changes] - Additional fields to merge
+ * @returns {Promise<UploadJob|null>} Updated job, or null if unknown
+ */
+export async function updateJob(env, id, status, changes = {}) {
+  const store = getStore(env);
+  const job = await store.get(JOB_PREFIX + id);
+  if (!job) {
+    return null;
+  }
+  const now = new Date().toISOString();
+  const updated = {
+    ...job,
+    ...changes,
+    status,
+    history:
+      job.status === status
+        ? job.history
+        : [...job.history, { status, at: now }],
+    updated_at: now,
+  };
+  await store.put(JOB_PREFIX + id, updated, { expirationTtl: getJobTtl(env) });
+  return updated;
+}
+
+/**
+ * Runs an upload job to completion, recording each state transition
+ * @param {Object} env - Worker environment
+ * @param {UploadJob} job - Job created for the upload
+ * @param {import("./pipeline.js").PreparedUpload} upload - Upload to run
+ * @returns {Promise<void>} Resolves when the job has settled (never throws)
+ */
+export async function runUploadJob(env, job, upload) {
+  try {
+    await updateJob(env, job.id, "uploading");
+
+    const { pieceCid, storage, copies, confirmation, encryption, derivatives } =
+      // The original's bytes were counted when the job was accepted
+      await storePreparedUpload(env, upload, { countOriginal: false });
+    const { responseData, notification } = await finalizeUpload(
+      env,
+      upload,
+      pieceCid,
+      { storage, copies, encryption, derivatives }
+    );
+
+    await updateJob(env, job.id, "stored", {
+      cid: pieceCid,
+      result: responseData,
+      notification: { status: env.BACKEND_API_URL ? "pending" : "skipped" },
+    });
+
+    const delivery = await notification;
+    if (delivery) {
+      const { ok, status, ...details } = delivery;
+      await updateJob(env, job.id, ok ? "notified" : "stored", {
+        notification: {
+          status: status === "dead_letter" ? "failed" : status,
+          ...details,
+        },
+      });
+    }
+
+    // The job runs in `waitUntil`; keep it open while the piece is confirmed
+    await confirmation;
+  } catch (jobError) {
+    console.error(`Upload job ${job.id} failed:`, jobError.message);
+    await updateJob(env, job.id, "failed", {
+      error: jobError.message,
+      ...(jobError.copies && { copies: jobError.copies }),
+    }).catch((updateError) => {
+      console.error("Failed to record job failure:", updateError.message);
+    });
+  }
+}
+
+/**
+ * Fails upload jobs whose run was cut off before they settled
+ *
+ * Runs from the cron trigger.
+ * @param {Object} env - Worker environment
+ * @returns {Promise<{failed: number}>} Number of stalled jobs failed
+ */
+export async function processJobs(env) {
+  const store = getStore(env);
+  let cursor;
+  let failed = 0;
+
+  do {
+    const page = await store.list(PENDING_PREFIX, { cursor });
+    for (const key of page.keys) {
+      const job = await getJob(env, key.slice(PENDING_PREFIX.length));
+      if (!job || !["received", "uploading"].includes(job.status)) {
+        await store.delete(key);
+        continue;
+      }
+      if (Date.now() - Date.parse(job.updated_at) <= STALE_AFTER_MS) {
+        continue;
+      }
+      console.error(`Upload job ${job.id} stalled while ${job.status}`);
+      await updateJob(env, job.id, "failed", {
+        error: `Upload stopped while ${job.status}`,
+        code: "job_timeout",
+      });
+      await store.delete(key);
+      failed++;
+    }
+    cursor = page.cursor;
+  } while (cursor);
+
+  return { failed };
+}
+
+/**
+ * Brings a stored job up to date with its upload record's notification status
+ *
+ * Notifications retried later by the outbox only update the upload record,
+ * so jobs are reconciled when they are read.
+ * @param {Object} env - Worker environment
+ * @param {UploadJob} job - Job to reconcile
+ * @returns {Promise<UploadJob>} Up-to-date job
+ */
+export async function syncJobNotification(env, job) {
+  if (job.status !== "stored" || !job.cid) {
+    return job;
+  }
+  const record = await getUploadRecord(env, job.cid);
+  if (!record || record.notification.status === job.notification?.status) {
+    return job;
+  }
+  const { updated_at, ...notification } = record.notification;
+  return (
+    (await updateJob(
+      env,
+      job.id,
+      notification.status === "sent" ? "notified" : "stored",
+      { notification }
+    )) || job
+  );
+}
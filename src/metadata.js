@@ -0,0 +1,801 @@
+import { errorResponse } from "./http.js";
+import { detectImageType } from "./image-info.js";
+import { crc32 } from "./zip.js";
+
+/**
+ * Metadata policy for uploads
+ *
+ * Phone photos carry GPS coordinates and device serial numbers, and a
+ * piece stored on Filecoin cannot be taken back. The `METADATA_POLICY`
+ * variable (JSON) decides what is removed from JPEG, PNG and WebP files
+ * before they are hashed and stored, e.g.
+ *
+ *   {
+ *     "default": "strip_location",
+ *     "image_types": { "selfie": "strip_all" },
+ *     "events": { "evt_123": "keep" }
+ *   }
+ *
+ * `strip_location` removes the GPS data, `strip_all` removes all EXIF, XMP
+ * and IPTC metadata except the EXIF orientation (so the image still shows
+ * upright), and `keep` stores the file unchanged. Event rules override
+ * image type rules, which override the default (`keep`). Pixel data is
+ * never touched.
+ */
+
+/**
+ * What the policy does with an image's metadata
+ * @typedef {"strip_all"|"strip_location"|"keep"} MetadataMode
+ */
+
+/**
+ * Metadata policy configuration
+ * @typedef {Object} MetadataPolicyConfig
+ * @property {MetadataMode} [default] - Mode for uploads no other rule covers
+ * @property {Object<string, MetadataMode>} [image_types] - Mode per image type
+ * @property {Object<string, MetadataMode>} [events] - Mode per event id
+ */
+
+/**
+ * Metadata removed from an upload
+ * @typedef {Object} MetadataReport
+ * @property {MetadataMode} policy - Mode applied
+ * @property {string[]} removed - Fields removed, e.g. `GPSLatitude`, `BodySerialNumber` or `XMP`
+ */
+
+/**
+ * Error raised when an image's metadata cannot be processed
+ */
+export class MetadataError extends Error {
+  /**
+   * @param {string} message - Reason for the failure
+   * @param {string} code - Machine-readable error code
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = "MetadataError";
+    this.code = code;
+  }
+}
+
+const MODES = new Set(["strip_all", "strip_location", "keep"]);
+
+const ORIENTATION_TAG = 0x0112;
+const EXIF_IFD_TAG = 0x8769;
+const GPS_IFD_TAG = 0x8825;
+
+// Bytes per value of each TIFF field type (index = type)
+const TYPE_SIZES = [1, 1, 1, 2, 4, 8, 1, 1, 2, 4, 8, 4, 8];
+
+// Names of common IFD0 and Exif IFD tags, for the report
+const TAG_NAMES = {
+  0x010e: "ImageDescription",
+  0x010f: "Make",
+  0x0110: "Model",
+  0x011a: "XResolution",
+  0x011b: "YResolution",
+  0x0128: "ResolutionUnit",
+  0x0131: "Software",
+  0x0132: "DateTime",
+  0x013b: "Artist",
+  0x0213: "YCbCrPositioning",
+  0x8298: "Copyright",
+  0x829a: "ExposureTime",
+  0x829d: "FNumber",
+  0x8822: "ExposureProgram",
+  0x8827: "ISOSpeedRatings",
+  0x9000: "ExifVersion",
+  0x9003: "DateTimeOriginal",
+  0x9004: "DateTimeDigitized",
+  0x9010: "OffsetTime",
+  0x9011: "OffsetTimeOriginal",
+  0x9012: "OffsetTimeDigitized",
+  0x9201: "ShutterSpeedValue",
+  0x9202: "ApertureValue",
+  0x9204: "ExposureBiasValue",
+  0x9207: "MeteringMode",
+  0x9209: "Flash",
+  0x920a: "FocalLength",
+  0x927c: "MakerNote",
+  0x9286: "UserComment",
+  0xa001: "ColorSpace",
+  0xa002: "PixelXDimension",
+  0xa003: "PixelYDimension",
+  0xa005: "InteroperabilityIFD",
+  0xa402: "ExposureMode",
+  0xa403: "WhiteBalance",
+  0xa405: "FocalLengthIn35mmFilm",
+  0xa406: "SceneCaptureType",
+  0xa420: "ImageUniqueID",
+  0xa430: "CameraOwnerName",
+  0xa431: "BodySerialNumber",
+  0xa432: "LensSpecification",
+  0xa433: "LensMake",
+  0xa434: "LensModel",
+  0xa435: "LensSerialNumber",
+};
+
+// Names of the GPS IFD tags
+const GPS_TAG_NAMES = {
+  0x00: "GPSVersionID",
+  0x01: "GPSLatitudeRef",
+  0x02: "GPSLatitude",
+  0x03: "GPSLongitudeRef",
+  0x04: "GPSLongitude",
+  0x05: "GPSAltitudeRef",
+  0x06: "GPSAltitude",
+  0x07: "GPSTimeStamp",
+  0x08: "GPSSatellites",
+  0x09: "GPSStatus",
+  0x0a: "GPSMeasureMode",
+  0x0b: "GPSDOP",
+  0x0c: "GPSSpeedRef",
+  0x0d: "GPSSpeed",
+  0x0e: "GPSTrackRef",
+  0x0f: "GPSTrack",
+  0x10: "GPSImgDirectionRef",
+  0x11: "GPSImgDirection",
+  0x12: "GPSMapDatum",
+  0x13: "GPSDestLatitudeRef",
+  0x14: "GPSDestLatitude",
+  0x15: "GPSDestLongitudeRef",
+  0x16: "GPSDestLongitude",
+  0x17: "GPSDestBearingRef",
+  0x18: "GPSDestBearing",
+  0x19: "GPSDestDistanceRef",
+  0x1a: "GPSDestDistance",
+  0x1b: "GPSProcessingMethod",
+  0x1c: "GPSAreaInformation",
+  0x1d: "GPSDateStamp",
+  0x1e: "GPSDifferential",
+  0x1f: "GPSHPositioningError",
+};
+
+const EXIF_HEADER = new Uint8Array([0x45, 0x78, 0x69, 0x66, 0, 0]); // "Exif\0\0"
+const XMP_NAMESPACES = [
+  "http://ns.adobe.com/xap/1.0/\0",
+  "http://ns.adobe.com/xmp/extension/\0",
+];
+const XMP_KEYWORD = "XML:com.adobe.xmp";
+
+// Location properties of an XMP packet
+const XMP_LOCATION_PATTERN = /exif:GPS|GPSLatitude|GPSLongitude/;
+
+// Parsed METADATA_POLICY, kept per isolate while the variable is unchanged
+let cachedPolicy = null;
+
+/**
+ * Reads an ASCII string from a byte array
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} start - Start offset
+ * @param {number} length - Number of bytes
+ * @returns {string} Decoded string
+ */
+function ascii(bytes, start, length) {
+  return String.fromCharCode(...bytes.subarray(start, start + length));
+}
+
+/**
+ * Joins byte arrays
+ * @param {Uint8Array[]} parts - Arrays to join, in order
+ * @returns {Uint8Array} Joined bytes
+ */
+function concatBytes(parts) {
+  const output = new Uint8Array(
+    parts.reduce((sum, part) => sum + part.length, 0)
+  );
+  let offset = 0;
+  for (const part of parts) {
+    output.set(part, offset);
+    offset += part.length;
+  }
+  return output;
+}
+
+/**
+ * Checks one configured mode
+ * @param {*} mode - Configured value
+ * @param {string} where - Location in the policy, for the log
+ * @returns {MetadataMode|undefined} Mode, or undefined if invalid
+ */
+function checkMode(mode, where) {
+  if (MODES.has(mode)) {
+    return mode;
+  }
+  console.error(`Ignoring invalid METADATA_POLICY mode at ${where}:`, mode);
+  return undefined;
+}
+
+/**
+ * Checks a map of configured modes
+ * @param {Object<string, *>} [rules] - Configured modes by key
+ * @param {string} where - Location in the policy, for the log
+ * @returns {Object<string, MetadataMode>} Valid modes by key
+ */
+function checkRules(rules, where) {
+  const valid = {};
+  for (const [key, mode] of Object.entries(rules || {})) {
+    const checked = checkMode(mode, `${where}.${key}`);
+    if (checked) {
+      valid[key] = checked;
+    }
+  }
+  return valid;
+}
+
+/**
+ * Reads the metadata policy from the environment, dropping invalid modes
+ * @param {Object} env - Worker environment
+ * @returns {MetadataPolicyConfig} Policy configuration
+ */
+function loadPolicy(env) {
+  const source = env.METADATA_POLICY || "";
+  if (cachedPolicy && cachedPolicy.source === source) {
+    return cachedPolicy.config;
+  }
+
+  let parsed = {};
+  if (source) {
+    try {
+      parsed = typeof source === "string" ? JSON.parse(source) : source;
+    } catch (parseError) {
+      console.error(
+        "Invalid METADATA_POLICY, metadata is kept:",
+        parseError.message
+      );
+    }
+  }
+
+  const config = {
+    default:
+      parsed.default === undefined
+        ? undefined
+        : checkMode(parsed.default, "default"),
+    image_types: checkRules(parsed.image_types, "image_types"),
+    events: checkRules(parsed.events, "events"),
+  };
+  cachedPolicy = { source, config };
+  return config;
+}
+
+/**
+ * Resolves the metadata mode for one upload
+ * @param {Object} env - Worker environment
+ * @param {string} imageType - `selfie` or `regular`
+ * @param {string|null} [eventId] - Event the upload belongs to
+ * @returns {MetadataMode} Mode to apply
+ */
+export function resolveMetadataMode(env, imageType, eventId = null) {
+  const config = loadPolicy(env);
+  return (
+    (eventId && config.events[eventId]) ||
+    config.image_types[imageType] ||
+    config.default ||
+    "keep"
+  );
+}
+
+/**
+ * Opens a TIFF (EXIF) block for reading and editing
+ * @param {Uint8Array} tiff - TIFF bytes, starting at the byte-order mark
+ * @returns {{tiff: Uint8Array, view: DataView, little: boolean}} Parsed header
+ * @throws {RangeError} If the block is not TIFF
+ */
+function openTiff(tiff) {
+  const view = new DataView(tiff.buffer, tiff.byteOffset, tiff.byteLength);
+  const byteOrder = tiff.length >= 8 ? view.getUint16(0) : 0;
+  if (byteOrder !== 0x4949 && byteOrder !== 0x4d4d) {
+    throw new RangeError("EXIF block has no TIFF header");
+  }
+  return { tiff, view, little: byteOrder === 0x4949 };
+}
+
+/**
+ * Reads an image file directory
+ * @param {{tiff: Uint8Array, view: DataView, little: boolean}} doc - Open TIFF block
+ * @param {number} offset - Offset of the directory
+ * @returns {{offset: number, entries: {tag: number, type: number, count: number, position: number}[], next: number}} Directory entries and the offset of the next directory
+ * @throws {RangeError} If the directory lies outside the block
+ */
+function readIfd({ tiff, view, little }, offset) {
+  if (offset < 8 || offset + 2 > tiff.length) {
+    throw new RangeError(`EXIF directory at ${offset} is out of bounds`);
+  }
+  const count = view.getUint16(offset, little);
+  const end = offset + 2 + count * 12;
+  if (end + 4 > tiff.length) {
+    throw new RangeError(`EXIF directory at ${offset} is truncated`);
+  }
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    const position = offset + 2 + i * 12;
+    entries.push({
+      tag: view.getUint16(position, little),
+      type: view.getUint16(position + 2, little),
+      count: view.getUint32(position + 4, little),
+      position,
+    });
+  }
+  return { offset, entries, next: view.getUint32(end, little) };
+}
+
+/**
+ * Reads the offset stored in a directory entry
+ * @param {{view: DataView, little: boolean}} doc - Open TIFF block
+ * @param {{position: number}} entry - Directory entry
+ * @returns {number} Offset from the start of the block
+ */
+function readOffset({ view, little }, entry) {
+  return view.getUint32(entry.position + 8, little);
+}
+
+/**
+ * Names a tag for the report
+ * @param {Object<number, string>} names - Known tag names
+ * @param {number} tag - Tag number
+ * @returns {string} Tag name, or its hex number when unknown
+ */
+function tagName(names, tag) {
+  return names[tag] || `Tag0x${tag.toString(16).padStart(4, "0")}`;
+}
+
+/**
+ * Lists every field of a TIFF block except its orientation
+ * @param {{tiff: Uint8Array, view: DataView, little: boolean}} doc - Open TIFF block
+ * @returns {{removed: string[], orientation: number|undefined}} Field names, and the orientation to keep
+ */
+function listTiffFields(doc) {
+  const ifd0 = readIfd(doc, doc.view.getUint32(4, doc.little));
+  const removed = [];
+  let orientation;
+
+  for (const entry of ifd0.entries) {
+    if (entry.tag === ORIENTATION_TAG) {
+      orientation = doc.view.getUint16(entry.position + 8, doc.little);
+    } else if (entry.tag === EXIF_IFD_TAG) {
+      const exif = readIfd(doc, readOffset(doc, entry));
+      removed.push(...exif.entries.map(({ tag }) => tagName(TAG_NAMES, tag)));
+    } else if (entry.tag === GPS_IFD_TAG) {
+      const gps = readIfd(doc, readOffset(doc, entry));
+      removed.push(
+        ...gps.entries.map(({ tag }) => tagName(GPS_TAG_NAMES, tag))
+      );
+    } else {
+      removed.push(tagName(TAG_NAMES, entry.tag));
+    }
+  }
+  if (ifd0.next) {
+    removed.push("Thumbnail");
+  }
+
+  return {
+    removed,
+    orientation: orientation >= 1 && orientation <= 8 ? orientation : undefined,
+  };
+}
+
+/**
+ * Removes the GPS directory of a TIFF block in place
+ *
+ * The GPS values and directory are zeroed and the pointer to them is
+ * dropped from IFD0, so no other offset in the block moves.
+ * @param {{tiff: Uint8Array, view: DataView, little: boolean}} doc - Open TIFF block
+ * @returns {string[]} Names of the removed GPS fields
+ */
+function removeGpsFields(doc) {
+  const { tiff, view, little } = doc;
+  const ifd0 = readIfd(doc, view.getUint32(4, little));
+  const index = ifd0.entries.findIndex(({ tag }) => tag === GPS_IFD_TAG);
+  if (index === -1) {
+    return [];
+  }
+
+  const gps = readIfd(doc, readOffset(doc, ifd0.entries[index]));
+  for (const entry of gps.entries) {
+    const size = (TYPE_SIZES[entry.type] || 1) * entry.count;
+    // Values of up to 4 bytes live in the entry itself
+    if (size > 4) {
+      const start = Math.min(readOffset(doc, entry), tiff.length);
+      tiff.fill(0, start, Math.min(start + size, tiff.length));
+    }
+  }
+  tiff.fill(0, gps.offset, gps.offset + 2 + gps.entries.length * 12 + 4);
+
+  // Move the later entries and the next-directory offset over the pointer
+  const pointer = ifd0.entries[index].position;
+  const ifdEnd = ifd0.offset + 2 + ifd0.entries.length * 12 + 4;
+  tiff.copyWithin(pointer, pointer + 12, ifdEnd);
+  tiff.fill(0, ifdEnd - 12, ifdEnd);
+  view.setUint16(ifd0.offset, ifd0.entries.length - 1, little);
+
+  return gps.entries.map(({ tag }) => tagName(GPS_TAG_NAMES, tag));
+}
+
+/**
+ * Builds a TIFF block holding only an orientation
+ * @param {number} orientation - EXIF orientation (2-8)
+ * @returns {Uint8Array} Little-endian TIFF block
+ */
+function createOrientationTiff(orientation) {
+  const tiff = new Uint8Array(26);
+  const view = new DataView(tiff.buffer);
+  view.setUint16(0, 0x4949);
+  view.setUint16(2, 42, true);
+  view.setUint32(4, 8, true); // IFD0 offset
+  view.setUint16(8, 1, true); // one entry
+  view.setUint16(10, ORIENTATION_TAG, true);
+  view.setUint16(12, 3, true); // SHORT
+  view.setUint32(14, 1, true);
+  view.setUint16(18, orientation, true);
+  // The next-directory offset stays zero
+  return tiff;
+}
+
+/**
+ * Applies a mode to a TIFF (EXIF) block
+ *
+ * A block that cannot be read is dropped whole, since it may hold a
+ * location that could not be found.
+ * @param {Uint8Array} block - TIFF bytes
+ * @param {MetadataMode} mode - `strip_all` or `strip_location`
+ * @returns {{tiff: Uint8Array|null, removed: string[]}} Block to keep (null to drop it) and the removed fields
+ */
+function stripTiff(block, mode) {
+  try {
+    const doc = openTiff(block.slice());
+    if (mode === "strip_location") {
+      const removed = removeGpsFields(doc);
+      return { tiff: removed.length > 0 ? doc.tiff : block, removed };
+    }
+
+    const { removed, orientation } = listTiffFields(doc);
+    return {
+      tiff:
+        orientation && orientation !== 1
+          ? createOrientationTiff(orientation)
+          : null,
+      removed,
+    };
+  } catch (parseError) {
+    console.warn("Removing unreadable EXIF block:", parseError.message);
+    return { tiff: null, removed: ["EXIF"] };
+  }
+}
+
+/**
+ * Decides whether an XMP packet is removed
+ * @param {Uint8Array} packet - XMP bytes (may be compressed)
+ * @param {MetadataMode} mode - `strip_all` or `strip_location`
+ * @param {boolean} [compressed=false] - Whether the packet cannot be searched
+ * @returns {boolean} True to remove the packet
+ */
+function shouldRemoveXmp(packet, mode, compressed = false) {
+  if (mode === "strip_all" || compressed) {
+    return true;
+  }
+  return XMP_LOCATION_PATTERN.test(new TextDecoder().decode(packet));
+}
+
+/**
+ * Builds a JPEG marker segment
+ * @param {number} marker - Marker byte
+ * @param {Uint8Array} payload - Segment contents
+ * @returns {Uint8Array} Segment with its marker and length
+ */
+function jpegSegment(marker, payload) {
+  const segment = new Uint8Array(4 + payload.length);
+  segment[0] = 0xff;
+  segment[1] = marker;
+  new DataView(segment.buffer).setUint16(2, payload.length + 2);
+  segment.set(payload, 4);
+  return segment;
+}
+
+/**
+ * Removes metadata from a JPEG
+ *
+ * Only the segments before the image data are examined; everything from
+ * the start of scan on is copied unchanged.
+ * @param {Uint8Array} bytes - File contents
+ * @param {MetadataMode} mode - `strip_all` or `strip_location`
+ * @returns {{bytes: Uint8Array, removed: string[]}} Cleaned file and the removed fields
+ */
+function stripJpeg(bytes, mode) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const parts = [bytes.subarray(0, 2)];
+  const removed = [];
+  let offset = 2;
+
+  while (offset + 4 <= bytes.length && bytes[offset] === 0xff) {
+    const marker = bytes[offset + 1];
+    if (marker === 0xd9 || marker === 0xda) {
+      break;
+    }
+    // Fill bytes and standalone markers carry no length
+    if (
+      marker === 0xff ||
+      marker === 0xd8 ||
+      (marker >= 0xd0 && marker <= 0xd7)
+    ) {
+      const size = marker === 0xff ? 1 : 2;
+      parts.push(bytes.subarray(offset, offset + size));
+      offset += size;
+      continue;
+    }
+
+    const end = Math.min(offset + 2 + view.getUint16(offset + 2), bytes.length);
+    const segment = bytes.subarray(offset, end);
+    const payload = segment.subarray(4);
+    offset = end;
+
+    if (marker === 0xe1 && ascii(payload, 0, 6) === "Exif\0\0") {
+      const result = stripTiff(payload.subarray(6), mode);
+      removed.push(...result.removed);
+      if (result.tiff) {
+        parts.push(
+          jpegSegment(marker, concatBytes([EXIF_HEADER, result.tiff]))
+        );
+      }
+      continue;
+    }
+    if (
+      marker === 0xe1 &&
+      XMP_NAMESPACES.some((ns) => ascii(payload, 0, ns.length) === ns)
+    ) {
+      if (shouldRemoveXmp(payload, mode)) {
+        removed.push("XMP");
+        continue;
+      }
+    }
+    if (
+      marker === 0xed &&
+      mode === "strip_all" &&
+      ascii(payload, 0, 14) === "Photoshop 3.0\0"
+    ) {
+      removed.push("IPTC");
+      continue;
+    }
+    parts.push(segment);
+  }
+
+  parts.push(bytes.subarray(offset));
+  return { bytes: concatBytes(parts), removed };
+}
+
+/**
+ * Builds a PNG chunk
+ * @param {string} type - Chunk type
+ * @param {Uint8Array} data - Chunk data
+ * @returns {Uint8Array} Chunk with its length and CRC
+ */
+function pngChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) {
+    chunk[4 + i] = type.charCodeAt(i);
+  }
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+}
+
+/**
+ * Recognises PNG text chunks that carry metadata
+ * @param {string} type - `tEXt`, `zTXt` or `iTXt`
+ * @param {Uint8Array} data - Chunk data
+ * @returns {{field: "XMP"|"EXIF"|"IPTC", compressed: boolean}|null} Metadata the chunk carries and whether its text cannot be searched, or null for other text
+ */
+function classifyPngText(type, data) {
+  const separator = data.indexOf(0);
+  const keyword = ascii(data, 0, separator === -1 ? data.length : separator);
+  // iTXt: keyword, NUL, compression flag, ...
+  const compressed =
+    type === "zTXt" || (type === "iTXt" && data[separator + 1] === 1);
+
+  if (keyword === XMP_KEYWORD) {
+    return { field: "XMP", compressed };
+  }
+  // ImageMagick keeps EXIF and IPTC as hex-encoded "raw profiles"
+  const profile = /^Raw profile type (exif|app1|xmp|iptc)$/i.exec(keyword);
+  if (profile) {
+    const kind = profile[1].toLowerCase();
+    return {
+      field: kind === "xmp" ? "XMP" : kind === "iptc" ? "IPTC" : "EXIF",
+      compressed: true,
+    };
+  }
+  return null;
+}
+
+/**
+ * Removes metadata from a PNG
+ * @param {Uint8Array} bytes - File contents
+ * @param {MetadataMode} mode - `strip_all` or `strip_location`
+ * @returns {{bytes: Uint8Array, removed: string[]}} Cleaned file and the removed fields
+ */
+function stripPng(bytes, mode) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const parts = [bytes.subarray(0, 8)];
+  const removed = [];
+  let offset = 8;
+
+  while (offset + 12 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const type = ascii(bytes, offset + 4, 4);
+    const end = Math.min(offset + 12 + length, bytes.length);
+    const chunk = bytes.subarray(offset, end);
+    const data = bytes.subarray(offset + 8, Math.max(end - 4, offset + 8));
+    offset = end;
+
+    if (type === "eXIf") {
+      const result = stripTiff(data, mode);
+      removed.push(...result.removed);
+      if (result.tiff) {
+        parts.push(pngChunk(type, result.tiff));
+      }
+      continue;
+    }
+    if (type === "tEXt" || type === "zTXt" || type === "iTXt") {
+      const text = classifyPngText(type, data);
+      const remove =
+        text &&
+        (text.field === "XMP"
+          ? shouldRemoveXmp(data, mode, text.compressed)
+          : mode === "strip_all" || text.field === "EXIF");
+      if (remove) {
+        removed.push(text.field);
+        continue;
+      }
+    }
+    parts.push(chunk);
+    if (type === "IEND") {
+      break;
+    }
+  }
+
+  parts.push(bytes.subarray(offset));
+  return { bytes: concatBytes(parts), removed };
+}
+
+/**
+ * Removes metadata from a WebP
+ *
+ * The VP8X feature flags and the RIFF size are updated to match the
+ * chunks that are left.
+ * @param {Uint8Array} bytes - File contents
+ * @param {MetadataMode} mode - `strip_all` or `strip_location`
+ * @returns {{bytes: Uint8Array, removed: string[]}} Cleaned file and the removed fields
+ */
+function stripWebp(bytes, mode) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunks = [];
+  const removed = [];
+  let offset = 12;
+
+  while (offset + 8 <= bytes.length) {
+    const type = ascii(bytes, offset, 4);
+    const length = view.getUint32(offset + 4, true);
+    const data = bytes.subarray(
+      offset + 8,
+      Math.min(offset + 8 + length, bytes.length)
+    );
+    offset += 8 + length + (length % 2);
+
+    if (type === "EXIF") {
+      // Some encoders keep the JPEG-style "Exif\0\0" prefix
+      const prefixed = ascii(data, 0, 4) === "Exif";
+      const result = stripTiff(prefixed ? data.subarray(6) : data, mode);
+      removed.push(...result.removed);
+      if (result.tiff) {
+        chunks.push({
+          type,
+          data: prefixed
+            ? concatBytes([EXIF_HEADER, result.tiff])
+            : result.tiff,
+        });
+      }
+      continue;
+    }
+    if (type === "XMP " && shouldRemoveXmp(data, mode)) {
+      removed.push("XMP");
+      continue;
+    }
+    chunks.push({ type, data });
+  }
+
+  const hasType = (type) => chunks.some((chunk) => chunk.type === type);
+  const parts = [];
+  for (const { type, data } of chunks) {
+    const header = new Uint8Array(8);
+    for (let i = 0; i < 4; i++) {
+      header[i] = type.charCodeAt(i);
+    }
+    new DataView(header.buffer).setUint32(4, data.length, true);
+
+    let body = data;
+    if (type === "VP8X" && data.length > 0) {
+      body = data.slice();
+      // Flags: 0x08 EXIF, 0x04 XMP
+      body[0] =
+        (body[0] & ~0x0c) |
+        (hasType("EXIF") ? 0x08 : 0) |
+        (hasType("XMP ") ? 0x04 : 0);
+    }
+    parts.push(header, body);
+    if (data.length % 2) {
+      parts.push(new Uint8Array(1));
+    }
+  }
+
+  const output = concatBytes([bytes.subarray(0, 12), ...parts]);
+  new DataView(output.buffer).setUint32(4, output.length - 8, true);
+  return { bytes: output, removed };
+}
+
+// Formats whose metadata the policy is applied to
+const STRIPPERS = {
+  "image/jpeg": stripJpeg,
+  "image/png": stripPng,
+  "image/webp": stripWebp,
+};
+
+/**
+ * Applies the metadata policy to an upload before it is hashed and stored
+ *
+ * Files the policy keeps, formats other than JPEG, PNG and WebP, and files
+ * without any of the metadata to remove are returned unchanged, so their
+ * hash stays that of the original.
+ * @param {Object} env - Worker environment
+ * @param {Uint8Array} bytes - File contents
+ * @param {Object} upload - Upload details
+ * @param {string} upload.imageType - `selfie` or `regular`
+ * @param {string|null} [upload.eventId] - Event the upload belongs to
+ * @returns {{bytes: Uint8Array, report: MetadataReport|null}} Bytes to store, and what was removed (null when the policy does not apply)
+ * @throws {MetadataError} If the file's structure cannot be rewritten
+ */
+export function applyMetadataPolicy(env, bytes, { imageType, eventId = null }) {
+  const mode = resolveMetadataMode(env, imageType, eventId);
+  const strip = STRIPPERS[detectImageType(bytes)];
+  if (mode === "keep" || !strip) {
+    return { bytes, report: null };
+  }
+
+  let result;
+  try {
+    result = strip(bytes, mode);
+  } catch (stripError) {
+    throw new MetadataError(
+      `Could not remove metadata from the image: ${stripError.message}`,
+      "metadata_unreadable"
+    );
+  }
+
+  const removed = [...new Set(result.removed)];
+  if (removed.length > 0) {
+    console.log(
+      `Metadata policy ${mode} removed ${
+        removed.length
+      } field(s): ${removed.join(", ")}`
+    );
+  }
+  return {
+    bytes: removed.length > 0 ? result.bytes : bytes,
+    report: { policy: mode, removed },
+  };
+}
+
+/**
+ * Builds the error response for an image whose metadata could not be removed
+ * @param {MetadataError} error - Error thrown by applyMetadataPolicy
+ * @returns {Response} 422 JSON error response
+ */
+export function metadataErrorResponse(error) {
+  return errorResponse(
+    422,
+    "Image metadata could not be removed",
+    error.code,
+    error.message
+  );
+}
@@ -0,0 +1,301 @@
+import { BACKEND_IMAGES_PATH, notifyBackend } from "./backend.js";
+import { setNotificationStatus } from "./records.js";
+import { getStore } from "./store.js";
+
+/**
+ * Durable outbox for backend notifications
+ *
+ * Every notification is persisted before it is sent. Failed deliveries are
+ * retried with exponential backoff and full jitter: a few times inline
+ * (inside the request's `waitUntil`), then by the cron-triggered
+ * `processOutbox`. Permanent failures (non-retryable 4xx responses, or
+ * running out of attempts) are parked in a dead-letter store that admins
+ * can list and replay.
+ */
+
+/**
+ * Persisted notification awaiting delivery
+ * @typedef {Object} OutboxEntry
+ * @property {string} id - Delivery identifier
+ * @property {string} cid - Piece CID (or batch id) the notification is about
+ * @property {string[]} [record_cids] - Upload records whose notification status follows this entry (defaults to `[cid]`)
+ * @property {string} path - Backend API path to post to
+ * @property {Object} payload - JSON body to send
+ * @property {number} attempts - Delivery attempts made so far
+ * @property {string} next_attempt_at - ISO timestamp of the next attempt
+ * @property {string} [last_error] - Reason the last attempt failed
+ * @property {number} [last_http_status] - HTTP status of the last attempt
+ * @property {string} created_at - ISO timestamp of entry creation
+ * @property {string} [dead_lettered_at] - ISO timestamp the entry was parked
+ */
+
+/**
+ * Outcome of delivering an outbox entry
+ * @typedef {Object} DeliveryResult
+ * @property {boolean} ok - Whether the backend accepted the notification
+ * @property {"sent"|"pending"|"dead_letter"} status - Where the entry ended up
+ * @property {string} delivery_id - Delivery identifier
+ * @property {number} attempts - Attempts made so far
+ * @property {number} [http_status] - HTTP status of the last attempt
+ * @property {string} [error] - Reason the last attempt failed
+ */
+
+const OUTBOX_PREFIX = "outbox:";
+const DEAD_LETTER_PREFIX = "dlq:";
+
+const DEFAULT_MAX_ATTEMPTS = 8;
+const DEFAULT_BASE_DELAY_MS = 2000;
+const DEFAULT_MAX_DELAY_MS = 60 * 60 * 1000;
+
+// Retries attempted inside the request before handing over to the cron
+const INLINE_RETRY_BUDGET_MS = 10 * 1000;
+
+/**
+ * Reads retry settings from the environment
+ * @param {Object} env - Worker environment
+ * @returns {{maxAttempts: number, baseDelayMs: number, maxDelayMs: number}} Retry settings
+ */
+function getRetryConfig(env) {
+  return {
+    maxAttempts: parseInt(env.NOTIFY_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS,
+    baseDelayMs: parseInt(env.NOTIFY_BASE_DELAY_MS) || DEFAULT_BASE_DELAY_MS,
+    maxDelayMs: parseInt(env.NOTIFY_MAX_DELAY_MS) || DEFAULT_MAX_DELAY_MS,
+  };
+}
+
+/**
+ * Computes the delay before the next attempt (exponential backoff, full jitter)
+ * @param {number} attempts - Attempts made so far
+ * @param {{baseDelayMs: number, maxDelayMs: number}} config - Retry settings
+ * @returns {number} Delay in milliseconds
+ */
+export function getBackoffDelay(attempts, config) {
+  const ceiling = Math.min(
+    config.maxDelayMs,
+    config.baseDelayMs * Math.pow(2, Math.max(0, attempts - 1))
+  );
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Checks whether a failed delivery is worth retrying
+ * @param {import("./backend.js").NotificationResult} result - Delivery outcome
+ * @returns {boolean} False for client errors other than 408 and 429
+ */
+function isRetryable(result) {
+  if (!result.http_status) {
+    return true;
+  }
+  const status = result.http_status;
+  return status >= 500 || status === 408 || status === 429;
+}
+
+/**
+ * Records a delivery outcome on every upload record the entry covers
+ * @param {Object} env - Worker environment
+ * @param {OutboxEntry} entry - Outbox entry
+ * @param {"pending"|"sent"|"failed"} status - Delivery status
+ * @param {Object} details - Delivery details
+ * @returns {Promise<void>}
+ */
+async function recordDeliveryStatus(env, entry, status, details) {
+  const cids = entry.record_cids || [entry.cid];
+  await Promise.all(
+    cids.map((cid) => setNotificationStatus(env, cid, status, details))
+  );
+}
+
+/**
+ * Persists a notification for delivery
+ * @param {Object} env - Worker environment
+ * @param {string} cid - Piece CID (or batch id) the notification is about
+ * @param {Object} payload - JSON body to send
+ * @param {string} [path] - Backend API path (defaults to the images endpoint)
+ * @param {string[]} [recordCids] - Upload records covered by the notification (defaults to `[cid]`)
+ * @returns {Promise<OutboxEntry>} Persisted entry
+ */
+export async function enqueueNotification(
+  env,
+  cid,
+  payload,
+  path = BACKEND_IMAGES_PATH,
+  recordCids
+) {
+  const now = new Date().toISOString();
+  const entry = {
+    id: crypto.randomUUID(),
+    cid,
+    path,
+    ...(recordCids && { record_cids: recordCids }),
+    payload,
+    attempts: 0,
+    next_attempt_at: now,
+    created_at: now,
+  };
+  await getStore(env).put(OUTBOX_PREFIX + entry.id, entry);
+  return entry;
+}
+
+/**
+ * Makes one delivery attempt and records the outcome
+ * @param {Object} env - Worker environment
+ * @param {OutboxEntry} entry - Entry to deliver
+ * @returns {Promise<DeliveryResult>} Delivery outcome
+ */
+export async function attemptDelivery(env, entry) {
+  const store = getStore(env);
+  const config = getRetryConfig(env);
+  const result = await notifyBackend(env, entry.payload, {
+    path: entry.path,
+    deliveryId: entry.id,
+  });
+  const attempts = entry.attempts + 1;
+  const details = {
+    delivery_id: entry.id,
+    attempts,
+    ...(result.http_status && { http_status: result.http_status }),
+    ...(result.error && { error: result.error }),
+  };
+
+  if (result.ok) {
+    await store.delete(OUTBOX_PREFIX + entry.id);
+    await recordDeliveryStatus(env, entry, "sent", details);
+    return { ok: true, status: "sent", ...details };
+  }
+
+  const failedEntry = {
+    ...entry,
+    attempts,
+    last_error: result.error || `HTTP ${result.http_status}`,
+    last_http_status: result.http_status,
+  };
+
+  if (!isRetryable(result) || attempts >= config.maxAttempts) {
+    console.error(
+      `Notification ${entry.id} for ${entry.cid} moved to dead-letter store after ${attempts} attempt(s)`
+    );
+    await store.put(`${DEAD_LETTER_PREFIX}${entry.cid}:${entry.id}`, {
+      ...failedEntry,
+      dead_lettered_at: new Date().toISOString(),
+    });
+    await store.delete(OUTBOX_PREFIX + entry.id);
+    await recordDeliveryStatus(env, entry, "failed", details);
+    return { ok: false, status: "dead_letter", ...details };
+  }
+
+  const delay = getBackoffDelay(attempts, config);
+  failedEntry.next_attempt_at = new Date(Date.now() + delay).toISOString();
+  await store.put(OUTBOX_PREFIX + entry.id, failedEntry);
+  await recordDeliveryStatus(env, entry, "pending", {
+    ...details,
+    next_attempt_at: failedEntry.next_attempt_at,
+  });
+  return { ok: false, status: "pending", ...details };
+}
+
+/**
+ * Delivers an entry, retrying inline while the backoff stays within budget
+ *
+ * Anything still undelivered afterwards is left for `processOutbox`.
+ * @param {Object} env - Worker environment
+ * @param {OutboxEntry} entry - Entry to deliver
+ * @returns {Promise<DeliveryResult>} Outcome of the last attempt
+ */
+export async function deliverWithRetries(env, entry) {
+  const startedAt = Date.now();
+  let current = entry;
+
+  while (true) {
+    const result = await attemptDelivery(env, current);
+    if (result.status !== "pending") {
+      return result;
+    }
+
+    current = await getStore(env).get(OUTBOX_PREFIX + entry.id);
+    const waitMs = Date.parse(current.next_attempt_at) - Date.now();
+    if (Date.now() - startedAt + waitMs > INLINE_RETRY_BUDGET_MS) {
+      console.warn(
+        `Notification ${entry.id} deferred until ${current.next_attempt_at}`
+      );
+      return result;
+    }
+    await new Promise((resolve) => setTimeout(resolve, Math.max(0, waitMs)));
+  }
+}
+
+/**
+ * Delivers every outbox entry that is due (run from the cron trigger)
+ * @param {Object} env - Worker environment
+ * @returns {Promise<{processed: number, sent: number}>} Summary of the run
+ */
+export async function processOutbox(env) {
+  const store = getStore(env);
+  let cursor;
+  let processed = 0;
+  let sent = 0;
+
+  do {
+    const page = await store.list(OUTBOX_PREFIX, { cursor });
+    for (const key of page.keys) {
+      const entry = await store.get(key);
+      if (!entry || Date.parse(entry.next_attempt_at) > Date.now()) {
+        continue;
+      }
+      const result = await attemptDelivery(env, entry);
+      processed++;
+      if (result.ok) sent++;
+    }
+    cursor = page.cursor;
+  } while (cursor);
+
+  if (processed > 0) {
+    console.log(`Outbox run: ${sent}/${processed} notification(s) delivered`);
+  }
+  return { processed, sent };
+}
+
+/**
+ * Lists dead-lettered notifications
+ * @param {Object} env - Worker environment
+ * @param {Object} [options] - Listing options
+ * @param {string} [options.cid] - Only entries for this piece CID
+ * @param {number} [options.limit] - Maximum entries to return
+ * @param {string} [options.cursor] - Cursor from a previous page
+ * @returns {Promise<{entries: OutboxEntry[], cursor: string|null}>} Page of entries
+ */
+export async function listDeadLetters(env, options = {}) {
+  const store = getStore(env);
+  const prefix = DEAD_LETTER_PREFIX + (options.cid ? `${options.cid}:` : "");
+  const page = await store.list(prefix, {
+    limit: options.limit,
+    cursor: options.cursor,
+  });
+  const entries = await Promise.all(page.keys.map((key) => store.get(key)));
+  return { entries: entries.filter(Boolean), cursor: page.cursor };
+}
+
+/**
+ * Moves dead-lettered notifications for a CID back to the outbox and delivers them
+ * @param {Object} env - Worker environment
+ * @param {string} cid - Piece CID
+ * @returns {Promise<DeliveryResult[]>} Outcome of each replayed delivery
+ */
+export async function replayDeadLetters(env, cid) {
+  const store = getStore(env);
+  const { entries } = await listDeadLetters(env, { cid });
+  const results = [];
+
+  for (const deadEntry of entries) {
+    const { dead_lettered_at, ...entry } = deadEntry;
+    const replayed = {
+      ...entry,
+      attempts: 0,
+      next_attempt_at: new Date().toISOString(),
+    };
+    await store.put(OUTBOX_PREFIX + entry.id, replayed);
+    await store.delete(`${DEAD_LETTER_PREFIX}${cid}:${entry.id}`);
+    results.push(await attemptDelivery(env, replayed));
+  }
+
+  return results;
+}
@@ -0,0 +1,398 @@
+import { indexUpload } from "./dedup.js";
+import { createDerivatives } from "./derivatives.js";
+import { encryptFile, isEncryptionRequired } from "./encryption.js";
+import { buildFilecoinUrl, storeOnFilecoin } from "./filecoin.js";
+import { deliverWithRetries, enqueueNotification } from "./outbox.js";
+import { getLimitSubjects, recordStoredBytes } from "./rate-limit.js";
+import { addUploadOwner, saveUploadRecord } from "./records.js";
+import { createUploadPayload, validateUploadPayload } from "./types.js";
+
+/**
+ * Post-upload steps shared by synchronous uploads and background jobs
+ */
+
+/**
+ * Upload parsed from a request and ready to be stored on Filecoin
+ * @typedef {Object} PreparedUpload
+ * @property {Uint8Array} fileBuffer - File contents
+ * @property {string} fileName - Sanitized file name
+ * @property {"stream"|"formdata"|"json"|"resumable"} uploadType - Upload mode used
+ * @property {string|null} userId - Authenticated user identifier
+ * @property {boolean} isSelfie - Whether the image is a selfie
+ * @property {number} [imageHeight] - Image height in pixels (detected, else client-supplied)
+ * @property {number} [imageWidth] - Image width in pixels (detected, else client-supplied)
+ * @property {string} [mimeType] - MIME type detected from the file header
+ * @property {number} [orientation] - EXIF orientation (1-8)
+ * @property {import("./image-info.js").ImageMismatch[]} [imageMismatches] - Client-supplied dimensions that disagreed with the image
+ * @property {import("./metadata.js").MetadataReport|null} [metadataReport] - Metadata removed before hashing, when the metadata policy applied
+ * @property {Object|null} jsonUploadData - JSON upload fields (event_id, image_url, fotoowl_image_id, name)
+ * @property {import("./storage-policy.js").StorageOptions} storageOptions - CDN and provider choices for the upload
+ * @property {string} contentHash - Hex SHA-256 of the file contents (after metadata removal)
+ */
+
+/**
+ * Result of finalizing an upload
+ * @typedef {Object} FinalizedUpload
+ * @property {Object} payload - Structured upload payload
+ * @property {Object} responseData - Body for the client response
+ * @property {Promise<import("./outbox.js").DeliveryResult|null>} notification - Resolves once inline delivery attempts settle (null when no backend is configured)
+ * @property {boolean} [isNewIdentity] - For duplicates, whether the piece arrived under a new identity
+ */
+
+/**
+ * Returns the JSON-upload fields stored alongside the payload
+ * @param {Object|null} jsonUploadData - JSON upload fields
+ * @returns {Object} Event fields, or an empty object for non-JSON uploads
+ */
+function getEventFields(jsonUploadData) {
+  if (!jsonUploadData) {
+    return {};
+  }
+  return {
+    event_id: jsonUploadData.event_id,
+    fotoowl_image_id: jsonUploadData.fotoowl_image_id,
+    original_image_url: jsonUploadData.image_url,
+  };
+}
+
+/**
+ * Builds the body sent to the backend for an upload
+ * @param {Object} backendPayload - Structured upload payload
+ * @param {Object|null} jsonUploadData - JSON upload fields
+ * @returns {Object} Notification body
+ */
+export function buildNotificationPayload(backendPayload, jsonUploadData) {
+  // For JSON uploads, send event_id to backend
+  if (!jsonUploadData) {
+    return backendPayload;
+  }
+  return {
+    ...backendPayload,
+    ...getEventFields(jsonUploadData),
+    filecoin_cid: backendPayload.cid,
+  };
+}
+
+/**
+ * Returns the image-inspection findings stored with the record and response
+ * @param {PreparedUpload} upload - Uploaded file details
+ * @returns {Object} `image_mismatches` when the client's dimensions were wrong and `metadata` when the metadata policy applied, else nothing
+ */
+function getImageFields(upload) {
+  return {
+    ...(upload.imageMismatches &&
+      upload.imageMismatches.length > 0 && {
+        image_mismatches: upload.imageMismatches,
+      }),
+    ...(upload.metadataReport && { metadata: upload.metadataReport }),
+  };
+}
+
+/**
+ * Queues the backend notification in the outbox and attempts delivery
+ * @param {Object} env - Worker environment
+ * @param {Object} backendPayload - Structured upload payload
+ * @param {Object|null} jsonUploadData - JSON upload fields
+ * @returns {Promise<import("./outbox.js").DeliveryResult|null>} Delivery outcome, or null if it could not be queued
+ */
+async function deliverNotification(env, backendPayload, jsonUploadData) {
+  try {
+    const entry = await enqueueNotification(
+      env,
+      backendPayload.cid,
+      buildNotificationPayload(backendPayload, jsonUploadData)
+    );
+    return await deliverWithRetries(env, entry);
+  } catch (outboxError) {
+    console.error("Backend notification outbox error:", outboxError.message);
+    return null;
+  }
+}
+
+/**
+ * Stores the original file on Filecoin, encrypted when ENCRYPT_UPLOADS covers it
+ * @param {Object} env - Worker environment
+ * @param {PreparedUpload} upload - Upload to store
+ * @param {boolean} encrypted - Whether the file must be encrypted
+ * @returns {Promise<{pieceCid: string, storage: import("./filecoin.js").StorageInfo, copies: import("./filecoin.js").PieceCopy[], confirmation: Promise<void>, encryption: import("./encryption.js").EncryptionInfo|null}>} Stored piece, and how it was encrypted
+ * @throws {import("./encryption.js").EncryptionError} If the file must be encrypted but no key is configured
+ * @throws {Error} If the Filecoin upload fails
+ */
+async function storeOriginal(env, upload, encrypted) {
+  if (!encrypted) {
+    const stored = await storeOnFilecoin(
+      env,
+      upload.fileBuffer,
+      upload.storageOptions
+    );
+    return { ...stored, encryption: null };
+  }
+
+  const { ciphertext, encryption } = await encryptFile(env, upload.fileBuffer);
+  const stored = await storeOnFilecoin(env, ciphertext, upload.storageOptions);
+  console.log(
+    `Stored ${upload.fileName} encrypted with key ${encryption.key_id}`
+  );
+  return { ...stored, encryption };
+}
+
+/**
+ * Stores a prepared upload on Filecoin, then its configured derivatives
+ *
+ * The original's bytes are added to the daily storage usage before the
+ * derivatives are checked against the quotas.
+ * @param {Object} env - Worker environment
+ * @param {PreparedUpload} upload - Upload to store
+ * @param {Object} [options] - Storage options
+ * @param {boolean} [options.countOriginal=true] - Whether to add the original's bytes to the storage usage (false when already counted)
+ * @returns {Promise<{pieceCid: string, storage: import("./filecoin.js").StorageInfo, copies: import("./filecoin.js").PieceCopy[], confirmation: Promise<void>, encryption: import("./encryption.js").EncryptionInfo|null, derivatives: import("./derivatives.js").Derivative[]}>} Stored piece, how it was encrypted and its derivatives
+ * @throws {import("./encryption.js").EncryptionError} If the file must be encrypted but no key is configured
+ * @throws {Error} If the Filecoin upload fails
+ */
+export async function storePreparedUpload(
+  env,
+  upload,
+  { countOriginal = true } = {}
+) {
+  const encrypted = isEncryptionRequired(env, upload.isSelfie);
+  const stored = await storeOriginal(env, upload, encrypted);
+  const subjects = getLimitSubjects(upload.userId, [
+    upload.jsonUploadData?.event_id,
+  ]);
+  if (countOriginal) {
+    await recordStoredBytes(env, subjects, upload.fileBuffer.length);
+  }
+  // Nothing is spent on derivatives of an original that failed
+  const derived = await createDerivatives(env, upload, encrypted, subjects);
+  return {
+    ...stored,
+    confirmation: Promise.all([stored.confirmation, derived.confirmation]).then(
+      () => {}
+    ),
+    derivatives: derived.derivatives,
+  };
+}
+
+/**
+ * Checks whether an existing piece may stand in for an upload
+ *
+ * A plaintext piece is not reused for an upload that must be encrypted.
+ * @param {Object} env - Worker environment
+ * @param {PreparedUpload} upload - New upload
+ * @param {import("./records.js").UploadRecord} record - Record with the same contents
+ * @returns {boolean} True if the record's piece can be reused
+ */
+export function canReusePiece(env, upload, record) {
+  return (
+    Boolean(record.encryption) || !isEncryptionRequired(env, upload.isSelfie)
+  );
+}
+
+/**
+ * Indexes an upload by content hash and FotoOwl image id (never throws)
+ * @param {Object} env - Worker environment
+ * @param {PreparedUpload} upload - Uploaded file details
+ * @param {string} pieceCid - Filecoin piece CID
+ * @returns {Promise<void>}
+ */
+async function indexForDeduplication(env, upload, pieceCid) {
+  await indexUpload(env, pieceCid, {
+    contentHash: upload.contentHash,
+    eventId: upload.jsonUploadData?.event_id,
+    fotoowlImageId: upload.jsonUploadData?.fotoowl_image_id,
+  }).catch((indexError) => {
+    console.error("Failed to index upload:", indexError.message);
+  });
+}
+
+/**
+ * Builds the payload, persists the upload record and starts the backend notification
+ * @param {Object} env - Worker environment
+ * @param {PreparedUpload} upload - Uploaded file details
+ * @param {string} pieceCid - Filecoin piece CID
+ * @param {Object} [options] - Finalization options
+ * @param {boolean} [options.notify=true] - Whether to notify the backend (batches send one aggregated notification instead)
+ * @param {import("./filecoin.js").StorageInfo} [options.storage] - Provider and data set the piece was stored with
+ * @param {import("./filecoin.js").PieceCopy[]} [options.copies] - Every copy of the piece and its outcome
+ * @param {import("./encryption.js").EncryptionInfo|null} [options.encryption] - How the piece was encrypted
+ * @param {import("./derivatives.js").Derivative[]} [options.derivatives] - Resized copies of the image
+ * @returns {Promise<FinalizedUpload>} Finalized upload
+ */
+export async function finalizeUpload(
+  env,
+  upload,
+  pieceCid,
+  { notify = true, storage, copies, encryption, derivatives } = {}
+) {
+  // Create structured payload for backend API
+  const backendPayload = createUploadPayload(
+    upload.fileName, // name
+    upload.fileBuffer.length, // size
+    pieceCid, // cid
+    buildFilecoinUrl(env, pieceCid, storage), // filecoin_url
+    upload.userId, // user_id
+    upload.isSelfie, // is_selfie
+    upload.imageHeight, // height
+    upload.imageWidth, // width
+    upload.mimeType, // mime_type
+    upload.orientation, // orientation
+    copies, // copies
+    encryption, // encryption
+    derivatives // derivatives
+  );
+
+  // Validate the payload before sending
+  const validation = validateUploadPayload(backendPayload, upload.uploadType);
+  if (!validation.valid) {
+    console.error("Payload validation failed:", validation.errors);
+    // Log validation errors but don't fail the upload
+    validation.errors.forEach((error) => {
+      console.error(
+        `- ${error.field}: ${error.message} (received: ${error.received})`
+      );
+    });
+  } else {
+    console.log("Payload validation passed");
+  }
+
+  // Persist the upload so clients can look it up by CID later
+  await saveUploadRecord(env, backendPayload, upload.uploadType, {
+    ...getEventFields(upload.jsonUploadData),
+    sha256: upload.contentHash,
+    ...getImageFields(upload),
+    ...(storage && { storage }),
+  }).catch((recordError) => {
+    console.error("Failed to save upload record:", recordError.message);
+  });
+  await indexForDeduplication(env, upload, pieceCid);
+
+  const notification =
+    env.BACKEND_API_URL && notify
+      ? deliverNotification(env, backendPayload, upload.jsonUploadData)
+      : Promise.resolve(null);
+
+  // Return success response with structured payload format
+  const responseData = {
+    success: true,
+    ...backendPayload, // Include the structured payload fields
+    ...getEventFields(upload.jsonUploadData),
+    ...getImageFields(upload),
+    ...(storage && { storage }),
+    timestamp: new Date().toISOString(),
+  };
+
+  return { payload: backendPayload, responseData, notification };
+}
+
+/**
+ * Answers an upload whose contents are already stored, without a new Filecoin upload
+ *
+ * The backend is only notified when the duplicate arrives under a new
+ * identity (another user, event or FotoOwl image), so it can link that
+ * identity to the existing piece.
+ * @param {Object} env - Worker environment
+ * @param {PreparedUpload} upload - Uploaded file details
+ * @param {import("./records.js").UploadRecord} record - Existing upload record
+ * @param {Object} [options] - Finalization options
+ * @param {boolean} [options.notify=true] - Whether to notify the backend
+ * @returns {Promise<FinalizedUpload>} Finalized duplicate
+ */
+export async function finalizeDuplicate(
+  env,
+  upload,
+  record,
+  { notify = true } = {}
+) {
+  console.log(`Duplicate upload detected, reusing piece ${record.cid}`);
+
+  const backendPayload = createUploadPayload(
+    upload.fileName, // name
+    upload.fileBuffer.length, // size
+    record.cid, // cid
+    record.filecoin_url, // filecoin_url
+    upload.userId, // user_id
+    upload.isSelfie, // is_selfie
+    upload.imageHeight, // height
+    upload.imageWidth, // width
+    upload.mimeType, // mime_type
+    upload.orientation, // orientation
+    record.copies, // copies
+    record.encryption, // encryption
+    record.derivatives // derivatives
+  );
+  const eventFields = getEventFields(upload.jsonUploadData);
+
+  const isSameIdentity =
+    (record.user_id || null) === (backendPayload.user_id || null) &&
+    record.event_id === eventFields.event_id &&
+    record.fotoowl_image_id === eventFields.fotoowl_image_id;
+
+  await indexForDeduplication(env, upload, record.cid);
+  // Lets the new uploader read the record through /uploads/:cid
+  if (upload.userId && upload.userId !== record.user_id) {
+    await addUploadOwner(env, record.cid, upload.userId);
+  }
+
+  const notification =
+    env.BACKEND_API_URL && notify && !isSameIdentity
+      ? deliverNotification(
+          env,
+          { ...backendPayload, deduplicated: true },
+          upload.jsonUploadData
+        )
+      : Promise.resolve(null);
+
+  const responseData = {
+    success: true,
+    ...backendPayload,
+    ...eventFields,
+    ...getImageFields(upload),
+    deduplicated: true,
+    timestamp: new Date().toISOString(),
+  };
+
+  return {
+    payload: backendPayload,
+    responseData,
+    notification,
+    isNewIdentity: !isSameIdentity,
+  };
+}
+
+/**
+ * Links a JSON upload to the stored record of its FotoOwl image
+ *
+ * Applies the same piece reuse and ownership rules as `finalizeDuplicate`.
+ * @param {Object} env - Worker environment
+ * @param {{userId: string|null, isSelfie: boolean}} upload - New upload
+ * @param {import("./records.js").UploadRecord} record - Record stored for the same FotoOwl image
+ * @returns {Promise<boolean>} False if the piece cannot be reused and the image must be uploaded again
+ */
+export async function reuseImageRecord(env, upload, record) {
+  if (!canReusePiece(env, upload, record)) {
+    return false;
+  }
+  if (upload.userId && upload.userId !== record.user_id) {
+    await addUploadOwner(env, record.cid, upload.userId);
+  }
+  return true;
+}
+
+/**
+ * Builds the response for a JSON upload whose FotoOwl image is already stored
+ *
+ * The record may belong to another user, so only the piece is described.
+ * @param {import("./records.js").UploadRecord} record - Existing upload record
+ * @returns {Object} Body for the client response
+ */
+export function buildDuplicateImageResponse(record) {
+  return {
+    success: true,
+    cid: record.cid,
+    filecoin_url: record.filecoin_url,
+    name: record.name,
+    size: record.size,
+    deduplicated: true,
+    timestamp: new Date().toISOString(),
+  };
+}
@@ -0,0 +1,340 @@
+import { jsonResponse } from "./http.js";
+import { getStore } from "./store.js";
+
+/**
+ * Per-user and per-event rate limits and storage quotas
+ *
+ * Two limits apply to every user and every event:
+ * - requests per minute, counted in fixed one-minute windows
+ * - bytes stored on Filecoin per UTC day (duplicates are free)
+ *
+ * Counters live in the worker store (KV, or memory under `wrangler dev`).
+ * KV has no atomic increment, so concurrent requests may overshoot a limit
+ * slightly; the limits protect the wallet from floods, not single bytes.
+ * Defaults come from the environment and can be overridden per user or
+ * event through the admin API.
+ */
+
+/**
+ * Limits applied to one user or event (null means unlimited)
+ * @typedef {Object} Limits
+ * @property {number|null} requests_per_minute - Upload requests per minute
+ * @property {number|null} bytes_per_day - Bytes stored per UTC day
+ */
+
+/**
+ * User or event a limit applies to
+ * @typedef {Object} LimitSubject
+ * @property {"user"|"event"} scope - Kind of subject
+ * @property {string} id - User or event identifier
+ */
+
+/**
+ * Request refused by a limit
+ * @typedef {Object} LimitRejection
+ * @property {string} code - `rate_limit_exceeded` or `storage_quota_exceeded`
+ * @property {string} message - Human-readable reason
+ * @property {LimitSubject} subject - Subject whose limit was hit
+ * @property {number} limit - Limit that applies
+ * @property {number} used - Usage counted so far
+ * @property {number} retryAfter - Seconds until the limit resets
+ */
+
+/**
+ * Scopes limits can be set for
+ */
+export const LIMIT_SCOPES = ["user", "event"];
+
+const LIMITS_PREFIX = "limits:";
+const REQUESTS_PREFIX = "usage:requests:";
+const BYTES_PREFIX = "usage:bytes:";
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+const DEFAULT_LIMITS = {
+  user: { requests_per_minute: 60, bytes_per_day: 5 * 1024 ** 3 },
+  event: { requests_per_minute: 600, bytes_per_day: 50 * 1024 ** 3 },
+};
+
+/**
+ * Parses a configured limit
+ * @param {string|number|undefined} value - Configured value
+ * @param {number|null} fallback - Value used when nothing is configured
+ * @returns {number|null} Limit, or null for unlimited (`0`)
+ */
+function parseLimit(value, fallback) {
+  if (value === undefined || value === null || value === "") {
+    return fallback;
+  }
+  const parsed = parseInt(value);
+  if (!Number.isFinite(parsed) || parsed < 0) {
+    return fallback;
+  }
+  return parsed === 0 ? null : parsed;
+}
+
+/**
+ * Builds a store key for a subject
+ * @param {string} prefix - Key prefix
+ * @param {LimitSubject} subject - User or event
+ * @param {string} [window] - Counter window
+ * @returns {string} Store key
+ */
+function subjectKey(prefix, subject, window) {
+  const key = `${prefix}${subject.scope}:${encodeURIComponent(subject.id)}`;
+  return window ? `${key}:${window}` : key;
+}
+
+/**
+ * Reads the default limits for a scope from the environment
+ * @param {Object} env - Worker environment
+ * @param {"user"|"event"} scope - Kind of subject
+ * @returns {Limits} Default limits
+ */
+function getDefaultLimits(env, scope) {
+  const prefix = scope === "user" ? "USER" : "EVENT";
+  return {
+    requests_per_minute: parseLimit(
+      env[`${prefix}_REQUESTS_PER_MINUTE`],
+      DEFAULT_LIMITS[scope].requests_per_minute
+    ),
+    bytes_per_day: parseLimit(
+      env[`${prefix}_BYTES_PER_DAY`],
+      DEFAULT_LIMITS[scope].bytes_per_day
+    ),
+  };
+}
+
+/**
+ * Returns the limits for a subject, including admin overrides
+ * @param {Object} env - Worker environment
+ * @param {LimitSubject} subject - User or event
+ * @returns {Promise<Limits & {overridden: boolean}>} Effective limits
+ */
+export async function getLimits(env, subject) {
+  const defaults = getDefaultLimits(env, subject.scope);
+  const override = await getStore(env).get(subjectKey(LIMITS_PREFIX, subject));
+  if (!override) {
+    return { ...defaults, overridden: false };
+  }
+  return { ...defaults, ...override, overridden: true };
+}
+
+/**
+ * Overrides the limits of a subject
+ *
+ * Limits left out keep their current override, if any.
+ * @param {Object} env - Worker environment
+ * @param {LimitSubject} subject - User or event
+ * @param {Partial<Limits>|null} limits - Limits to change (`null` values mean unlimited); `null` restores the defaults
+ * @returns {Promise<Limits & {overridden: boolean}>} Effective limits
+ */
+export async function setLimits(env, subject, limits) {
+  const store = getStore(env);
+  const key = subjectKey(LIMITS_PREFIX, subject);
+  if (limits === null) {
+    await store.delete(key);
+  } else {
+    const current = await store.get(key);
+    await store.put(key, { ...current, ...limits });
+  }
+  return getLimits(env, subject);
+}
+
+/**
+ * Returns the current one-minute window and the seconds until it ends
+ * @returns {{window: string, resetSeconds: number}} Current window
+ */
+function currentMinute() {
+  const now = Date.now();
+  return {
+    window: String(Math.floor(now / 60000)),
+    resetSeconds: Math.max(1, Math.ceil((60000 - (now % 60000)) / 1000)),
+  };
+}
+
+/**
+ * Returns the current UTC day and the seconds until it ends
+ * @returns {{window: string, resetSeconds: number}} Current window
+ */
+function currentDay() {
+  const now = new Date();
+  const midnight = Date.UTC(
+    now.getUTCFullYear(),
+    now.getUTCMonth(),
+    now.getUTCDate() + 1
+  );
+  return {
+    window: now.toISOString().slice(0, 10),
+    resetSeconds: Math.max(1, Math.ceil((midnight - now.getTime()) / 1000)),
+  };
+}
+
+/**
+ * Lists the subjects an upload counts against
+ * @param {string|null} userId - Uploading user
+ * @param {(string|null|undefined)[]} [eventIds] - Events the upload belongs to
+ * @returns {LimitSubject[]} Distinct subjects
+ */
+export function getLimitSubjects(userId, eventIds = []) {
+  const subjects = userId ? [{ scope: "user", id: userId }] : [];
+  for (const eventId of new Set(eventIds.filter(Boolean))) {
+    subjects.push({ scope: "event", id: String(eventId) });
+  }
+  return subjects;
+}
+
+/**
+ * Counts an upload request and checks the per-minute limits
+ *
+ * Refused requests are not counted, so a client that backs off for
+ * `Retry-After` seconds always gets through.
+ * @param {Object} env - Worker environment
+ * @param {LimitSubject[]} subjects - Users and events the request counts against
+ * @returns {Promise<LimitRejection|null>} Rejection, or null if allowed
+ */
+export async function checkRequestRate(env, subjects) {
+  const store = getStore(env);
+  const { window, resetSeconds } = currentMinute();
+  const counted = [];
+
+  for (const subject of subjects) {
+    const { requests_per_minute: limit } = await getLimits(env, subject);
+    const key = subjectKey(REQUESTS_PREFIX, subject, window);
+    const used = (await store.get(key)) || 0;
+    if (limit !== null && used >= limit) {
+      return {
+        code: "rate_limit_exceeded",
+        message: `Too many upload requests for ${subject.scope} ${subject.id} (limit ${limit} per minute)`,
+        subject,
+        limit,
+        used,
+        retryAfter: resetSeconds,
+      };
+    }
+    counted.push({ key, used });
+  }
+
+  // KV throttles rapid writes to one key; a lost count must not fail the upload
+  await Promise.all(
+    counted.map(({ key, used }) =>
+      store.put(key, used + 1, { expirationTtl: 120 })
+    )
+  ).catch((storeError) => {
+    console.error("Failed to count upload request:", storeError.message);
+  });
+  return null;
+}
+
+/**
+ * Checks that storing `bytes` more stays within the daily quotas
+ * @param {Object} env - Worker environment
+ * @param {LimitSubject[]} subjects - Users and events the upload counts against
+ * @param {number} bytes - Size of the file about to be stored
+ * @returns {Promise<LimitRejection|null>} Rejection, or null if allowed
+ */
+export async function checkStorageQuota(env, subjects, bytes) {
+  const store = getStore(env);
+  const { window, resetSeconds } = currentDay();
+
+  for (const subject of subjects) {
+    const { bytes_per_day: limit } = await getLimits(env, subject);
+    if (limit === null) {
+      continue;
+    }
+    const used =
+      (await store.get(subjectKey(BYTES_PREFIX, subject, window))) || 0;
+    if (used + bytes > limit) {
+      return {
+        code: "storage_quota_exceeded",
+        message: `Daily storage quota of ${subject.scope} ${subject.id} exceeded (${used} of ${limit} bytes used, ${bytes} more requested)`,
+        subject,
+        limit,
+        used,
+        retryAfter: resetSeconds,
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Adds stored bytes to the daily usage (never throws)
+ * @param {Object} env - Worker environment
+ * @param {LimitSubject[]} subjects - Users and events the upload counts against
+ * @param {number} bytes - Size of the stored file
+ * @returns {Promise<void>}
+ */
+export async function recordStoredBytes(env, subjects, bytes) {
+  const store = getStore(env);
+  const { window } = currentDay();
+  try {
+    await Promise.all(
+      subjects.map(async (subject) => {
+        const key = subjectKey(BYTES_PREFIX, subject, window);
+        const used = (await store.get(key)) || 0;
+        await store.put(key, used + bytes, { expirationTtl: 2 * DAY_SECONDS });
+      })
+    );
+  } catch (storeError) {
+    console.error("Failed to record storage usage:", storeError.message);
+  }
+}
+
+/**
+ * Reports the current usage and limits of a subject
+ * @param {Object} env - Worker environment
+ * @param {LimitSubject} subject - User or event
+ * @returns {Promise<Object>} Usage report
+ */
+export async function getUsage(env, subject) {
+  const store = getStore(env);
+  const minute = currentMinute();
+  const day = currentDay();
+  const { overridden, ...limits } = await getLimits(env, subject);
+
+  return {
+    scope: subject.scope,
+    id: subject.id,
+    limits,
+    overridden,
+    usage: {
+      requests_this_minute:
+        (await store.get(
+          subjectKey(REQUESTS_PREFIX, subject, minute.window)
+        )) || 0,
+      bytes_today:
+        (await store.get(subjectKey(BYTES_PREFIX, subject, day.window))) || 0,
+    },
+    resets: {
+      requests_in_seconds: minute.resetSeconds,
+      bytes_in_seconds: day.resetSeconds,
+    },
+  };
+}
+
+/**
+ * Builds the 429 response for a refused request
+ * @param {LimitRejection} rejection - Rejection returned by a check
+ * @returns {Response} JSON error response with `Retry-After`
+ */
+export function limitExceededResponse(rejection) {
+  console.warn(`Limit exceeded: ${rejection.message}`);
+  return jsonResponse(
+    {
+      error:
+        rejection.code === "rate_limit_exceeded"
+          ? "Rate limit exceeded"
+          : "Storage quota exceeded",
+      code: rejection.code,
+      message: rejection.message,
+      scope: rejection.subject.scope,
+      id: rejection.subject.id,
+      limit: rejection.limit,
+      used: rejection.used,
+      retry_after: rejection.retryAfter,
+    },
+    429,
+    { "Retry-After": String(rejection.retryAfter) }
+  );
+}
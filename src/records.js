@@ -0,0 +1,160 @@
+import { canAccessRecord } from "./auth.js";
+import { getStore } from "./store.js";
+
+/**
+ * Persistence for upload records, keyed by piece CID
+ */
+
+/**
+ * Backend notification status stored with each upload record
+ * @typedef {Object} NotificationStatus
+ * @property {"pending"|"sent"|"failed"|"skipped"} status - Delivery status
+ * @property {number} [http_status] - Last HTTP status returned by the backend
+ * @property {string} [error] - Last delivery error
+ * @property {string} [delivery_id] - Outbox delivery identifier
+ * @property {number} [attempts] - Delivery attempts made so far
+ * @property {string} [next_attempt_at] - ISO timestamp of the next retry (pending only)
+ * @property {string} [updated_at] - ISO timestamp of the last status change
+ */
+
+/**
+ * Upload record persisted after every successful upload
+ * @typedef {Object} UploadRecord
+ * @property {string} name - File name
+ * @property {number} size - File size in bytes
+ * @property {string} cid - Filecoin piece CID
+ * @property {string} filecoin_url - CDN URL for accessing the file
+ * @property {string} [user_id] - User identifier
+ * @property {boolean} is_selfie - Whether the image is a selfie
+ * @property {number} [height] - Image height in pixels
+ * @property {number} [width] - Image width in pixels
+ * @property {string} [mime_type] - MIME type detected from the file contents
+ * @property {number} [orientation] - EXIF orientation (1-8)
+ * @property {import("./image-info.js").ImageMismatch[]} [image_mismatches] - Client-supplied dimensions that disagreed with the image
+ * @property {import("./metadata.js").MetadataReport} [metadata] - Metadata removed before the file was hashed and stored
+ * @property {"stream"|"formdata"|"json"|"resumable"|"archive"} upload_type - Upload mode used (`archive` for event archives)
+ * @property {string} [event_id] - Event identifier (JSON uploads)
+ * @property {string} [fotoowl_image_id] - FotoOwl image identifier (JSON uploads)
+ * @property {string} [original_image_url] - Source image URL (JSON uploads)
+ * @property {string} [sha256] - Hex SHA-256 of the contents
+ * @property {import("./filecoin.js").StorageInfo} [storage] - Provider and data set holding the piece
+ * @property {NotificationStatus} notification - Backend notification status
+ * @property {string} created_at - ISO timestamp of record creation
+ * @property {string} updated_at - ISO timestamp of the last update
+ */
+
+const RECORD_PREFIX = "upload:";
+const OWNER_PREFIX = "upload-owner:";
+
+/**
+ * Saves an upload record
+ * @param {Object} env - Worker environment
+ * @param {Object} payload - Upload payload fields (see createUploadPayload)
+ * @param {string} uploadType - Type of upload: 'json', 'stream', or 'formdata'
+ * @param {Object} [extra] - Additional fields (e.g. JSON upload data)
+ * @returns {Promise<UploadRecord>} Saved record
+ */
+export async function saveUploadRecord(env, payload, uploadType, extra = {}) {
+  const now = new Date().toISOString();
+  const record = {
+    ...payload,
+    ...extra,
+    upload_type: uploadType,
+    notification: {
+      status: env.BACKEND_API_URL ? "pending" : "skipped",
+      updated_at: now,
+    },
+    created_at: now,
+    updated_at: now,
+  };
+  await getStore(env).put(RECORD_PREFIX + record.cid, record);
+  return record;
+}
+
+/**
+ * Looks up an upload record by piece CID
+ * @param {Object} env - Worker environment
+ * @param {string} cid - Filecoin piece CID
+ * @returns {Promise<UploadRecord|null>} Record, or null if unknown
+ */
+export async function getUploadRecord(env, cid) {
+  return getStore(env).get(RECORD_PREFIX + cid);
+}
+
+/**
+ * Records that a user uploaded a piece first stored by someone else
+ * @param {Object} env - Worker environment
+ * @param {string} cid - Filecoin piece CID
+ * @param {string} userId - User who uploaded the same contents
+ * @returns {Promise<void>}
+ */
+export async function addUploadOwner(env, cid, userId) {
+  await getStore(env).put(`${OWNER_PREFIX}${cid}:${userId}`, {
+    cid,
+    user_id: userId,
+    created_at: new Date().toISOString(),
+  });
+}
+
+/**
+ * Checks whether an authenticated caller may read an upload record
+ *
+ * Besides the record's own user, every user whose upload was deduplicated
+ * against the piece may read it.
+ * @param {Object} env - Worker environment
+ * @param {import("./auth.js").AuthResult} auth - Successful authentication result
+ * @param {UploadRecord} record - Upload record
+ * @returns {Promise<boolean>} True if the caller may read the record
+ */
+export async function canAccessUpload(env, auth, record) {
+  if (canAccessRecord(auth, record)) {
+    return true;
+  }
+  if (!auth.userId) {
+    return false;
+  }
+  const owner = await getStore(env).get(
+    `${OWNER_PREFIX}${record.cid}:${auth.userId}`
+  );
+  return Boolean(owner);
+}
+
+/**
+ * Merges changes into an existing upload record
+ * @param {Object} env - Worker environment
+ * @param {string} cid - Filecoin piece CID
+ * @param {Object} changes - Fields to update
+ * @returns {Promise<UploadRecord|null>} Updated record, or null if unknown
+ */
+export async function updateUploadRecord(env, cid, changes) {
+  const store = getStore(env);
+  const record = await store.get(RECORD_PREFIX + cid);
+  if (!record) {
+    return null;
+  }
+  const updated = {
+    ...record,
+    ...changes,
+    updated_at: new Date().toISOString(),
+  };
+  await store.put(RECORD_PREFIX + cid, updated);
+  return updated;
+}
+
+/**
+ * Records the outcome of a backend notification
+ * @param {Object} env - Worker environment
+ * @param {string} cid - Filecoin piece CID
+ * @param {"pending"|"sent"|"failed"|"skipped"} status - Delivery status
+ * @param {Object} [details] - Extra details (http_status, error)
+ * @returns {Promise<UploadRecord|null>} Updated record, or null if unknown
+ */
+export async function setNotificationStatus(env, cid, status, details = {}) {
+  return updateUploadRecord(env, cid, {
+    notification: {
+      status,
+      ...details,
+      updated_at: new Date().toISOString(),
+    },
+  });
+}
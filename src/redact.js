@@ -0,0 +1,148 @@
+/**
+ * Redaction of secrets and credential-bearing URLs in worker logs
+ */
+
+/**
+ * Environment variables whose values must never be logged
+ */
+export const SECRET_ENV_KEYS = [
+  "FILECOIN_PRIVATE_KEY",
+  "BACKEND_API_KEY",
+  "BACKEND_WEBHOOK_SECRET",
+  "AUTH_JWT_SECRET",
+  "SERVICE_API_KEY",
+  "ADMIN_API_KEY",
+  "ENCRYPTION_KEY",
+  "ENCRYPTION_PREVIOUS_KEYS",
+];
+
+// Secrets holding a JSON object of keys, each of which may be logged alone
+const SECRET_JSON_ENV_KEYS = ["ENCRYPTION_PREVIOUS_KEYS"];
+
+const REDACTED = "[REDACTED]";
+
+// Object keys and URL query parameters treated as credentials
+const SENSITIVE_NAME_PATTERN =
+  /^(authorization|password|passwd|secret|token|access_token|refresh_token|id_token|api_key|apikey|key|sig|signature|x-amz-signature|x-amz-credential|x-amz-security-token|x-goog-signature|private_key|privatekey|wrapped_key)$/i;
+
+const URL_PATTERN = /https?:\/\/[^\s"'<>]+/g;
+
+// Secret values known to the current isolate, set by installLogRedaction
+let secretValues = [];
+
+/**
+ * Collects the secret values configured in the environment
+ * @param {Object} env - Worker environment
+ * @returns {string[]} Secret values, longest first
+ */
+function collectSecrets(env) {
+  const nested = SECRET_JSON_ENV_KEYS.flatMap((key) => {
+    try {
+      const parsed = JSON.parse(env[key] || "{}");
+      return parsed && typeof parsed === "object" ? Object.values(parsed) : [];
+    } catch (parseError) {
+      return [];
+    }
+  });
+  return [...SECRET_ENV_KEYS.map((key) => env[key]), ...nested]
+    .filter((value) => typeof value === "string" && value.length >= 4)
+    .sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Redacts credentials embedded in a single URL (userinfo and sensitive query params)
+ * @param {string} rawUrl - URL to redact
+ * @returns {string} Redacted URL
+ */
+export function redactUrl(rawUrl) {
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch (parseError) {
+    return rawUrl;
+  }
+
+  let changed = false;
+  if (url.username || url.password) {
+    url.username = REDACTED;
+    url.password = "";
+    changed = true;
+  }
+  for (const name of [...url.searchParams.keys()]) {
+    if (SENSITIVE_NAME_PATTERN.test(name)) {
+      url.searchParams.set(name, REDACTED);
+      changed = true;
+    }
+  }
+  return changed ? url.toString() : rawUrl;
+}
+
+/**
+ * Redacts secret values and credential-bearing URLs from a string
+ * @param {string} text - Text to redact
+ * @param {string[]} [secrets] - Secret values (defaults to the installed ones)
+ * @returns {string} Redacted text
+ */
+export function redactString(text, secrets = secretValues) {
+  let result = text;
+  for (const secret of secrets) {
+    result = result.split(secret).join(REDACTED);
+  }
+  return result.replace(URL_PATTERN, (match) => redactUrl(match));
+}
+
+/**
+ * Deeply redacts a value for logging
+ * @param {*} value - Value to redact
+ * @param {string[]} [secrets] - Secret values (defaults to the installed ones)
+ * @param {number} [depth] - Current recursion depth
+ * @returns {*} Redacted copy of the value
+ */
+export function redactValue(value, secrets = secretValues, depth = 0) {
+  if (typeof value === "string") {
+    return redactString(value, secrets);
+  }
+  if (value instanceof Error) {
+    return redactString(value.stack || value.message, secrets);
+  }
+  if (!value || typeof value !== "object" || depth > 5) {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redactValue(item, secrets, depth + 1));
+  }
+  if (value instanceof Uint8Array || value instanceof ArrayBuffer) {
+    return value;
+  }
+
+  const redacted = {};
+  for (const [key, item] of Object.entries(value)) {
+    redacted[key] = SENSITIVE_NAME_PATTERN.test(key)
+      ? REDACTED
+      : redactValue(item, secrets, depth + 1);
+  }
+  return redacted;
+}
+
+let consoleWrapped = false;
+
+/**
+ * Makes every console method redact its arguments
+ *
+ * Safe to call on every request: the console is wrapped once per isolate
+ * and the list of secrets is refreshed from `env` on each call.
+ * @param {Object} env - Worker environment
+ */
+export function installLogRedaction(env) {
+  secretValues = collectSecrets(env);
+  if (consoleWrapped) {
+    return;
+  }
+  consoleWrapped = true;
+
+  for (const method of ["log", "info", "warn", "error", "debug"]) {
+    const original = console[method].bind(console);
+    console[method] = (...args) =>
+      original(...args.map((arg) => redactValue(arg)));
+  }
+}
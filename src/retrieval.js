@@ -0,0 +1,113 @@
+import { calculate } from "@filoz/synapse-sdk/piece";
+import { readStreamWithLimit, parseDeclaredSize } from "./body.js";
+
+/**
+ * Downloads of stored pieces from their providers
+ *
+ * A piece can be fetched from the CDN or provider of every copy that was
+ * stored, and from the record's `filecoin_url`. They are tried in that
+ * order until one returns bytes that hash to the piece CID, so a provider
+ * serving truncated or altered data is skipped rather than trusted.
+ */
+
+// Longest wait for one retrieval URL to answer
+const RETRIEVAL_TIMEOUT_MS = 30 * 1000;
+
+/**
+ * Error raised when a piece cannot be downloaded from any location
+ */
+export class RetrievalError extends Error {
+  /**
+   * @param {string} message - Reason for the failure
+   * @param {string} code - Machine-readable error code
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = "RetrievalError";
+    this.code = code;
+  }
+}
+
+/**
+ * Lists the URLs a stored piece can be downloaded from, CDN first
+ * @param {import("./records.js").UploadRecord} record - Upload record
+ * @returns {string[]} Distinct retrieval URLs
+ */
+export function getRetrievalUrls(record) {
+  const copies = record.copies || (record.storage ? [record.storage] : []);
+  const stored = copies.filter((copy) => copy.status !== "failed");
+  const urls = [
+    ...stored.map((copy) => copy.retrieval_urls?.cdn),
+    ...stored.map((copy) => copy.retrieval_urls?.provider),
+    record.filecoin_url,
+  ];
+  return [...new Set(urls.filter(Boolean))];
+}
+
+/**
+ * Returns the size of the stored piece, which is larger than the file when it was encrypted
+ * @param {import("./records.js").UploadRecord} record - Upload record
+ * @returns {number} Piece size in bytes
+ */
+export function getPieceSize(record) {
+  return record.encryption?.ciphertext_size ?? record.size;
+}
+
+/**
+ * Checks that downloaded bytes are the piece they claim to be
+ * @param {Uint8Array} bytes - Downloaded bytes
+ * @param {string} cid - Expected piece CID
+ * @returns {boolean} True if the bytes hash to the CID
+ */
+function matchesPieceCid(bytes, cid) {
+  return calculate(bytes).toString() === cid;
+}
+
+/**
+ * Downloads a stored piece and verifies it against its CID
+ *
+ * Fails with `piece_unavailable` while no location serves the piece yet,
+ * and with `piece_verification_failed` when locations answered but none
+ * returned the right bytes.
+ * @param {import("./records.js").UploadRecord} record - Upload record
+ * @param {number} maxBytes - Largest piece to accept
+ * @returns {Promise<Uint8Array>} Piece contents
+ * @throws {RetrievalError} If no location returned the piece
+ */
+export async function downloadPiece(record, maxBytes) {
+  const failures = [];
+  let mismatched = false;
+
+  for (const url of getRetrievalUrls(record)) {
+    try {
+      const response = await fetch(url, {
+        signal: AbortSignal.timeout(RETRIEVAL_TIMEOUT_MS),
+      });
+      if (!response.ok) {
+        await response.body?.cancel().catch(() => {});
+        failures.push(`${new URL(url).host}: HTTP ${response.status}`);
+        continue;
+      }
+      const bytes = await readStreamWithLimit(
+        response.body,
+        maxBytes,
+        parseDeclaredSize(response.headers.get("content-length"))
+      );
+      if (!matchesPieceCid(bytes, record.cid)) {
+        mismatched = true;
+        failures.push(`${new URL(url).host}: bytes do not match the piece CID`);
+        continue;
+      }
+      return bytes;
+    } catch (fetchError) {
+      failures.push(`${new URL(url).host}: ${fetchError.message}`);
+    }
+  }
+
+  throw new RetrievalError(
+    `Piece ${record.cid} could not be retrieved (${
+      failures.join("; ") || "no retrieval URL"
+    })`,
+    mismatched ? "piece_verification_failed" : "piece_unavailable"
+  );
+}
@@ -0,0 +1,133 @@
+import { errorResponse } from "./http.js";
+
+/**
+ * Minimal path-based router for the worker
+ *
+ * Patterns are matched segment by segment; `:name` segments capture the
+ * (URL-decoded) value into the params object passed to the handler.
+ */
+
+/**
+ * Route handler signature
+ * @callback RouteHandler
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ * @param {Object} ctx - Execution context
+ * @param {Object<string, string>} params - Captured path parameters
+ * @returns {Promise<Response>|Response} Response
+ */
+
+/**
+ * Matches a path against a route pattern
+ * @param {string[]} patternSegments - Pattern split into segments
+ * @param {string[]} pathSegments - Request path split into segments
+ * @returns {Object<string, string>|null} Captured params, or null on mismatch
+ */
+function matchSegments(patternSegments, pathSegments) {
+  if (patternSegments.length !== pathSegments.length) {
+    return null;
+  }
+  const params = {};
+  for (let i = 0; i < patternSegments.length; i++) {
+    const patternSegment = patternSegments[i];
+    if (patternSegment.startsWith(":")) {
+      params[patternSegment.slice(1)] = decodeURIComponent(pathSegments[i]);
+    } else if (patternSegment !== pathSegments[i]) {
+      return null;
+    }
+  }
+  return params;
+}
+
+/**
+ * Splits a path into non-empty segments
+ * @param {string} path - URL path
+ * @returns {string[]} Path segments
+ */
+function splitPath(path) {
+  return path.split("/").filter(Boolean);
+}
+
+/**
+ * Creates a router
+ * @returns {Object} Router with chainable `get`, `post`, `put`, `delete` and `handle`
+ */
+export function createRouter() {
+  const routes = [];
+
+  const add = (method, pattern, handler) => {
+    routes.push({ method, segments: splitPath(pattern), handler });
+    return router;
+  };
+
+  const router = {
+    get: (pattern, handler) => add("GET", pattern, handler),
+    post: (pattern, handler) => add("POST", pattern, handler),
+    put: (pattern, handler) => add("PUT", pattern, handler),
+    delete: (pattern, handler) => add("DELETE", pattern, handler),
+
+    /**
+     * Dispatches a request to the first matching route
+     * @param {Request} request - Incoming request
+     * @param {Object} env - Worker environment
+     * @param {Object} ctx - Execution context
+     * @returns {Promise<Response>} Response
+     */
+    async handle(request, env, ctx) {
+      const pathSegments = splitPath(new URL(request.url).pathname);
+      const allowedMethods = new Set();
+
+      for (const route of routes) {
+        let params;
+        try {
+          params = matchSegments(route.segments, pathSegments);
+        } catch (decodeError) {
+          // Malformed percent-encoding in a path parameter
+          return errorResponse(
+            400,
+            "Invalid path",
+            "invalid_path",
+            decodeError.message
+          );
+        }
+        if (!params) continue;
+
+        // HEAD is served by GET routes
+        const method = request.method === "HEAD" ? "GET" : request.method;
+        if (route.method === method) {
+          try {
+            return await route.handler(request, env, ctx, params);
+          } catch (handlerError) {
+            console.error("Unhandled route error:", handlerError.message);
+            return errorResponse(
+              500,
+              "Internal server error",
+              "internal_error",
+              handlerError.message
+            );
+          }
+        }
+        allowedMethods.add(route.method);
+      }
+
+      if (allowedMethods.size > 0) {
+        return errorResponse(
+          405,
+          "Method not allowed",
+          "method_not_allowed",
+          `Allowed methods: ${[...allowedMethods].join(", ")}`,
+          { Allow: [...allowedMethods, "OPTIONS"].join(", ") }
+        );
+      }
+
+      return errorResponse(
+        404,
+        "Not found",
+        "not_found",
+        `No route for ${request.method} ${new URL(request.url).pathname}`
+      );
+    },
+  };
+
+  return router;
+}
@@ -0,0 +1,214 @@
+import { getStaging } from "./staging.js";
+import { getStore } from "./store.js";
+
+/**
+ * Resumable upload sessions
+ *
+ * A client opens a session announcing the file size and SHA-256, then
+ * sends the file as a series of `PUT` chunks, each tagged with the offset
+ * it starts at. Chunks are staged (R2, or memory under `wrangler dev`)
+ * until the session is completed, at which point they are assembled,
+ * checked against the announced size and checksum, and uploaded to
+ * Filecoin like any other file. After a dropped connection the client
+ * asks for the current offset and resumes from there.
+ */
+
+/**
+ * Chunk staged for a session
+ * @typedef {Object} SessionChunk
+ * @property {string} key - Staging key
+ * @property {number} offset - Byte offset of the chunk in the file
+ * @property {number} size - Chunk size in bytes
+ */
+
+/**
+ * Resumable upload session
+ * @typedef {Object} UploadSession
+ * @property {string} id - Session identifier
+ * @property {"open"|"completing"|"completed"|"failed"} status - Current state
+ * @property {string|null} user_id - Owner of the session
+ * @property {string} name - File name
+ * @property {number} size - Announced file size in bytes
+ * @property {string} sha256 - Announced hex SHA-256 of the file
+ * @property {boolean} is_selfie - Whether the image is a selfie
+ * @property {*} [height] - Client-supplied image height in pixels
+ * @property {*} [width] - Client-supplied image width in pixels
+ * @property {import("./storage-policy.js").StorageOptions} storage_options - CDN and provider choices, resolved when the session was opened
+ * @property {number} offset - Bytes received so far
+ * @property {SessionChunk[]} chunks - Staged chunks, in order
+ * @property {{status: number, body: Object}} [result] - Upload response once completed
+ * @property {string} [error] - Failure reason
+ * @property {string} created_at - ISO timestamp of session creation
+ * @property {string} updated_at - ISO timestamp of the last update
+ * @property {string} expires_at - ISO timestamp after which the session is dropped
+ */
+
+const SESSION_PREFIX = "session:";
+const STAGING_PREFIX = "sessions/";
+
+// Sessions can be resumed for a day unless configured otherwise
+const DEFAULT_SESSION_TTL_SECONDS = 24 * 60 * 60;
+
+const DEFAULT_CHUNK_MAX_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Reads session settings from the environment
+ * @param {Object} env - Worker environment
+ * @returns {{ttlSeconds: number, chunkMaxBytes: number}} Session settings
+ */
+export function getSessionConfig(env) {
+  return {
+    ttlSeconds:
+      parseInt(env.UPLOAD_SESSION_TTL_SECONDS) || DEFAULT_SESSION_TTL_SECONDS,
+    chunkMaxBytes:
+      parseInt(env.UPLOAD_CHUNK_MAX_BYTES) || DEFAULT_CHUNK_MAX_BYTES,
+  };
+}
+
+/**
+ * Persists a session, keeping its original expiry
+ * @param {Object} env - Worker environment
+ * @param {UploadSession} session - Session to save
+ * @returns {Promise<UploadSession>} Saved session
+ */
+async function saveSession(env, session) {
+  const saved = { ...session, updated_at: new Date().toISOString() };
+  const remainingSeconds = Math.ceil(
+    (Date.parse(session.expires_at) - Date.now()) / 1000
+  );
+  await getStore(env).put(SESSION_PREFIX + session.id, saved, {
+    expirationTtl: Math.max(60, remainingSeconds),
+  });
+  return saved;
+}
+
+/**
+ * Opens a session
+ * @param {Object} env - Worker environment
+ * @param {string|null} userId - Authenticated user identifier
+ * @param {Object} file - Announced file details
+ * @param {string} file.name - File name
+ * @param {number} file.size - File size in bytes
+ * @param {string} file.sha256 - Hex SHA-256 of the file
+ * @param {boolean} file.isSelfie - Whether the image is a selfie
+ * @param {*} [file.height] - Client-supplied image height in pixels
+ * @param {*} [file.width] - Client-supplied image width in pixels
+ * @param {import("./storage-policy.js").StorageOptions} file.storageOptions - Resolved storage options
+ * @returns {Promise<UploadSession>} Created session
+ */
+export async function createSession(env, userId, file) {
+  const now = Date.now();
+  const { ttlSeconds } = getSessionConfig(env);
+  return saveSession(env, {
+    id: crypto.randomUUID(),
+    status: "open",
+    user_id: userId,
+    name: file.name,
+    size: file.size,
+    sha256: file.sha256.toLowerCase(),
+    is_selfie: file.isSelfie,
+    height: file.height,
+    width: file.width,
+    storage_options: file.storageOptions,
+    offset: 0,
+    chunks: [],
+    created_at: new Date(now).toISOString(),
+    expires_at: new Date(now + ttlSeconds * 1000).toISOString(),
+  });
+}
+
+/**
+ * Looks up a session by id
+ * @param {Object} env - Worker environment
+ * @param {string} id - Session identifier
+ * @returns {Promise<UploadSession|null>} Session, or null if unknown or expired
+ */
+export async function getSession(env, id) {
+  const session = await getStore(env).get(SESSION_PREFIX + id);
+  if (!session || Date.parse(session.expires_at) <= Date.now()) {
+    return null;
+  }
+  return session;
+}
+
+/**
+ * Moves a session to a new state
+ * @param {Object} env - Worker environment
+ * @param {UploadSession} session - Session to update
+ * @param {string} status - New state
+ * @param {Object} [changes] - Additional fields to merge
+ * @returns {Promise<UploadSession>} Updated session
+ */
+export async function updateSession(env, session, status, changes = {}) {
+  return saveSession(env, { ...session, ...changes, status });
+}
+
+/**
+ * Stages a chunk and advances the session offset
+ *
+ * The caller must have checked that the chunk starts at `session.offset`.
+ * @param {Object} env - Worker environment
+ * @param {UploadSession} session - Session receiving the chunk
+ * @param {Uint8Array} bytes - Chunk contents
+ * @returns {Promise<UploadSession>} Updated session
+ */
+export async function appendChunk(env, session, bytes) {
+  const key = `${STAGING_PREFIX}${session.id}/${session.offset}`;
+  await getStaging(env).put(key, bytes);
+  return saveSession(env, {
+    ...session,
+    offset: session.offset + bytes.length,
+    chunks: [
+      ...session.chunks,
+      { key, offset: session.offset, size: bytes.length },
+    ],
+  });
+}
+
+/**
+ * Reads a session's staged chunks back into one buffer
+ * @param {Object} env - Worker environment
+ * @param {UploadSession} session - Fully received session
+ * @returns {Promise<Uint8Array>} File contents
+ * @throws {Error} If a staged chunk is missing
+ */
+export async function assembleSession(env, session) {
+  const staging = getStaging(env);
+  const fileBuffer = new Uint8Array(session.offset);
+  for (const chunk of session.chunks) {
+    const bytes = await staging.get(chunk.key);
+    if (!bytes || bytes.length !== chunk.size) {
+      throw new Error(`Staged chunk at offset ${chunk.offset} is missing`);
+    }
+    fileBuffer.set(bytes, chunk.offset);
+  }
+  return fileBuffer;
+}
+
+/**
+ * Removes a session's staged chunks (never throws)
+ * @param {Object} env - Worker environment
+ * @param {UploadSession} session - Session to clean up
+ * @returns {Promise<void>}
+ */
+export async function discardChunks(env, session) {
+  await getStaging(env)
+    .delete(session.chunks.map((chunk) => chunk.key))
+    .catch((stagingError) => {
+      console.error(
+        `Failed to discard chunks of session ${session.id}:`,
+        stagingError.message
+      );
+    });
+}
+
+/**
+ * Deletes a session and its staged chunks
+ * @param {Object} env - Worker environment
+ * @param {UploadSession} session - Session to delete
+ * @returns {Promise<void>}
+ */
+export async function deleteSession(env, session) {
+  await discardChunks(env, session);
+  await getStore(env).delete(SESSION_PREFIX + session.id);
+}
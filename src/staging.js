@@ -0,0 +1,98 @@
+/**
+ * Staging area for upload chunks
+ *
+ * Uses the `UPLOAD_STAGING` R2 bucket binding when configured, and falls
+ * back to an isolate-local in-memory map for `wrangler dev` without R2.
+ * The in-memory fallback only works while requests keep hitting the same
+ * isolate, so production deployments need the R2 binding.
+ */
+
+/**
+ * Staging interface shared by the R2 and in-memory backends
+ * @typedef {Object} Staging
+ * @property {"r2"|"memory"} kind - Backend in use
+ * @property {(key: string, bytes: Uint8Array) => Promise<void>} put - Stores a chunk
+ * @property {(key: string) => Promise<Uint8Array|null>} get - Reads a chunk, or null
+ * @property {(keys: string[]) => Promise<void>} delete - Removes chunks
+ */
+
+// Shared across requests handled by the same isolate
+const memoryObjects = new Map();
+
+/**
+ * Creates staging backed by an R2 bucket
+ * @param {Object} bucket - R2 bucket binding
+ * @returns {Staging} R2-backed staging
+ */
+function createR2Staging(bucket) {
+  return {
+    kind: "r2",
+    async put(key, bytes) {
+      await bucket.put(key, bytes);
+    },
+    async get(key) {
+      const object = await bucket.get(key);
+      return object ? new Uint8Array(await object.arrayBuffer()) : null;
+    },
+    async delete(keys) {
+      if (keys.length > 0) {
+        await bucket.delete(keys);
+      }
+    },
+  };
+}
+
+/**
+ * Creates staging backed by an in-memory map
+ * @returns {Staging} In-memory staging
+ */
+function createMemoryStaging() {
+  return {
+    kind: "memory",
+    async put(key, bytes) {
+      memoryObjects.set(key, bytes.slice());
+    },
+    async get(key) {
+      return memoryObjects.get(key) || null;
+    },
+    async delete(keys) {
+      keys.forEach((key) => memoryObjects.delete(key));
+    },
+  };
+}
+
+/**
+ * Returns the staging area for the current environment
+ * @param {Object} env - Worker environment
+ * @returns {Staging} Staging backend
+ */
+export function getStaging(env) {
+  return env.UPLOAD_STAGING
+    ? createR2Staging(env.UPLOAD_STAGING)
+    : createMemoryStaging();
+}
+
+// Request bodies above this size are staged in R2 unless configured otherwise
+const DEFAULT_BODY_STAGING_THRESHOLD_BYTES = 16 * 1024 * 1024;
+
+/**
+ * Returns where large request bodies are staged while they are read
+ *
+ * Only R2 helps here: the in-memory fallback would hold the body twice.
+ * @param {Object} env - Worker environment
+ * @returns {import("./body.js").SpillTarget|null} Spill target, or null when no R2 bucket is bound
+ */
+export function getBodySpill(env) {
+  if (!env.UPLOAD_STAGING) {
+    return null;
+  }
+  const threshold = parseInt(env.UPLOAD_STAGING_THRESHOLD_BYTES);
+  return {
+    bucket: env.UPLOAD_STAGING,
+    key: `bodies/${crypto.randomUUID()}`,
+    thresholdBytes:
+      Number.isSafeInteger(threshold) && threshold >= 0
+        ? threshold
+        : DEFAULT_BODY_STAGING_THRESHOLD_BYTES,
+  };
+}
@@ -0,0 +1,298 @@
+import { jsonResponse } from "./http.js";
+
+/**
+ * Storage options for uploads
+ *
+ * Decides whether a file is stored with CDN retrieval and which storage
+ * providers and data sets may hold it. Defaults come from the
+ * `STORAGE_POLICY` variable (JSON), per upload mode, e.g.
+ *
+ *   {
+ *     "with_cdn": false,
+ *     "exclude_provider_ids": [4],
+ *     "upload_types": { "json": { "with_cdn": true, "provider_id": 2 } }
+ *   }
+ *
+ * Callers may override them per request with the same fields (JSON
+ * bodies) or `x-with-cdn`, `x-provider-id`, `x-data-set-id`,
+ * `x-exclude-provider-ids` and `x-exclude-data-set-ids` headers.
+ * Requested values replace the policy's; exclusions are combined.
+ */
+
+/**
+ * Resolved storage options for one upload
+ * @typedef {Object} StorageOptions
+ * @property {boolean} withCDN - Store in a CDN-enabled data set
+ * @property {number|null} providerId - Provider the file must be stored with
+ * @property {number|null} dataSetId - Data set the file must be added to
+ * @property {number[]} excludeProviderIds - Providers that must not be used
+ * @property {number[]} excludeDataSetIds - Data sets that must not be used
+ */
+
+/**
+ * Storage fields as sent by callers or set in the policy
+ * @typedef {Object} StorageFields
+ * @property {boolean} [with_cdn] - Store in a CDN-enabled data set
+ * @property {number} [provider_id] - Provider to pin
+ * @property {number} [data_set_id] - Data set to pin
+ * @property {number[]} [exclude_provider_ids] - Providers to avoid
+ * @property {number[]} [exclude_data_set_ids] - Data sets to avoid
+ */
+
+/**
+ * Options used when neither the policy nor the caller says otherwise
+ * @type {StorageOptions}
+ */
+export const DEFAULT_STORAGE_OPTIONS = Object.freeze({
+  withCDN: false,
+  providerId: null,
+  dataSetId: null,
+  excludeProviderIds: [],
+  excludeDataSetIds: [],
+});
+
+const FIELD_HEADERS = {
+  with_cdn: "x-with-cdn",
+  provider_id: "x-provider-id",
+  data_set_id: "x-data-set-id",
+  exclude_provider_ids: "x-exclude-provider-ids",
+  exclude_data_set_ids: "x-exclude-data-set-ids",
+};
+
+// Parsed STORAGE_POLICY, kept per isolate while the variable is unchanged
+let cachedPolicy = null;
+
+/**
+ * Reads the storage policy from the environment
+ * @param {Object} env - Worker environment
+ * @returns {StorageFields & {upload_types?: Object<string, StorageFields>}} Policy configuration
+ */
+function loadPolicy(env) {
+  const source = env.STORAGE_POLICY || "";
+  if (cachedPolicy && cachedPolicy.source === source) {
+    return cachedPolicy.config;
+  }
+
+  let config = {};
+  if (source) {
+    try {
+      config = typeof source === "string" ? JSON.parse(source) : source;
+    } catch (parseError) {
+      console.error(
+        "Invalid STORAGE_POLICY, using the default storage options:",
+        parseError.message
+      );
+    }
+  }
+
+  cachedPolicy = { source, config };
+  return config;
+}
+
+/**
+ * Checks that a value is a provider or data set id
+ * @param {*} value - Value to check
+ * @returns {boolean} True for a non-negative integer
+ */
+function isId(value) {
+  return Number.isSafeInteger(value) && value >= 0;
+}
+
+/**
+ * Validates storage fields
+ * @param {StorageFields} fields - Fields to check
+ * @returns {{field: string, message: string}[]} Validation errors
+ */
+function validateStorageFields(fields) {
+  const errors = [];
+  if (fields.with_cdn !== undefined && typeof fields.with_cdn !== "boolean") {
+    errors.push({ field: "with_cdn", message: "Must be a boolean" });
+  }
+  for (const field of ["provider_id", "data_set_id"]) {
+    if (fields[field] !== undefined && !isId(fields[field])) {
+      errors.push({
+        field: field,
+        message: "Must be a non-negative integer",
+      });
+    }
+  }
+  for (const field of ["exclude_provider_ids", "exclude_data_set_ids"]) {
+    if (
+      fields[field] !== undefined &&
+      !(Array.isArray(fields[field]) && fields[field].every(isId))
+    ) {
+      errors.push({
+        field: field,
+        message: "Must be an array of non-negative integers",
+      });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Picks the storage fields out of a JSON body
+ * @param {Object} body - Parsed JSON body
+ * @returns {StorageFields} Storage fields present in the body
+ */
+export function getStorageFields(body) {
+  const fields = {};
+  for (const field of Object.keys(FIELD_HEADERS)) {
+    if (body && body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  }
+  return fields;
+}
+
+/**
+ * Reads storage fields from request headers
+ *
+ * Unparseable values are passed through as strings so validation can
+ * report them.
+ * @param {Request} request - Incoming request
+ * @returns {StorageFields} Storage fields present in the headers
+ */
+export function getStorageHeaders(request) {
+  const parseId = (value) => (/^\d+$/.test(value) ? Number(value) : value);
+  const fields = {};
+  for (const [field, header] of Object.entries(FIELD_HEADERS)) {
+    const value = request.headers.get(header);
+    if (value === null) {
+      continue;
+    }
+    const trimmed = value.trim();
+    if (field === "with_cdn") {
+      fields[field] =
+        trimmed === "true" || trimmed === "1"
+          ? true
+          : trimmed === "false" || trimmed === "0"
+          ? false
+          : trimmed;
+    } else if (field.startsWith("exclude_")) {
+      const ids = trimmed
+        .split(",")
+        .map((id) => id.trim())
+        .filter(Boolean)
+        .map(parseId);
+      fields[field] = ids.every(isId) ? ids : trimmed;
+    } else {
+      fields[field] = parseId(trimmed);
+    }
+  }
+  return fields;
+}
+
+/**
+ * Resolves the storage options for an upload
+ * @param {Object} env - Worker environment
+ * @param {string} uploadType - Upload mode (`stream`, `formdata`, `json`, `resumable`)
+ * @param {StorageFields} [requested] - Fields sent by the caller
+ * @returns {{options: StorageOptions, errors: {field: string, message: string}[]}} Effective options and any validation errors
+ */
+export function resolveStorageOptions(env, uploadType, requested = {}) {
+  const errors = validateStorageFields(requested);
+  if (errors.length > 0) {
+    return { options: DEFAULT_STORAGE_OPTIONS, errors };
+  }
+
+  const config = loadPolicy(env);
+  const levels = [
+    config,
+    config.upload_types && config.upload_types[uploadType],
+    requested,
+  ].filter(Boolean);
+
+  const options = {
+    ...DEFAULT_STORAGE_OPTIONS,
+    excludeProviderIds: new Set(),
+    excludeDataSetIds: new Set(),
+  };
+  for (const level of levels) {
+    if (level !== requested && validateStorageFields(level).length > 0) {
+      console.warn("STORAGE_POLICY has invalid fields, ignoring them");
+      continue;
+    }
+    if (level.with_cdn !== undefined) {
+      options.withCDN = level.with_cdn;
+    }
+    // Pinning a provider drops a data set pinned at a lower level
+    if (level.provider_id !== undefined) {
+      options.providerId = level.provider_id;
+      if (level.data_set_id === undefined) {
+        options.dataSetId = null;
+      }
+    }
+    if (level.data_set_id !== undefined) {
+      options.dataSetId = level.data_set_id;
+    }
+    (level.exclude_provider_ids || []).forEach((id) =>
+      options.excludeProviderIds.add(id)
+    );
+    (level.exclude_data_set_ids || []).forEach((id) =>
+      options.excludeDataSetIds.add(id)
+    );
+  }
+
+  if (
+    options.providerId !== null &&
+    options.excludeProviderIds.has(options.providerId)
+  ) {
+    errors.push({
+      field: "provider_id",
+      message: `Provider ${options.providerId} is excluded`,
+    });
+  }
+  if (
+    options.dataSetId !== null &&
+    options.excludeDataSetIds.has(options.dataSetId)
+  ) {
+    errors.push({
+      field: "data_set_id",
+      message: `Data set ${options.dataSetId} is excluded`,
+    });
+  }
+
+  return {
+    options: {
+      ...options,
+      excludeProviderIds: [...options.excludeProviderIds].sort((a, b) => a - b),
+      excludeDataSetIds: [...options.excludeDataSetIds].sort((a, b) => a - b),
+    },
+    errors,
+  };
+}
+
+/**
+ * Identifies a set of storage options, for caching contexts per option set
+ * @param {StorageOptions} options - Resolved options
+ * @returns {string} Stable key
+ */
+export function getStorageOptionsKey(options) {
+  return JSON.stringify([
+    options.withCDN,
+    options.providerId,
+    options.dataSetId,
+    options.excludeProviderIds,
+    options.excludeDataSetIds,
+  ]);
+}
+
+/**
+ * Builds the 400 response for invalid storage options
+ * @param {{field: string, message: string}[]} errors - Validation errors
+ * @returns {Response} JSON error response
+ */
+export function storageOptionsErrorResponse(errors) {
+  return jsonResponse(
+    {
+      error: "Invalid storage options",
+      code: "invalid_storage_options",
+      message: errors
+        .map((error) => `${error.field}: ${error.message}`)
+        .join("; "),
+      errors,
+    },
+    400
+  );
+}
@@ -0,0 +1,113 @@
+/**
+ * Key-value persistence for worker state
+ *
+ * Uses the `UPLOADS_KV` KV namespace binding when configured, and falls
+ * back to an isolate-local in-memory map for `wrangler dev`.
+ */
+
+/**
+ * Store interface shared by the KV and in-memory backends
+ * @typedef {Object} Store
+ * @property {"kv"|"memory"} kind - Backend in use
+ * @property {(key: string) => Promise<*>} get - Reads a JSON value, or null
+ * @property {(key: string, value: *, options?: {expirationTtl?: number}) => Promise<void>} put - Writes a JSON value
+ * @property {(key: string) => Promise<void>} delete - Removes a value
+ * @property {(prefix: string, options?: {limit?: number, cursor?: string}) => Promise<{keys: string[], cursor: string|null}>} list - Lists keys by prefix
+ */
+
+// Shared across requests handled by the same isolate
+const memoryEntries = new Map();
+
+/**
+ * Creates a store backed by a Workers KV namespace
+ * @param {Object} namespace - KV namespace binding
+ * @returns {Store} KV-backed store
+ */
+function createKvStore(namespace) {
+  return {
+    kind: "kv",
+    async get(key) {
+      return namespace.get(key, { type: "json" });
+    },
+    async put(key, value, options = {}) {
+      const putOptions = {};
+      if (options.expirationTtl) {
+        // KV rejects TTLs shorter than 60 seconds
+        putOptions.expirationTtl = Math.max(60, options.expirationTtl);
+      }
+      await namespace.put(key, JSON.stringify(value), putOptions);
+    },
+    async delete(key) {
+      await namespace.delete(key);
+    },
+    async list(prefix, options = {}) {
+      const result = await namespace.list({
+        prefix,
+        limit: options.limit,
+        cursor: options.cursor,
+      });
+      return {
+        keys: result.keys.map((key) => key.name),
+        cursor: result.list_complete ? null : result.cursor,
+      };
+    },
+  };
+}
+
+/**
+ * Creates a store backed by an in-memory map
+ * @returns {Store} In-memory store
+ */
+function createMemoryStore() {
+  const isExpired = (entry) =>
+    entry.expiresAt !== null && entry.expiresAt <= Date.now();
+
+  return {
+    kind: "memory",
+    async get(key) {
+      const entry = memoryEntries.get(key);
+      if (!entry) return null;
+      if (isExpired(entry)) {
+        memoryEntries.delete(key);
+        return null;
+      }
+      return structuredClone(entry.value);
+    },
+    async put(key, value, options = {}) {
+      memoryEntries.set(key, {
+        value: structuredClone(value),
+        expiresAt: options.expirationTtl
+          ? Date.now() + options.expirationTtl * 1000
+          : null,
+      });
+    },
+    async delete(key) {
+      memoryEntries.delete(key);
+    },
+    async list(prefix, options = {}) {
+      const limit = options.limit || 1000;
+      const start = options.cursor ? parseInt(options.cursor) : 0;
+      const keys = [...memoryEntries.entries()]
+        .filter(([key, entry]) => key.startsWith(prefix) && !isExpired(entry))
+        .map(([key]) => key)
+        .sort();
+      const page = keys.slice(start, start + limit);
+      return {
+        keys: page,
+        cursor: start + limit < keys.length ? String(start + limit) : null,
+      };
+    },
+  };
+}
+
+/**
+ * Returns the store for the current environment
+ * @param {Object} env - Worker environment
+ * @returns {Store} Configured store
+ */
+export function getStore(env) {
+  if (env.UPLOADS_KV) {
+    return createKvStore(env.UPLOADS_KV);
+  }
+  return createMemoryStore();
+}
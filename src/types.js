@@ -13,6 +13,11 @@
  * @property {boolean} is_selfie - Whether the image is a selfie (true) or regular image (false)
  * @property {number} [height] - Image height in pixels (optional)
  * @property {number} [width] - Image width in pixels (optional)
+ * @property {string} [mime_type] - MIME type detected from the file contents (optional)
+ * @property {number} [orientation] - EXIF orientation, 1-8 (optional)
+ * @property {import("./filecoin.js").PieceCopy[]} [copies] - Every copy of the piece and its outcome (optional)
+ * @property {import("./encryption.js").EncryptionInfo} [encryption] - Wrapped data key and nonce, for encrypted pieces (optional)
+ * @property {import("./derivatives.js").Derivative[]} [derivatives] - Resized copies of the image with their URLs and dimensions (optional)
  */
 
 /**
@@ -37,8 +42,8 @@ export const UPLOAD_PAYLOAD_SCHEMA = {
     type: "number",
     required: true,
     min: 127,
-    max: 200 * 1024 * 1024, // 200MB
-    description: "File size must be between 127 bytes and 200MB",
+    max: 32 * 1024 * 1024, // 32MB
+    description: "File size must be between 127 bytes and 32MB",
   },
   cid: {
     type: "string",
@@ -80,6 +85,36 @@ export const UPLOAD_PAYLOAD_SCHEMA = {
     max: 10000,
     description: "Image width in pixels (optional)",
   },
+  mime_type: {
+    type: "string",
+    required: false,
+    pattern: /^image\/[a-z0-9.+-]+$/,
+    description: "MIME type detected from the image header (optional)",
+  },
+  orientation: {
+    type: "number",
+    required: false,
+    min: 1,
+    max: 8,
+    description: "EXIF orientation of the image, 1-8 (optional)",
+  },
+  copies: {
+    type: "array",
+    required: false,
+    description:
+      "Copies of the piece with their provider, data set and status (optional)",
+  },
+  encryption: {
+    type: "object",
+    required: false,
+    description: "Wrapped data key and nonce of an encrypted piece (optional)",
+  },
+  derivatives: {
+    type: "array",
+    required: false,
+    description:
+      "Resized copies of the image with their URLs and dimensions (optional)",
+  },
 };
 
 /**
@@ -92,6 +127,11 @@ export const UPLOAD_PAYLOAD_SCHEMA = {
  * @param {boolean} is_selfie - Whether the image is a selfie
  * @param {number} [height] - Image height in pixels (optional)
  * @param {number} [width] - Image width in pixels (optional)
+ * @param {string} [mime_type] - Detected MIME type (optional)
+ * @param {number} [orientation] - EXIF orientation (optional)
+ * @param {import("./filecoin.js").PieceCopy[]} [copies] - Copies of the piece (optional)
+ * @param {import("./encryption.js").EncryptionInfo} [encryption] - How the piece was encrypted (optional)
+ * @param {import("./derivatives.js").Derivative[]} [derivatives] - Resized copies of the image (optional)
  * @returns {UploadPayload} Structured payload object
  */
 export function createUploadPayload(
@@ -102,7 +142,12 @@ export function createUploadPayload(
   user_id,
   is_selfie,
   height = undefined,
-  width = undefined
+  width = undefined,
+  mime_type = undefined,
+  orientation = undefined,
+  copies = undefined,
+  encryption = undefined,
+  derivatives = undefined
 ) {
   const payload = {
     name,
@@ -125,13 +170,36 @@ export function createUploadPayload(
     payload.width = width;
   }
 
+  // Add detected image type and orientation if known
+  if (mime_type) {
+    payload.mime_type = mime_type;
+  }
+  if (orientation !== undefined && orientation !== null) {
+    payload.orientation = orientation;
+  }
+
+  // List every copy so the backend knows where the piece lives
+  if (copies && copies.length > 0) {
+    payload.copies = copies;
+  }
+
+  // Encrypted pieces can only be read with the wrapped data key and nonce
+  if (encryption) {
+    payload.encryption = encryption;
+  }
+
+  // Galleries load these instead of the full-resolution original
+  if (derivatives && derivatives.length > 0) {
+    payload.derivatives = derivatives;
+  }
+
   return payload;
 }
 
 /**
  * Validates upload payload against schema
  * @param {Object} payload - Payload object to validate
- * @param {string} uploadType - Type of upload: 'json', 'stream', or 'formdata'
+ * @param {string} uploadType - Type of upload: 'json', 'stream', 'formdata' or 'resumable'
  * @returns {{valid: boolean, errors: ValidationError[]}} Validation result
  */
 export function validateUploadPayload(payload, uploadType = "stream") {
@@ -194,6 +262,27 @@ export function validateUploadPayload(payload, uploadType = "stream") {
       continue;
     }
 
+    if (rules.type === "array" && !Array.isArray(value)) {
+      errors.push({
+        field,
+        message: `${field} must be an array`,
+        received: typeof value,
+      });
+      continue;
+    }
+
+    if (
+      rules.type === "object" &&
+      (typeof value !== "object" || Array.isArray(value))
+    ) {
+      errors.push({
+        field,
+        message: `${field} must be an object`,
+        received: typeof value,
+      });
+      continue;
+    }
+
     // String-specific validations
     if (rules.type === "string" && typeof value === "string") {
       if (rules.minLength && value.length < rules.minLength) {
@@ -0,0 +1,380 @@
+import { SIZE_CONSTANTS, TIME_CONSTANTS } from "@filoz/synapse-sdk";
+import { BACKEND_ALERTS_PATH } from "./backend.js";
+import { createSynapseClient, getReplicationConfig } from "./filecoin.js";
+import { errorResponse } from "./http.js";
+import { deliverWithRetries, enqueueNotification } from "./outbox.js";
+import { getStore } from "./store.js";
+
+/**
+ * Payer wallet preflight
+ *
+ * Uploads are paid from the USDFC deposited in the Filecoin Pay contract
+ * by the wallet behind FILECOIN_PRIVATE_KEY, within the rate and lockup
+ * allowances granted to the warm storage service. The worker reads the
+ * deposit, allowances and storage price through the Synapse SDK, caches
+ * them per isolate and refuses uploads it can tell would fail for lack of
+ * funds before the client sends (or the worker stores) the file.
+ *
+ * When the available deposit drops below WALLET_LOW_BALANCE_THRESHOLD the
+ * backend receives a `wallet_low_balance` alert, at most once per
+ * WALLET_ALERT_INTERVAL_SECONDS.
+ */
+
+/**
+ * Cached view of the payer wallet (amounts in USDFC base units)
+ * @typedef {Object} WalletStatus
+ * @property {string} address - Payer wallet address
+ * @property {bigint} availableFunds - Deposit not locked up by existing rails
+ * @property {bigint} rateAllowance - Rate allowance granted to the storage service
+ * @property {bigint} rateUsed - Rate allowance already used
+ * @property {bigint} lockupAllowance - Lockup allowance granted to the storage service
+ * @property {bigint} lockupUsed - Lockup allowance already used
+ * @property {{noCDN: bigint, withCDN: bigint}} pricePerTiBPerMonth - Storage price with and without CDN
+ * @property {bigint} epochsPerMonth - Epochs the monthly price covers
+ * @property {string} checkedAt - ISO timestamp of the check
+ */
+
+/**
+ * Upload the wallet cannot pay for
+ * @typedef {Object} FundsShortfall
+ * @property {"insufficient_funds"|"insufficient_allowance"} code - What is missing
+ * @property {string} message - Human-readable reason
+ */
+
+/**
+ * Estimated cost of storing some bytes (USDFC base units)
+ * @typedef {Object} StorageCost
+ * @property {bigint} ratePerEpoch - Payment rate while the data is stored
+ * @property {bigint} perDay - Cost per day
+ * @property {bigint} perMonth - Cost per month
+ * @property {bigint} lockup - Funds locked up as a guarantee for the rate
+ */
+
+const USDFC_DECIMALS = 18;
+
+// Wallet status is re-read every five minutes unless configured otherwise
+const DEFAULT_STATUS_TTL_SECONDS = 5 * 60;
+
+const DEFAULT_ALERT_INTERVAL_SECONDS = 6 * 60 * 60;
+
+const ALERT_KEY = "wallet:low-balance-alert";
+
+// Cached status for this isolate: { fingerprint, promise, expiresAt }
+let cachedStatus = null;
+
+/**
+ * Formats USDFC base units as a decimal string
+ * @param {bigint} amount - Amount in base units
+ * @returns {string} Decimal amount, e.g. "12.5"
+ */
+export function formatUsdfc(amount) {
+  const negative = amount < 0n;
+  const absolute = negative ? -amount : amount;
+  const unit = 10n ** BigInt(USDFC_DECIMALS);
+  const fraction = (absolute % unit)
+    .toString()
+    .padStart(USDFC_DECIMALS, "0")
+    .replace(/0+$/, "");
+  return `${negative ? "-" : ""}${absolute / unit}${
+    fraction ? `.${fraction}` : ""
+  }`;
+}
+
+/**
+ * Parses a decimal USDFC amount into base units
+ * @param {string} value - Decimal amount, e.g. "12.5"
+ * @returns {bigint|null} Amount in base units, or null if invalid
+ */
+function parseUsdfc(value) {
+  const match = /^(\d+)(?:\.(\d+))?$/.exec(String(value).trim());
+  if (!match) {
+    return null;
+  }
+  const fraction = (match[2] || "")
+    .slice(0, USDFC_DECIMALS)
+    .padEnd(USDFC_DECIMALS, "0");
+  return BigInt(match[1]) * 10n ** BigInt(USDFC_DECIMALS) + BigInt(fraction);
+}
+
+/**
+ * Reads wallet settings from the environment
+ * @param {Object} env - Worker environment
+ * @returns {{statusTtlSeconds: number, lowBalanceThreshold: bigint|null, alertIntervalSeconds: number}} Wallet settings
+ */
+function getWalletConfig(env) {
+  const ttl = parseInt(env.WALLET_STATUS_TTL_SECONDS);
+  return {
+    statusTtlSeconds: Number.isNaN(ttl)
+      ? DEFAULT_STATUS_TTL_SECONDS
+      : Math.max(0, ttl),
+    lowBalanceThreshold: env.WALLET_LOW_BALANCE_THRESHOLD
+      ? parseUsdfc(env.WALLET_LOW_BALANCE_THRESHOLD)
+      : null,
+    alertIntervalSeconds:
+      parseInt(env.WALLET_ALERT_INTERVAL_SECONDS) ||
+      DEFAULT_ALERT_INTERVAL_SECONDS,
+  };
+}
+
+/**
+ * Reads the wallet's deposit, allowances and the storage price
+ * @param {Object} env - Worker environment
+ * @returns {Promise<WalletStatus>} Fresh wallet status
+ * @throws {Error} If the SDK cannot be initialized or the chain cannot be read
+ */
+async function readWalletStatus(env) {
+  const synapse = await createSynapseClient(env);
+  const [address, account, storageInfo] = await Promise.all([
+    synapse.getSigner().getAddress(),
+    synapse.payments.accountInfo(),
+    synapse.getStorageInfo(),
+  ]);
+  const allowances = storageInfo.allowances || {};
+
+  return {
+    address,
+    availableFunds: account.availableFunds,
+    rateAllowance: allowances.rateAllowance ?? 0n,
+    rateUsed: allowances.rateUsed ?? 0n,
+    lockupAllowance: allowances.lockupAllowance ?? 0n,
+    lockupUsed: allowances.lockupUsed ?? 0n,
+    pricePerTiBPerMonth: {
+      noCDN: storageInfo.pricing.noCDN.perTiBPerMonth,
+      withCDN: storageInfo.pricing.withCDN.perTiBPerMonth,
+    },
+    epochsPerMonth: storageInfo.serviceParameters.epochsPerMonth,
+    checkedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Returns the isolate's cached wallet status, refreshing it when stale
+ *
+ * Concurrent callers share one refresh; a failed refresh is not cached.
+ * Forced refreshes (the cron trigger) also check the low-balance threshold
+ * and resolve once any alert has been delivered or queued for retry.
+ * @param {Object} env - Worker environment
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.refresh=false] - Ignore the cached status
+ * @returns {Promise<WalletStatus>} Wallet status
+ * @throws {Error} If the status cannot be read
+ */
+export async function getWalletStatus(env, { refresh = false } = {}) {
+  const fingerprint = [env.FILECOIN_PRIVATE_KEY, env.FILECOIN_NETWORK].join(
+    "|"
+  );
+  if (
+    !refresh &&
+    cachedStatus &&
+    cachedStatus.fingerprint === fingerprint &&
+    Date.now() < cachedStatus.expiresAt
+  ) {
+    return cachedStatus.promise;
+  }
+
+  const { statusTtlSeconds } = getWalletConfig(env);
+  const entry = {
+    fingerprint,
+    expiresAt: Date.now() + statusTtlSeconds * 1000,
+  };
+  entry.promise = readWalletStatus(env).then(
+    async (status) => {
+      console.log(
+        `Wallet ${status.address}: ${formatUsdfc(
+          status.availableFunds
+        )} USDFC available`
+      );
+      if (refresh) {
+        await alertOnLowBalance(env, status);
+      }
+      return status;
+    },
+    (statusError) => {
+      if (cachedStatus === entry) {
+        cachedStatus = null;
+      }
+      throw statusError;
+    }
+  );
+  cachedStatus = entry;
+  return entry.promise;
+}
+
+/**
+ * Estimates what storing some bytes commits the wallet to
+ *
+ * Mirrors the SDK's own calculation: the monthly price per TiB is spread
+ * over the epochs of a month and the lockup covers the default lockup
+ * period at that rate.
+ * @param {WalletStatus} status - Wallet status (for the price)
+ * @param {number|bigint} size - Total size in bytes
+ * @param {boolean} [withCDN=false] - Price with CDN retrieval
+ * @returns {StorageCost} Estimated cost
+ */
+export function estimateStorageCost(status, size, withCDN = false) {
+  const price = withCDN
+    ? status.pricePerTiBPerMonth.withCDN
+    : status.pricePerTiBPerMonth.noCDN;
+  const ratePerEpoch =
+    (price * BigInt(size)) / (SIZE_CONSTANTS.TiB * status.epochsPerMonth);
+  return {
+    ratePerEpoch,
+    perDay: ratePerEpoch * TIME_CONSTANTS.EPOCHS_PER_DAY,
+    perMonth: ratePerEpoch * status.epochsPerMonth,
+    lockup:
+      ratePerEpoch *
+      TIME_CONSTANTS.DEFAULT_LOCKUP_DAYS *
+      TIME_CONSTANTS.EPOCHS_PER_DAY,
+  };
+}
+
+/**
+ * Checks an estimated cost against the wallet's deposit and allowances
+ * @param {WalletStatus} status - Wallet status
+ * @param {StorageCost} cost - Result of estimateStorageCost
+ * @returns {FundsShortfall|null} Shortfall, or null if the wallet covers the cost
+ */
+export function findFundsShortfall(status, cost) {
+  if (status.availableFunds < cost.lockup) {
+    return {
+      code: "insufficient_funds",
+      message: `Payer wallet has ${formatUsdfc(
+        status.availableFunds
+      )} USDFC available but the upload needs ${formatUsdfc(
+        cost.lockup
+      )} USDFC of lockup`,
+    };
+  }
+  if (
+    status.rateAllowance < status.rateUsed + cost.ratePerEpoch ||
+    status.lockupAllowance < status.lockupUsed + cost.lockup
+  ) {
+    return {
+      code: "insufficient_allowance",
+      message:
+        "The storage service allowance of the payer wallet does not cover this upload",
+    };
+  }
+  return null;
+}
+
+/**
+ * Checks whether the wallet can pay for storing a file
+ *
+ * Every configured copy is paid for separately, so the cost covers all of
+ * them. Fails open: if the wallet cannot be read the upload is attempted
+ * anyway.
+ * @param {Object} env - Worker environment
+ * @param {number} size - File size in bytes
+ * @param {boolean} [withCDN=false] - Whether the file is stored with CDN retrieval
+ * @returns {Promise<FundsShortfall|null>} Shortfall, or null if the upload can proceed
+ */
+export async function checkWalletFunds(env, size, withCDN = false) {
+  let status;
+  try {
+    status = await getWalletStatus(env);
+  } catch (statusError) {
+    console.warn("Wallet preflight skipped:", statusError.message);
+    return null;
+  }
+
+  const { copies } = getReplicationConfig(env);
+  return findFundsShortfall(
+    status,
+    estimateStorageCost(status, size * copies, withCDN)
+  );
+}
+
+/**
+ * Builds the 503 response for an upload the wallet cannot pay for
+ * @param {FundsShortfall} shortfall - Result of checkWalletFunds
+ * @returns {Response} JSON error response
+ */
+export function walletShortfallResponse(shortfall) {
+  console.error(`Upload refused: ${shortfall.message}`);
+  return errorResponse(
+    503,
+    "Storage temporarily unavailable",
+    shortfall.code,
+    shortfall.message,
+    { "Retry-After": "300" }
+  );
+}
+
+/**
+ * Alerts the backend when the deposit is below the configured threshold
+ *
+ * Alerts are throttled through the store so every isolate does not send
+ * its own. Resolves once delivery has been attempted; the outbox cron
+ * retries it if needed. Never throws.
+ * @param {Object} env - Worker environment
+ * @param {WalletStatus} status - Fresh wallet status
+ * @returns {Promise<void>}
+ */
+async function alertOnLowBalance(env, status) {
+  const { lowBalanceThreshold, alertIntervalSeconds } = getWalletConfig(env);
+  if (
+    lowBalanceThreshold === null ||
+    status.availableFunds >= lowBalanceThreshold ||
+    !env.BACKEND_API_URL
+  ) {
+    return;
+  }
+
+  try {
+    const store = getStore(env);
+    if (await store.get(ALERT_KEY)) {
+      return;
+    }
+    await store.put(
+      ALERT_KEY,
+      { sent_at: new Date().toISOString() },
+      { expirationTtl: alertIntervalSeconds }
+    );
+
+    console.warn(
+      `Wallet balance ${formatUsdfc(
+        status.availableFunds
+      )} USDFC is below the ${formatUsdfc(lowBalanceThreshold)} USDFC threshold`
+    );
+    const entry = await enqueueNotification(
+      env,
+      `wallet-alert-${Date.now()}`,
+      {
+        type: "wallet_low_balance",
+        wallet: status.address,
+        network: env.FILECOIN_NETWORK || "calibration",
+        available_funds: formatUsdfc(status.availableFunds),
+        threshold: formatUsdfc(lowBalanceThreshold),
+        token: "USDFC",
+        checked_at: status.checkedAt,
+      },
+      BACKEND_ALERTS_PATH,
+      []
+    );
+    await deliverWithRetries(env, entry);
+  } catch (alertError) {
+    console.error("Failed to send low-balance alert:", alertError.message);
+  }
+}
+
+/**
+ * Reports the cached wallet status for the health endpoint
+ * @returns {Promise<Object>} Wallet summary, or `{checked: false}` before the first check
+ */
+export async function describeWalletStatus() {
+  if (!cachedStatus) {
+    return { checked: false };
+  }
+  try {
+    const status = await cachedStatus.promise;
+    return {
+      checked: true,
+      address: status.address,
+      available_funds: formatUsdfc(status.availableFunds),
+      checked_at: status.checkedAt,
+    };
+  } catch (statusError) {
+    return { checked: false, error: statusError.message };
+  }
+}
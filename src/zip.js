@@ -0,0 +1,149 @@
+/**
+ * Minimal ZIP writer
+ *
+ * Writes uncompressed ("stored") ZIP archives: photos are already
+ * compressed, so deflating them again costs CPU for no gain. Archives are
+ * limited to 4GB and 65535 entries (no ZIP64).
+ */
+
+/**
+ * File to add to an archive
+ * @typedef {Object} ZipEntry
+ * @property {string} path - Path inside the archive
+ * @property {Uint8Array} bytes - File contents
+ * @property {Date} [modifiedAt] - Modification time (defaults to now)
+ */
+
+const LOCAL_HEADER_SIZE = 30;
+const CENTRAL_HEADER_SIZE = 46;
+const END_RECORD_SIZE = 22;
+
+// General purpose flag: file names are UTF-8
+const UTF8_FLAG = 0x0800;
+
+let crcTable = null;
+
+/**
+ * Computes the CRC-32 of a byte array (as used by ZIP and PNG)
+ * @param {Uint8Array} bytes - Data to checksum
+ * @returns {number} Unsigned CRC-32
+ */
+export function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Converts a date to MS-DOS time and date fields
+ * @param {Date} date - Date to convert
+ * @returns {{time: number, date: number}} DOS time and date
+ */
+function toDosDateTime(date) {
+  const year = Math.max(date.getUTCFullYear(), 1980);
+  return {
+    time:
+      (date.getUTCHours() << 11) |
+      (date.getUTCMinutes() << 5) |
+      (date.getUTCSeconds() >> 1),
+    date:
+      ((year - 1980) << 9) |
+      ((date.getUTCMonth() + 1) << 5) |
+      date.getUTCDate(),
+  };
+}
+
+/**
+ * Builds a ZIP archive
+ * @param {ZipEntry[]} entries - Files to store, in archive order
+ * @returns {Uint8Array} Archive bytes
+ * @throws {RangeError} If the archive would need ZIP64
+ */
+export function createZip(entries) {
+  const encoder = new TextEncoder();
+  const files = entries.map((entry) => ({
+    name: encoder.encode(entry.path),
+    bytes: entry.bytes,
+    crc: crc32(entry.bytes),
+    ...toDosDateTime(entry.modifiedAt || new Date()),
+  }));
+
+  const localSize = files.reduce(
+    (sum, file) =>
+      sum + LOCAL_HEADER_SIZE + file.name.length + file.bytes.length,
+    0
+  );
+  const centralSize = files.reduce(
+    (sum, file) => sum + CENTRAL_HEADER_SIZE + file.name.length,
+    0
+  );
+  const totalSize = localSize + centralSize + END_RECORD_SIZE;
+  if (files.length > 0xffff || totalSize > 0xffffffff) {
+    throw new RangeError("Archive is too large for the ZIP format");
+  }
+
+  const output = new Uint8Array(totalSize);
+  const view = new DataView(output.buffer);
+  let offset = 0;
+
+  // Local file headers, each followed by its data
+  for (const file of files) {
+    file.offset = offset;
+    view.setUint32(offset, 0x04034b50, true);
+    view.setUint16(offset + 4, 20, true); // version needed
+    view.setUint16(offset + 6, UTF8_FLAG, true);
+    view.setUint16(offset + 8, 0, true); // stored
+    view.setUint16(offset + 10, file.time, true);
+    view.setUint16(offset + 12, file.date, true);
+    view.setUint32(offset + 14, file.crc, true);
+    view.setUint32(offset + 18, file.bytes.length, true);
+    view.setUint32(offset + 22, file.bytes.length, true);
+    view.setUint16(offset + 26, file.name.length, true);
+    view.setUint16(offset + 28, 0, true); // extra field length
+    output.set(file.name, offset + LOCAL_HEADER_SIZE);
+    output.set(file.bytes, offset + LOCAL_HEADER_SIZE + file.name.length);
+    offset += LOCAL_HEADER_SIZE + file.name.length + file.bytes.length;
+  }
+
+  // Central directory
+  const centralOffset = offset;
+  for (const file of files) {
+    view.setUint32(offset, 0x02014b50, true);
+    view.setUint16(offset + 4, 20, true); // version made by
+    view.setUint16(offset + 6, 20, true); // version needed
+    view.setUint16(offset + 8, UTF8_FLAG, true);
+    view.setUint16(offset + 10, 0, true); // stored
+    view.setUint16(offset + 12, file.time, true);
+    view.setUint16(offset + 14, file.date, true);
+    view.setUint32(offset + 16, file.crc, true);
+    view.setUint32(offset + 20, file.bytes.length, true);
+    view.setUint32(offset + 24, file.bytes.length, true);
+    view.setUint16(offset + 28, file.name.length, true);
+    // Extra field, comment, disk number and attributes stay zero
+    view.setUint32(offset + 42, file.offset, true);
+    output.set(file.name, offset + CENTRAL_HEADER_SIZE);
+    offset += CENTRAL_HEADER_SIZE + file.name.length;
+  }
+
+  // End of central directory record
+  view.setUint32(offset, 0x06054b50, true);
+  view.setUint16(offset + 8, files.length, true);
+  view.setUint16(offset + 10, files.length, true);
+  view.setUint32(offset + 12, centralSize, true);
+  view.setUint32(offset + 16, centralOffset, true);
+
+  return output;
+}
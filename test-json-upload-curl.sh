@@ -6,6 +6,7 @@
 # Configuration
 WORKER_URL="http://localhost:8787"  # Update this to your actual worker URL
 USER_ID="test-user-123"
+SERVICE_KEY="${SERVICE_API_KEY:-your_service_key_here}"  # Must match the worker's SERVICE_API_KEY
 
 # JSON payload with the provided parameters
 JSON_PAYLOAD='{
@@ -24,6 +25,7 @@ echo ""
 # Make the curl request
 curl -X POST "$WORKER_URL" \
   -H "Content-Type: application/json" \
+  -H "x-service-key: $SERVICE_KEY" \
   -H "user-id: $USER_ID" \
   -d "$JSON_PAYLOAD" \
   -w "\n\nHTTP Status: %{http_code}\nTotal Time: %{time_total}s\n" \